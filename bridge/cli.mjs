@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+import { mkdir, readdir, readFile, writeFile } from "node:fs/promises";
+import { dirname, extname, join, relative, resolve, sep } from "node:path";
+import { parseArgs } from "node:util";
+import { CONFIG_ERRORS, CONFIG_PATH } from "./core/config.mjs";
+import { compactCacheFile, loadCacheFromDisk } from "./core/cache.mjs";
+import { loadGlossaries } from "./core/glossary.mjs";
+import { loadPromptTemplates } from "./core/templates.mjs";
+import { resolveTranslateOptions } from "./core/translate.mjs";
+import { resolveDocumentFormat, translateDocument } from "./core/document.mjs";
+import { resolveSubtitleFormat, translateSubtitles } from "./core/subtitles.mjs";
+
+const OUTPUT_FORMATS = new Set(["json", "text", "md", "html", "srt", "vtt"]);
+const SUBTITLE_FORMATS = new Set(["srt", "vtt"]);
+const EXTENSION_FORMATS = {
+  ".md": "markdown",
+  ".markdown": "markdown",
+  ".html": "html",
+  ".htm": "html",
+  ".srt": "srt",
+  ".vtt": "vtt",
+};
+const NUMERIC_FLAGS = ["batch-size", "max-line-length", "max-lines"];
+const GLOB_PATTERN = /[*?[]/;
+const SKIPPED_DIRECTORIES = new Set(["node_modules", ".git"]);
+
+const USAGE = `Usage: codex-translate [options] [file|glob ...]
+
+Translates files, globs or stdin (when no inputs or "-" are given) with the bridge core.
+
+Options:
+  -s, --source <lang>        Source language (default: auto)
+  -t, --target <lang>        Target language (default: zh-CN)
+      --tone <tone>          natural, faithful, concise or a tone from the config file (default: natural)
+      --mode <mode>          translation-only or bilingual (default: translation-only)
+      --model <name>         Model passed to the provider
+      --provider <id>        codex, openai-compatible or pseudo (default: TRANSLATION_PROVIDER)
+      --batch-size <n>       Blocks per provider request (default: 6, or defaultBatchSize in the config file)
+      --max-line-length <n>  Subtitle line width; CJK characters count twice (default: 42)
+      --max-lines <n>        Lines per subtitle cue (1-3, default: 2)
+      --glossary <id>        Glossary to apply; repeat for several (default: all matching)
+      --template <id>        Prompt template stored by the bridge (default: built-in prompt)
+  -f, --format <format>      text, md, html, srt, vtt or json (default: from the file extension)
+  -o, --out-dir <dir>        Write one translated file per input instead of printing to stdout
+      --config <path>        Bridge config file (default: BRIDGE_CONFIG or bridge.config.json in the data dir)
+  -h, --help                 Show this help
+`;
+
+function fail(message) {
+  console.error(`codex-translate: ${message}`);
+  console.error('Run "codex-translate --help" for usage.');
+  process.exit(2);
+}
+
+function readCliOptions(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        source: { type: "string", short: "s" },
+        target: { type: "string", short: "t" },
+        tone: { type: "string" },
+        mode: { type: "string", default: "translation-only" },
+        model: { type: "string" },
+        provider: { type: "string" },
+        "batch-size": { type: "string" },
+        "max-line-length": { type: "string" },
+        "max-lines": { type: "string" },
+        glossary: { type: "string", multiple: true },
+        template: { type: "string" },
+        format: { type: "string", short: "f" },
+        "out-dir": { type: "string", short: "o" },
+        config: { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (error) {
+    fail(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.format && !OUTPUT_FORMATS.has(values.format)) {
+    fail(`Unknown --format "${values.format}". Use json, text, md, html, srt or vtt.`);
+  }
+  if (!["translation-only", "bilingual"].includes(values.mode)) {
+    fail(`Unknown --mode "${values.mode}". Use translation-only or bilingual.`);
+  }
+  for (const flag of NUMERIC_FLAGS) {
+    if (values[flag] !== undefined && !Number.isInteger(Number(values[flag]))) {
+      fail(`--${flag} must be a whole number, got "${values[flag]}"`);
+    }
+  }
+
+  return { values, inputs: positionals };
+}
+
+function globToRegExp(pattern) {
+  let source = "";
+  for (let index = 0; index < pattern.length; index += 1) {
+    const char = pattern[index];
+    if (char === "*" && pattern[index + 1] === "*") {
+      // "**/" matches zero or more directories.
+      const slash = pattern[index + 2] === "/";
+      source += slash ? "(?:.*/)?" : ".*";
+      index += slash ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[") {
+      const end = pattern.indexOf("]", index);
+      source += end > index ? pattern.slice(index, end + 1) : "\\[";
+      index = end > index ? end : index;
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+async function walkFiles(directory) {
+  const files = [];
+  for (const entry of await readdir(directory, { withFileTypes: true })) {
+    if (SKIPPED_DIRECTORIES.has(entry.name)) {
+      continue;
+    }
+    const path = join(directory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await walkFiles(path)));
+    } else if (entry.isFile()) {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
+// Shells expand most globs already; this covers quoted patterns and shells without globstar.
+async function expandInput(input) {
+  if (!GLOB_PATTERN.test(input)) {
+    return [input];
+  }
+
+  const pattern = input.split(sep).join("/");
+  const staticParts = [];
+  for (const part of pattern.split("/")) {
+    if (GLOB_PATTERN.test(part)) {
+      break;
+    }
+    staticParts.push(part);
+  }
+
+  const root = staticParts.join("/") || ".";
+  const matcher = globToRegExp(pattern.replace(/^\.\//, ""));
+  const files = await walkFiles(root).catch((error) => {
+    if (error.code === "ENOENT" || error.code === "ENOTDIR") {
+      return [];
+    }
+    throw error;
+  });
+  return files
+    .map((file) => file.split(sep).join("/"))
+    .filter((file) => matcher.test(file.replace(/^\.\//, "")))
+    .sort();
+}
+
+function toNumber(value) {
+  return value === undefined ? undefined : Number(value);
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+function resolveInputFormat(path, format) {
+  if (SUBTITLE_FORMATS.has(format)) {
+    return resolveSubtitleFormat(format);
+  }
+  if (format && format !== "json") {
+    return resolveDocumentFormat(format);
+  }
+  return EXTENSION_FORMATS[extname(path || "").toLowerCase()] || "text";
+}
+
+async function translateInput(source, values, options) {
+  const content = source.path ? await readFile(source.path, "utf8") : await readStdin();
+  const format = resolveInputFormat(source.path, values.format);
+  if (!content.trim()) {
+    return { content, failed: [], warnings: [], meta: { blocks: 0, failed: 0 }, format };
+  }
+
+  const bilingual = values.mode === "bilingual";
+  const translated = SUBTITLE_FORMATS.has(format)
+    ? await translateSubtitles(content, {
+        ...options,
+        format,
+        bilingual,
+        maxLineLength: toNumber(values["max-line-length"]),
+        maxLines: toNumber(values["max-lines"]),
+      })
+    : await translateDocument(content, { ...options, format, bilingual });
+  return { ...translated, format };
+}
+
+function commonDirectory(paths) {
+  const directories = paths.map((path) => dirname(resolve(path)).split(sep));
+  const common = directories[0].slice();
+  for (const parts of directories.slice(1)) {
+    let index = 0;
+    while (index < common.length && parts[index] === common[index]) {
+      index += 1;
+    }
+    common.length = index;
+  }
+  return common.join(sep) || sep;
+}
+
+async function main() {
+  const { values, inputs } = readCliOptions(process.argv.slice(2));
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  if (CONFIG_ERRORS.length > 0) {
+    fail(`Invalid bridge configuration (${CONFIG_PATH}):\n  - ${CONFIG_ERRORS.join("\n  - ")}`);
+  }
+
+  const sources = [];
+  for (const input of inputs.length > 0 ? inputs : ["-"]) {
+    if (input === "-") {
+      sources.push({ path: null, label: "<stdin>" });
+      continue;
+    }
+    const paths = await expandInput(input);
+    if (paths.length === 0) {
+      fail(`No files match ${input}`);
+    }
+    sources.push(...paths.map((path) => ({ path, label: path })));
+  }
+  if (values["out-dir"] && sources.some((source) => !source.path)) {
+    fail("--out-dir needs file inputs; stdin output always goes to stdout");
+  }
+
+  // Core modules report progress with console.log; stdout is reserved for translated output.
+  console.log = console.error;
+  await loadCacheFromDisk();
+  await loadGlossaries();
+  await loadPromptTemplates();
+
+  const options = await resolveTranslateOptions({
+    sourceLang: values.source,
+    targetLang: values.target,
+    tone: values.tone,
+    mode: "translation-only",
+    model: values.model,
+    provider: values.provider,
+    batchSize: toNumber(values["batch-size"]),
+    glossaryIds: values.glossary,
+    templateId: values.template,
+  });
+
+  const baseDirectory = values["out-dir"] ? commonDirectory(sources.map((source) => source.path)) : "";
+  let failedBlocks = 0;
+  try {
+    for (const source of sources) {
+      const translated = await translateInput(source, values, options);
+      failedBlocks += translated.failed.length;
+      for (const entry of translated.failed) {
+        console.error(`[cli] ${source.label}: ${entry.id} kept in the original language (${entry.reason})`);
+      }
+
+      const output =
+        values.format === "json"
+          ? `${JSON.stringify({ file: source.path, ...translated })}\n`
+          : translated.content;
+      if (values["out-dir"]) {
+        const target = join(values["out-dir"], relative(baseDirectory, resolve(source.path)));
+        const outputPath = values.format === "json" ? `${target}.json` : target;
+        await mkdir(dirname(outputPath), { recursive: true });
+        await writeFile(outputPath, output, "utf8");
+        console.error(`[cli] ${source.label} -> ${outputPath}`);
+      } else {
+        process.stdout.write(output);
+      }
+    }
+  } finally {
+    await compactCacheFile();
+  }
+
+  if (failedBlocks > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(`codex-translate: ${error.message}`);
+  process.exit(1);
+});
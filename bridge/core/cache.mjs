@@ -0,0 +1,455 @@
+import { appendFile, mkdir, readFile, rename, stat, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import {
+  CACHE_DIR,
+  CACHE_PERSIST,
+  MAX_CACHE_AGE_MS,
+  MAX_CACHE_SIZE,
+  TM_ENABLED,
+  TM_MIN_SIMILARITY,
+} from "./config.mjs";
+import { stripPlaceholders } from "./text.mjs";
+
+const CACHE_FILE_NAME = "translation-cache.jsonl";
+export const CACHE_EXPORT_VERSION = 1;
+const TM_MAX_REFERENCES_PER_BATCH = 5;
+const TM_MAX_CANDIDATES = 20;
+// Tokens shared by this many entries are too common to tell sentences apart.
+const TM_MAX_POSTINGS = 2000;
+const TM_MAX_SOURCE_CHARS = 2000;
+
+export const translationCache = new Map();
+let cacheFilePath = join(CACHE_DIR, CACHE_FILE_NAME);
+// Set when another process owns the cache file: entries are still loaded but never written back.
+let cacheReadOnly = false;
+const cacheStats = { hits: 0, misses: 0, evictions: 0, expired: 0, loadedAt: null };
+let cacheLogLines = 0;
+let cacheWriteQueue = Promise.resolve();
+const tmIndex = new Map();
+const tmIndexedKeys = new Set();
+
+export function isCacheEntryExpired(entry, now = Date.now()) {
+  return MAX_CACHE_AGE_MS > 0 && now - entry.createdAt > MAX_CACHE_AGE_MS;
+}
+
+function queueCacheWrite(task) {
+  if (!CACHE_PERSIST || cacheReadOnly) {
+    return cacheWriteQueue;
+  }
+
+  cacheWriteQueue = cacheWriteQueue.then(task).catch((error) => {
+    console.error(`[cache] Failed to write ${cacheFilePath}: ${error.message}`);
+  });
+  return cacheWriteQueue;
+}
+
+function appendCacheRecords(records) {
+  if (records.length === 0) {
+    return cacheWriteQueue;
+  }
+
+  cacheLogLines += records.length;
+  const payload = records.map((record) => `${JSON.stringify(record)}\n`).join("");
+  const written = queueCacheWrite(() => appendFile(cacheFilePath, payload, { encoding: "utf8", mode: 0o600 }));
+
+  // The log is append-only; rewrite it once superseded records clearly dominate.
+  if (cacheLogLines > Math.max(1000, translationCache.size * 2)) {
+    return compactCacheFile();
+  }
+  return written;
+}
+
+export function compactCacheFile() {
+  return queueCacheWrite(async () => {
+    const tempPath = `${cacheFilePath}.tmp`;
+    const lines = [];
+    for (const entry of translationCache.values()) {
+      lines.push(`${JSON.stringify({ op: "set", ...entry })}\n`);
+    }
+    await writeFile(tempPath, lines.join(""), { encoding: "utf8", mode: 0o600 });
+    await rename(tempPath, cacheFilePath);
+    cacheLogLines = lines.length;
+  });
+}
+
+function evictCacheOverflow() {
+  const evicted = [];
+  while (translationCache.size > MAX_CACHE_SIZE) {
+    // Map iteration order is recency order because reads re-insert entries.
+    const oldestKey = translationCache.keys().next().value;
+    translationCache.delete(oldestKey);
+    evicted.push(oldestKey);
+  }
+  cacheStats.evictions += evicted.length;
+  return evicted;
+}
+
+function normalizeCacheEntry(raw) {
+  if (!raw || typeof raw !== "object") {
+    return null;
+  }
+  if (typeof raw.key !== "string" || typeof raw.value !== "string" || !raw.value) {
+    return null;
+  }
+
+  const createdAt = Number.isFinite(raw.createdAt) ? raw.createdAt : Date.now();
+  return {
+    key: raw.key,
+    value: raw.value,
+    targetLang: typeof raw.targetLang === "string" ? raw.targetLang : "",
+    model: typeof raw.model === "string" ? raw.model : "",
+    createdAt,
+    usedAt: Number.isFinite(raw.usedAt) ? raw.usedAt : createdAt,
+  };
+}
+
+export function getCacheValue(key) {
+  const entry = translationCache.get(key);
+  if (!entry) {
+    cacheStats.misses += 1;
+    return undefined;
+  }
+
+  if (isCacheEntryExpired(entry)) {
+    translationCache.delete(key);
+    cacheStats.expired += 1;
+    cacheStats.misses += 1;
+    appendCacheRecords([{ op: "delete", key }]);
+    return undefined;
+  }
+
+  // Re-insert so the Map keeps least-recently-used entries first.
+  translationCache.delete(key);
+  entry.usedAt = Date.now();
+  translationCache.set(key, entry);
+  cacheStats.hits += 1;
+  return entry.value;
+}
+
+export function setCacheValue(key, value, options) {
+  const now = Date.now();
+  const entry = {
+    key,
+    value,
+    targetLang: options.targetLang || "",
+    model: options.model || "",
+    createdAt: now,
+    usedAt: now,
+  };
+
+  translationCache.delete(key);
+  translationCache.set(key, entry);
+  indexMemoryEntry(entry);
+  const evicted = evictCacheOverflow();
+
+  appendCacheRecords([
+    { op: "set", ...entry },
+    ...evicted.map((evictedKey) => ({ op: "delete", key: evictedKey })),
+  ]);
+}
+
+export function matchesCacheFilter(entry, filter) {
+  if (filter.targetLang && entry.targetLang !== filter.targetLang) {
+    return false;
+  }
+  if (typeof filter.model === "string" && entry.model !== filter.model) {
+    return false;
+  }
+  return true;
+}
+
+export async function clearCacheEntries(filter = {}) {
+  const removedKeys = [];
+  for (const entry of translationCache.values()) {
+    if (matchesCacheFilter(entry, filter)) {
+      removedKeys.push(entry.key);
+    }
+  }
+
+  for (const key of removedKeys) {
+    translationCache.delete(key);
+  }
+
+  if (removedKeys.length > 0) {
+    await compactCacheFile();
+  }
+  return removedKeys.length;
+}
+
+export function importCacheEntries(rawEntries) {
+  let imported = 0;
+  let skipped = 0;
+  const records = [];
+  const now = Date.now();
+
+  for (const raw of rawEntries) {
+    const entry = normalizeCacheEntry(raw);
+    if (!entry || isCacheEntryExpired(entry, now)) {
+      skipped += 1;
+      continue;
+    }
+
+    const existing = translationCache.get(entry.key);
+    if (existing && existing.createdAt >= entry.createdAt) {
+      skipped += 1;
+      continue;
+    }
+
+    translationCache.delete(entry.key);
+    translationCache.set(entry.key, entry);
+    indexMemoryEntry(entry);
+    records.push({ op: "set", ...entry });
+    imported += 1;
+  }
+
+  const evicted = evictCacheOverflow();
+  appendCacheRecords([...records, ...evicted.map((key) => ({ op: "delete", key }))]);
+  return { imported, skipped, evicted: evicted.length };
+}
+
+export async function loadCacheFromDisk({ fileName = CACHE_FILE_NAME, readOnly = false } = {}) {
+  cacheFilePath = join(CACHE_DIR, fileName);
+  cacheReadOnly = readOnly;
+  if (!CACHE_PERSIST) {
+    return;
+  }
+
+  await mkdir(CACHE_DIR, { recursive: true });
+
+  let raw = "";
+  try {
+    raw = await readFile(cacheFilePath, "utf8");
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`[cache] Failed to read ${cacheFilePath}: ${error.message}`);
+    }
+    return;
+  }
+
+  const now = Date.now();
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      // A torn trailing line from an interrupted write is expected; skip it.
+      continue;
+    }
+
+    if (record.op === "delete" && typeof record.key === "string") {
+      translationCache.delete(record.key);
+      continue;
+    }
+
+    const entry = normalizeCacheEntry(record);
+    if (entry && !isCacheEntryExpired(entry, now)) {
+      translationCache.delete(entry.key);
+      translationCache.set(entry.key, entry);
+    }
+  }
+
+  // Restore LRU order from persisted usage timestamps, then enforce limits.
+  const ordered = [...translationCache.values()].sort((a, b) => a.usedAt - b.usedAt);
+  translationCache.clear();
+  for (const entry of ordered) {
+    translationCache.set(entry.key, entry);
+  }
+  evictCacheOverflow();
+  rebuildMemoryIndex();
+
+  cacheStats.loadedAt = new Date().toISOString();
+  await compactCacheFile();
+  console.log(`[cache] warm-loaded ${translationCache.size} entries from ${cacheFilePath}`);
+}
+
+export async function getCacheStats() {
+  let fileBytes = 0;
+  if (CACHE_PERSIST) {
+    await cacheWriteQueue;
+    try {
+      fileBytes = (await stat(cacheFilePath)).size;
+    } catch {
+      // The cache file does not exist until the first write.
+    }
+  }
+
+  const byTargetLang = {};
+  let oldestCreatedAt = null;
+  for (const entry of translationCache.values()) {
+    const lang = entry.targetLang || "unknown";
+    byTargetLang[lang] = (byTargetLang[lang] || 0) + 1;
+    if (oldestCreatedAt === null || entry.createdAt < oldestCreatedAt) {
+      oldestCreatedAt = entry.createdAt;
+    }
+  }
+
+  return {
+    entries: translationCache.size,
+    maxEntries: MAX_CACHE_SIZE,
+    maxAgeMs: MAX_CACHE_AGE_MS,
+    persistent: CACHE_PERSIST,
+    file: CACHE_PERSIST ? cacheFilePath : null,
+    fileBytes,
+    hits: cacheStats.hits,
+    misses: cacheStats.misses,
+    evictions: cacheStats.evictions,
+    expired: cacheStats.expired,
+    loadedAt: cacheStats.loadedAt,
+    oldestEntryAt: oldestCreatedAt ? new Date(oldestCreatedAt).toISOString() : null,
+    byTargetLang,
+  };
+}
+
+function getCacheSourceText(key) {
+  // Keys are built by cacheKey(); the source text is always the seventh field.
+  return key.split("\u0001")[6] || "";
+}
+
+function tokenizeForMemory(text) {
+  const tokens = new Set();
+  const normalized = stripPlaceholders(text).toLowerCase();
+  for (const word of normalized.match(/[\p{L}\p{N}]+/gu) || []) {
+    if (!/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u.test(word)) {
+      tokens.add(word);
+      continue;
+    }
+    // CJK has no spaces between words, so character bigrams stand in for word tokens.
+    const chars = [...word];
+    if (chars.length === 1) {
+      tokens.add(chars[0]);
+    }
+    for (let index = 0; index < chars.length - 1; index += 1) {
+      tokens.add(chars[index] + chars[index + 1]);
+    }
+  }
+  return tokens;
+}
+
+function indexMemoryEntry(entry) {
+  if (!TM_ENABLED || tmIndexedKeys.has(entry.key)) {
+    return;
+  }
+
+  const sourceText = getCacheSourceText(entry.key);
+  if (!sourceText || sourceText.length > TM_MAX_SOURCE_CHARS) {
+    return;
+  }
+
+  for (const token of tokenizeForMemory(sourceText)) {
+    let postings = tmIndex.get(token);
+    if (!postings) {
+      postings = new Set();
+      tmIndex.set(token, postings);
+    }
+    postings.add(entry.key);
+  }
+  tmIndexedKeys.add(entry.key);
+}
+
+function rebuildMemoryIndex() {
+  tmIndex.clear();
+  tmIndexedKeys.clear();
+  for (const entry of translationCache.values()) {
+    indexMemoryEntry(entry);
+  }
+}
+
+function diceSimilarity(left, right) {
+  if (left.size === 0 || right.size === 0) {
+    return 0;
+  }
+  let shared = 0;
+  for (const token of left) {
+    if (right.has(token)) {
+      shared += 1;
+    }
+  }
+  return (2 * shared) / (left.size + right.size);
+}
+
+export function searchTranslationMemory(text, { targetLang = "", limit = 3, minScore = TM_MIN_SIMILARITY } = {}) {
+  if (!TM_ENABLED) {
+    return [];
+  }
+
+  // Evicted and cleared entries leave stale postings behind; rebuild once they dominate.
+  if (tmIndexedKeys.size > translationCache.size * 2 + 1000) {
+    rebuildMemoryIndex();
+  }
+
+  const queryTokens = tokenizeForMemory(text);
+  const sharedCounts = new Map();
+  for (const token of queryTokens) {
+    const postings = tmIndex.get(token);
+    if (!postings || postings.size > TM_MAX_POSTINGS) {
+      continue;
+    }
+    for (const key of postings) {
+      sharedCounts.set(key, (sharedCounts.get(key) || 0) + 1);
+    }
+  }
+
+  const candidates = [...sharedCounts.entries()]
+    .sort((left, right) => right[1] - left[1])
+    .slice(0, TM_MAX_CANDIDATES * 4);
+
+  const matches = new Map();
+  for (const [key] of candidates) {
+    const entry = translationCache.get(key);
+    if (!entry || isCacheEntryExpired(entry) || (targetLang && entry.targetLang !== targetLang)) {
+      continue;
+    }
+
+    const source = getCacheSourceText(key);
+    const score = diceSimilarity(queryTokens, tokenizeForMemory(source));
+    const existing = matches.get(source);
+    // The same sentence cached under several models or tones counts once, keeping the newest translation.
+    if (score >= minScore && (!existing || existing.createdAt < entry.createdAt)) {
+      matches.set(source, {
+        source,
+        translation: entry.value,
+        score: Math.round(score * 100) / 100,
+        targetLang: entry.targetLang,
+        model: entry.model,
+        createdAt: entry.createdAt,
+      });
+    }
+    if (matches.size >= TM_MAX_CANDIDATES) {
+      break;
+    }
+  }
+
+  return [...matches.values()].sort((left, right) => right.score - left.score).slice(0, limit);
+}
+
+export function findMemoryReferences(batch, options) {
+  if (options.translationMemory === false) {
+    return { references: [], matchedIds: [] };
+  }
+
+  const references = new Map();
+  const matchedIds = [];
+  for (const item of batch) {
+    const matches = searchTranslationMemory(item.text, { targetLang: options.targetLang, limit: 2 });
+    if (matches.length > 0) {
+      matchedIds.push(item.id);
+    }
+    for (const match of matches) {
+      const existing = references.get(match.source);
+      if (!existing || existing.score < match.score) {
+        references.set(match.source, match);
+      }
+    }
+  }
+
+  return {
+    references: [...references.values()]
+      .sort((left, right) => right.score - left.score)
+      .slice(0, TM_MAX_REFERENCES_PER_BATCH),
+    matchedIds,
+  };
+}
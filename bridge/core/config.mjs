@@ -0,0 +1,484 @@
+import { existsSync, readFileSync, unwatchFile, watchFile } from "node:fs";
+import { homedir } from "node:os";
+import { join, resolve } from "node:path";
+
+export const DATA_DIR = process.env.BRIDGE_DATA_DIR ?? join(homedir(), ".openai-translate-bridge");
+const CONFIG_FILE_NAME = "bridge.config.json";
+const CONFIG_POLL_INTERVAL_MS = 1000;
+const SECRET_PLACEHOLDER = "********";
+
+function resolveConfigPath() {
+  const args = process.argv.slice(2);
+  const flagIndex = args.findIndex((arg) => arg === "--config" || arg.startsWith("--config="));
+  if (flagIndex >= 0) {
+    const flag = args[flagIndex];
+    const value = flag.includes("=") ? flag.slice(flag.indexOf("=") + 1) : args[flagIndex + 1];
+    if (value) {
+      return resolve(value);
+    }
+  }
+  return resolve(process.env.BRIDGE_CONFIG ?? join(DATA_DIR, CONFIG_FILE_NAME));
+}
+
+export const CONFIG_PATH = resolveConfigPath();
+
+// Settings are `let` bindings so a reloaded config file reaches every importer without a restart. Code that copies
+// a value at startup (the server address, the cache file) is covered by `restart` in SETTINGS below.
+export let HOST;
+export let PORT;
+export let ALLOWED_ORIGINS;
+export let BODY_LIMIT_BYTES;
+export let IMPORT_BODY_LIMIT_BYTES;
+export let CODEX_BIN;
+export let CODEX_ARGS;
+export let REQUEST_TIMEOUT_MS;
+export let HEALTH_CACHE_MS;
+export let DEFAULT_PROVIDER;
+export let DEFAULT_MODEL;
+export let MAX_CONCURRENCY;
+export let BATCH_RETRIES;
+export let RETRY_BASE_DELAY_MS;
+export let DEFAULT_BATCH_SIZE;
+export let MAX_BATCH_SIZE;
+export let DEFAULT_MAX_CHARS;
+export let TONE_INSTRUCTIONS;
+export let CACHE_DIR;
+export let CACHE_PERSIST;
+export let MAX_CACHE_SIZE;
+export let MAX_CACHE_AGE_MS;
+export let TM_ENABLED;
+export let TM_MIN_SIMILARITY;
+export let LOG_TO_FILE;
+export let LOG_DIR;
+export let LOG_MAX_BYTES;
+export let LOG_MAX_FILES;
+// Logs never contain page text unless this is explicitly turned off for debugging.
+export let LOG_REDACT;
+export let OPENAI_COMPAT_BASE_URL;
+export let OPENAI_COMPAT_API_KEY;
+export let OPENAI_COMPAT_MODEL;
+
+const integer = (min, max) => ({ kind: "integer", min, max });
+
+const SETTINGS = [
+  { key: "host", env: "HOST", type: "string", default: "127.0.0.1", restart: true, apply: (v) => (HOST = v) },
+  { key: "port", env: "PORT", type: integer(1, 65535), default: 8787, restart: true, apply: (v) => (PORT = v) },
+  {
+    key: "allowedOrigins",
+    env: "BRIDGE_ALLOWED_ORIGINS",
+    type: "list",
+    default: ["chrome-extension://", "http://127.0.0.1", "http://localhost"],
+    apply: (v) => (ALLOWED_ORIGINS = v),
+  },
+  {
+    key: "bodyLimitBytes",
+    env: "BODY_LIMIT_BYTES",
+    type: integer(1000, 1_000_000_000),
+    default: 2_000_000,
+    apply: (v) => (BODY_LIMIT_BYTES = v),
+  },
+  {
+    key: "importBodyLimitBytes",
+    env: "IMPORT_BODY_LIMIT_BYTES",
+    type: integer(1000, 1_000_000_000),
+    default: 50_000_000,
+    apply: (v) => (IMPORT_BODY_LIMIT_BYTES = v),
+  },
+  { key: "codexBin", env: "CODEX_BIN", type: "string", default: "codex", apply: (v) => (CODEX_BIN = v) },
+  { key: "codexArgs", env: "CODEX_EXTRA_ARGS", type: "args", default: [], apply: (v) => (CODEX_ARGS = v) },
+  {
+    key: "requestTimeoutMs",
+    env: "REQUEST_TIMEOUT_MS",
+    type: integer(1000, 3_600_000),
+    default: 120_000,
+    apply: (v) => (REQUEST_TIMEOUT_MS = v),
+  },
+  {
+    key: "healthCacheMs",
+    env: "HEALTH_CACHE_MS",
+    type: integer(0, 600_000),
+    default: 10_000,
+    apply: (v) => (HEALTH_CACHE_MS = v),
+  },
+  {
+    key: "defaultProvider",
+    env: "TRANSLATION_PROVIDER",
+    type: "string",
+    default: "codex",
+    apply: (v) => (DEFAULT_PROVIDER = v),
+  },
+  {
+    key: "defaultModel",
+    env: "DEFAULT_MODEL",
+    type: "optionalString",
+    default: "",
+    apply: (v) => (DEFAULT_MODEL = v),
+  },
+  {
+    key: "concurrency",
+    env: "TRANSLATION_CONCURRENCY",
+    type: integer(1, 32),
+    default: 3,
+    apply: (v) => (MAX_CONCURRENCY = v),
+  },
+  {
+    key: "batchRetries",
+    env: "BATCH_RETRIES",
+    type: integer(0, 10),
+    default: 2,
+    apply: (v) => (BATCH_RETRIES = v),
+  },
+  {
+    key: "retryBaseDelayMs",
+    env: "RETRY_BASE_DELAY_MS",
+    type: integer(0, 60_000),
+    default: 1000,
+    apply: (v) => (RETRY_BASE_DELAY_MS = v),
+  },
+  {
+    key: "defaultBatchSize",
+    env: "DEFAULT_BATCH_SIZE",
+    type: integer(1, 200),
+    default: 6,
+    apply: (v) => (DEFAULT_BATCH_SIZE = v),
+  },
+  {
+    key: "maxBatchSize",
+    env: "MAX_BATCH_SIZE",
+    type: integer(1, 200),
+    default: 20,
+    apply: (v) => (MAX_BATCH_SIZE = v),
+  },
+  {
+    key: "defaultMaxCharsPerItem",
+    env: "DEFAULT_MAX_CHARS",
+    type: integer(100, 5000),
+    default: 1200,
+    apply: (v) => (DEFAULT_MAX_CHARS = v),
+  },
+  {
+    key: "tones",
+    env: "TRANSLATION_TONES",
+    type: "tones",
+    default: {
+      natural: "Translate naturally with fluent target-language phrasing while preserving meaning.",
+      faithful: "Translate conservatively. Keep sentence structure and terminology close to the source.",
+      concise: "Translate naturally but keep the output concise and compact.",
+    },
+    apply: (v) => (TONE_INSTRUCTIONS = v),
+  },
+  {
+    key: "cacheDir",
+    env: "CACHE_DIR",
+    type: "string",
+    default: DATA_DIR,
+    restart: true,
+    apply: (v) => (CACHE_DIR = v),
+  },
+  {
+    key: "cachePersist",
+    env: "CACHE_PERSIST",
+    type: "boolean",
+    default: true,
+    restart: true,
+    apply: (v) => (CACHE_PERSIST = v),
+  },
+  {
+    key: "cacheMaxEntries",
+    env: "CACHE_MAX_ENTRIES",
+    type: integer(1, 10_000_000),
+    default: 20_000,
+    apply: (v) => (MAX_CACHE_SIZE = v),
+  },
+  {
+    key: "cacheMaxAgeMs",
+    env: "CACHE_MAX_AGE_MS",
+    type: integer(0, Number.MAX_SAFE_INTEGER),
+    default: 30 * 24 * 60 * 60 * 1000,
+    apply: (v) => (MAX_CACHE_AGE_MS = v),
+  },
+  {
+    key: "translationMemory",
+    env: "TRANSLATION_MEMORY",
+    type: "boolean",
+    default: true,
+    restart: true,
+    apply: (v) => (TM_ENABLED = v),
+  },
+  {
+    key: "tmMinSimilarity",
+    env: "TM_MIN_SIMILARITY",
+    type: { kind: "number", min: 0, max: 1 },
+    default: 0.7,
+    apply: (v) => (TM_MIN_SIMILARITY = v),
+  },
+  {
+    key: "logToFile",
+    env: "LOG_TO_FILE",
+    type: "boolean",
+    default: true,
+    restart: true,
+    apply: (v) => (LOG_TO_FILE = v),
+  },
+  {
+    key: "logDir",
+    env: "LOG_DIR",
+    type: "string",
+    default: join(DATA_DIR, "logs"),
+    restart: true,
+    apply: (v) => (LOG_DIR = v),
+  },
+  {
+    key: "logMaxBytes",
+    env: "LOG_MAX_BYTES",
+    type: integer(10_000, 1_000_000_000),
+    default: 5_000_000,
+    apply: (v) => (LOG_MAX_BYTES = v),
+  },
+  {
+    key: "logMaxFiles",
+    env: "LOG_MAX_FILES",
+    type: integer(1, 100),
+    default: 5,
+    apply: (v) => (LOG_MAX_FILES = v),
+  },
+  { key: "logRedact", env: "LOG_REDACT", type: "boolean", default: true, apply: (v) => (LOG_REDACT = v) },
+  {
+    key: "openaiCompatBaseUrl",
+    env: "OPENAI_COMPAT_BASE_URL",
+    type: "url",
+    default: "http://127.0.0.1:11434/v1",
+    apply: (v) => (OPENAI_COMPAT_BASE_URL = v.replace(/\/$/, "")),
+  },
+  {
+    key: "openaiCompatApiKey",
+    env: "OPENAI_COMPAT_API_KEY",
+    type: "optionalString",
+    default: "",
+    secret: true,
+    apply: (v) => (OPENAI_COMPAT_API_KEY = v),
+  },
+  {
+    key: "openaiCompatModel",
+    env: "OPENAI_COMPAT_MODEL",
+    type: "optionalString",
+    default: "",
+    apply: (v) => (OPENAI_COMPAT_MODEL = v),
+  },
+];
+
+const SETTINGS_BY_KEY = new Map(SETTINGS.map((setting) => [setting.key, setting]));
+
+// Environment variables are strings; turn them into the JSON shape the validator expects.
+function parseEnvValue(setting, raw) {
+  const kind = typeof setting.type === "object" ? setting.type.kind : setting.type;
+  if (kind === "integer" || kind === "number") {
+    return raw.trim() === "" ? raw : Number(raw);
+  }
+  if (kind === "boolean") {
+    return !["0", "false", "no", "off"].includes(raw.trim().toLowerCase());
+  }
+  if (kind === "list") {
+    return raw.split(",").map((entry) => entry.trim()).filter(Boolean);
+  }
+  if (kind === "args") {
+    return raw.split(/\s+/).filter(Boolean);
+  }
+  if (kind === "tones") {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return raw;
+    }
+  }
+  return raw;
+}
+
+// Returns an error message, or null when `value` fits the setting.
+function validateValue(setting, value) {
+  const { type } = setting;
+  if (typeof type === "object") {
+    const isValid = type.kind === "integer" ? Number.isInteger(value) : Number.isFinite(value);
+    if (!isValid || value < type.min || value > type.max) {
+      return `must be ${type.kind === "integer" ? "an integer" : "a number"} from ${type.min} to ${type.max}`;
+    }
+    return null;
+  }
+
+  switch (type) {
+    case "string":
+      return typeof value === "string" && value.trim() ? null : "must be a non-empty string";
+    case "optionalString":
+      return typeof value === "string" ? null : "must be a string";
+    case "boolean":
+      return typeof value === "boolean" ? null : "must be true or false";
+    case "url":
+      try {
+        return /^https?:$/.test(new URL(value).protocol) ? null : "must be an http(s) URL";
+      } catch {
+        return "must be an http(s) URL";
+      }
+    case "list":
+    case "args":
+      return Array.isArray(value) && value.every((entry) => typeof entry === "string" && entry)
+        ? null
+        : "must be an array of non-empty strings";
+    case "tones": {
+      const valid =
+        value &&
+        typeof value === "object" &&
+        !Array.isArray(value) &&
+        Object.values(value).every((instruction) => typeof instruction === "string" && instruction.trim());
+      if (!valid) {
+        return 'must be an object mapping tone names to instructions, e.g. {"natural": "Translate naturally."}';
+      }
+      return typeof value.natural === "string" ? null : 'must keep the "natural" tone, which is the fallback';
+    }
+    default:
+      return null;
+  }
+}
+
+function describeValue(value) {
+  const text = JSON.stringify(value);
+  return text && text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+function readConfigFile() {
+  if (!existsSync(CONFIG_PATH)) {
+    return { values: {}, errors: [], exists: false };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(CONFIG_PATH, "utf8"));
+  } catch (error) {
+    return { values: {}, errors: [`${CONFIG_PATH}: cannot be parsed as JSON (${error.message})`], exists: true };
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return { values: {}, errors: [`${CONFIG_PATH}: must contain a JSON object`], exists: true };
+  }
+
+  const errors = Object.keys(parsed)
+    .filter((key) => !SETTINGS_BY_KEY.has(key) && !key.startsWith("$"))
+    .map((key) => `${CONFIG_PATH}: unknown setting "${key}"`);
+  const values = Object.fromEntries(Object.entries(parsed).filter(([key]) => SETTINGS_BY_KEY.has(key)));
+  return { values, errors, exists: true };
+}
+
+// Resolves every setting from environment, config file and defaults, in that order of precedence.
+function resolveConfig() {
+  const file = readConfigFile();
+  const errors = [...file.errors];
+  const values = {};
+  const sources = {};
+
+  for (const setting of SETTINGS) {
+    const envRaw = process.env[setting.env];
+    let value = setting.default;
+    let source = "default";
+    if (envRaw !== undefined) {
+      value = parseEnvValue(setting, envRaw);
+      source = "env";
+    } else if (setting.key in file.values) {
+      value = file.values[setting.key];
+      source = "file";
+    }
+
+    const problem = validateValue(setting, value);
+    if (problem) {
+      const origin = source === "env" ? `environment variable ${setting.env}` : `${CONFIG_PATH}: "${setting.key}"`;
+      errors.push(`${origin} ${problem} (got ${describeValue(envRaw ?? value)})`);
+      continue;
+    }
+    values[setting.key] = value;
+    sources[setting.key] = source;
+  }
+
+  if (errors.length === 0 && values.defaultBatchSize > values.maxBatchSize) {
+    errors.push(
+      `"defaultBatchSize" (${values.defaultBatchSize}) must not exceed "maxBatchSize" (${values.maxBatchSize})`
+    );
+  }
+  return { values, sources, errors, fileExists: file.exists };
+}
+
+const state = { values: {}, sources: {}, fileExists: false, loadedAt: null, pendingRestart: [], errors: [] };
+
+function applyConfig(resolved, { initial = false } = {}) {
+  const changed = [];
+  const pendingRestart = [];
+  for (const setting of SETTINGS) {
+    const next = resolved.values[setting.key];
+    if (!initial && JSON.stringify(next) === JSON.stringify(state.values[setting.key])) {
+      continue;
+    }
+    if (!initial && setting.restart) {
+      pendingRestart.push(setting.key);
+      continue;
+    }
+    setting.apply(next);
+    state.values[setting.key] = next;
+    state.sources[setting.key] = resolved.sources[setting.key];
+    changed.push(setting.key);
+  }
+
+  state.fileExists = resolved.fileExists;
+  state.loadedAt = new Date().toISOString();
+  state.pendingRestart = pendingRestart;
+  return { changed, pendingRestart };
+}
+
+// Startup problems are kept rather than thrown so the server and CLI can print them without a stack trace; the
+// defaults stay in effect until then.
+const initialConfig = resolveConfig();
+const defaultValues = Object.fromEntries(SETTINGS.map((setting) => [setting.key, setting.default]));
+applyConfig({ ...initialConfig, values: defaultValues }, { initial: true });
+if (initialConfig.errors.length === 0) {
+  applyConfig(initialConfig, { initial: true });
+}
+export const CONFIG_ERRORS = initialConfig.errors;
+
+/**
+ * Polls the config file and re-applies it when it changes. A file that fails validation (including the optional
+ * `validate(values)` hook, which returns extra error messages) is reported and ignored, keeping the previous
+ * settings. In-flight requests are not interrupted: they pick up new values the next time they read one (the next
+ * batch, retry or provider call).
+ */
+export function watchConfigFile({ validate = () => [], onReload }) {
+  watchFile(CONFIG_PATH, { interval: CONFIG_POLL_INTERVAL_MS }, (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) {
+      return;
+    }
+    const resolved = resolveConfig();
+    const errors = resolved.errors.length > 0 ? resolved.errors : validate(resolved.values);
+    state.errors = errors;
+    if (errors.length > 0) {
+      onReload({ errors, changed: [], pendingRestart: [] });
+      return;
+    }
+    onReload({ errors, ...applyConfig(resolved) });
+  }).unref();
+}
+
+export function unwatchConfigFile() {
+  unwatchFile(CONFIG_PATH);
+}
+
+export function describeConfig() {
+  return {
+    path: CONFIG_PATH,
+    fileExists: state.fileExists,
+    loadedAt: state.loadedAt,
+    values: Object.fromEntries(
+      SETTINGS.map((setting) => {
+        const value = state.values[setting.key];
+        return [setting.key, setting.secret && value ? SECRET_PLACEHOLDER : value];
+      })
+    ),
+    sources: { ...state.sources },
+    restartRequired: SETTINGS.filter((setting) => setting.restart).map((setting) => setting.key),
+    pendingRestart: [...state.pendingRestart],
+    errors: [...state.errors],
+  };
+}
@@ -0,0 +1,164 @@
+import { stripPlaceholders } from "./text.mjs";
+
+const SCRIPT_PATTERNS = {
+  han: /\p{Script=Han}/gu,
+  kana: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu,
+  hangul: /\p{Script=Hangul}/gu,
+  latin: /\p{Script=Latin}/gu,
+  cyrillic: /\p{Script=Cyrillic}/gu,
+  arabic: /\p{Script=Arabic}/gu,
+  hebrew: /\p{Script=Hebrew}/gu,
+  thai: /\p{Script=Thai}/gu,
+  devanagari: /\p{Script=Devanagari}/gu,
+  greek: /\p{Script=Greek}/gu,
+};
+const SINGLE_LANGUAGE_SCRIPTS = { hangul: "ko", hebrew: "he", thai: "th", devanagari: "hi", greek: "el" };
+
+// Logographic characters carry roughly a word each, so they outweigh stray Latin letters in mixed text.
+const DENSE_SCRIPTS = new Set(["han", "kana", "hangul"]);
+
+const SIMPLIFIED_MARKERS = new Set("这们个来说时会为对发过还进问学后经开关见现长门车东书电话让没");
+const TRADITIONAL_MARKERS = new Set("這們個來說時會為對發過還進問學後經開關見現長門車東書電話讓沒");
+
+// Common function words plus letters that only some Latin-script languages use.
+const LATIN_LANGUAGE_PROFILES = {
+  en: {
+    words: "the and of to is in that it for with as was on are this be by not or have from you",
+    letters: "",
+  },
+  fr: {
+    words: "le la les de des et est un une du que qui dans pour pas sur au avec ce sont",
+    letters: "éèêàçùœ",
+  },
+  de: {
+    words: "der die das und ist nicht ein eine zu den mit von sich auf für im dem auch es",
+    letters: "äöüß",
+  },
+  es: {
+    words: "el la los las de que y en un una es por con para del se no al como",
+    letters: "ñáíóú¿¡",
+  },
+  it: {
+    words: "il la di che e è un una per non con del della sono gli le da in si",
+    letters: "àèìòù",
+  },
+  pt: {
+    words: "o a os as de que e do da em um uma para não com no na se por",
+    letters: "ãõçâê",
+  },
+  nl: {
+    words: "de het een en van is dat niet op te in voor met zijn er aan ook",
+    letters: "",
+  },
+};
+
+const LATIN_PROFILE_SETS = Object.entries(LATIN_LANGUAGE_PROFILES).map(([lang, profile]) => ({
+  lang,
+  words: new Set(profile.words.split(" ")),
+  letters: new Set(profile.letters),
+}));
+const MIN_DETECTION_CONFIDENCE = 0.6;
+
+function countScripts(text) {
+  const counts = {};
+  for (const [script, pattern] of Object.entries(SCRIPT_PATTERNS)) {
+    const matches = text.match(pattern);
+    if (matches) {
+      counts[script] = matches.length * (DENSE_SCRIPTS.has(script) ? 2 : 1);
+    }
+  }
+  return counts;
+}
+
+function countMarkers(text, markers) {
+  let count = 0;
+  for (const char of text) {
+    if (markers.has(char)) {
+      count += 1;
+    }
+  }
+  return count;
+}
+
+function detectChineseVariant(text) {
+  const simplified = countMarkers(text, SIMPLIFIED_MARKERS);
+  const traditional = countMarkers(text, TRADITIONAL_MARKERS);
+  if (simplified === traditional) {
+    return "zh";
+  }
+  return simplified > traditional ? "zh-Hans" : "zh-Hant";
+}
+
+function detectLatinLanguage(text) {
+  const lowered = text.toLowerCase();
+  const words = lowered.match(/\p{L}+/gu) || [];
+  let best = { lang: "und", score: 0 };
+  for (const profile of LATIN_PROFILE_SETS) {
+    const score =
+      words.filter((word) => profile.words.has(word)).length + countMarkers(lowered, profile.letters) * 0.5;
+    if (score > best.score) {
+      best = { lang: profile.lang, score };
+    }
+  }
+
+  // Headings and labels rarely contain enough function words to tell languages apart.
+  if (words.length < 3 || best.score < 2) {
+    return { lang: best.lang, confidence: 0 };
+  }
+  return { lang: best.lang, confidence: Math.min(1, best.score / Math.max(3, words.length * 0.3)) };
+}
+
+export function detectLanguage(text) {
+  const sample = stripPlaceholders(text).replace(/https?:\/\/\S+/g, " ");
+  const counts = countScripts(sample);
+  if (counts.kana) {
+    // Japanese mixes kanji and kana; any real amount of kana decides it.
+    counts.han = (counts.han || 0) + counts.kana;
+  }
+
+  const ranked = Object.entries(counts)
+    .filter(([name]) => name !== "kana")
+    .sort((left, right) => right[1] - left[1]);
+  const total = ranked.reduce((sum, entry) => sum + entry[1], 0);
+  const [script, count] = ranked[0] || ["none", 0];
+
+  if (total < 4) {
+    return { lang: "und", script, confidence: 0, reliable: false };
+  }
+
+  let lang = SINGLE_LANGUAGE_SCRIPTS[script] || "und";
+  let confidence = count / total;
+  if (script === "han") {
+    lang = (counts.kana || 0) >= count * 0.1 ? "ja" : detectChineseVariant(sample);
+  } else if (script === "cyrillic") {
+    lang = /[іїєґ]/i.test(sample) ? "uk" : "ru";
+  } else if (script === "arabic") {
+    lang = /[پچژگ]/.test(sample) ? "fa" : "ar";
+  } else if (script === "latin") {
+    const latin = detectLatinLanguage(sample);
+    lang = latin.lang;
+    confidence *= latin.confidence;
+  }
+
+  confidence = Math.round(confidence * 100) / 100;
+  return { lang, script, confidence, reliable: lang !== "und" && confidence >= MIN_DETECTION_CONFIDENCE };
+}
+
+export function matchesTargetLanguage(detection, targetLang) {
+  if (!detection.reliable || !targetLang) {
+    return false;
+  }
+
+  const [targetBase, ...targetRest] = targetLang.toLowerCase().split(/[-_]/);
+  const [detectedBase, detectedVariant] = detection.lang.split("-");
+  if (detectedBase !== targetBase) {
+    return false;
+  }
+  if (detectedBase !== "zh" || !detectedVariant) {
+    return true;
+  }
+
+  // Simplified and Traditional Chinese are different targets; converting between them is real work.
+  const targetVariant = targetRest.some((part) => ["hant", "tw", "hk", "mo"].includes(part)) ? "Hant" : "Hans";
+  return detectedVariant === targetVariant;
+}
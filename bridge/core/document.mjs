@@ -0,0 +1,629 @@
+import { createHttpError } from "./util.mjs";
+import { hasPlaceholders, placeholdersMatch, stripPlaceholders } from "./text.mjs";
+import { translateBatch } from "./translate.mjs";
+
+const DOCUMENT_FORMATS = new Set(["markdown", "html", "text"]);
+const DOCUMENT_FORMAT_ALIASES = { md: "markdown", htm: "html", txt: "text", plain: "text" };
+const DOCUMENT_NOTE_CLASS = "openai-immersive-translation-note";
+const MAX_DOCUMENT_BLOCKS = 5000;
+
+// Groups: 1 code fence, 2-3 link text and target, 4 bold, 5 strikethrough, 6 emphasis.
+const MARKDOWN_INLINE_PATTERN = new RegExp(
+  [
+    /(`+)[\s\S]*?\1/.source,
+    /!\[[^\]]*\]\([^)]*\)/.source,
+    /\[([^\]]+)\](\([^)]*\)|\[[^\]]*\])/.source,
+    /<https?:\/\/[^>]+>|<\/?[a-zA-Z][^>]*>/.source,
+    /\*\*([^*]+)\*\*|~~([^~]+)~~|\*([^*\s][^*]*)\*/.source,
+  ].join("|"),
+  "g"
+);
+
+const HTML_TOKEN_PATTERN =
+  /<!--[\s\S]*?-->|<![^>]*>|<\?[\s\S]*?\?>|<\/?([a-zA-Z][\w:-]*)(?:[^>"']|"[^"]*"|'[^']*')*>|[^<]+|</g;
+const HTML_BLOCK_VERBATIM_TAGS = new Set([
+  "script",
+  "style",
+  "pre",
+  "textarea",
+  "template",
+  "svg",
+  "math",
+  "noscript",
+]);
+const HTML_INLINE_VERBATIM_TAGS = new Set(["code", "kbd", "samp", "var"]);
+const HTML_INLINE_TAGS = new Set([
+  "a",
+  "abbr",
+  "b",
+  "bdi",
+  "bdo",
+  "cite",
+  "del",
+  "dfn",
+  "em",
+  "font",
+  "i",
+  "ins",
+  "label",
+  "mark",
+  "q",
+  "s",
+  "small",
+  "span",
+  "strong",
+  "sub",
+  "sup",
+  "time",
+  "u",
+]);
+const HTML_VOID_INLINE_TAGS = new Set(["br", "img", "wbr"]);
+
+export function createLiteralProtector() {
+  const literals = {};
+  let counter = 0;
+
+  return {
+    literals,
+    literal(text) {
+      counter += 1;
+      literals[counter] = { literal: text };
+      return `<x${counter}/>`;
+    },
+    open(openText, closeText = "") {
+      counter += 1;
+      literals[counter] = { open: openText, close: closeText };
+      return counter;
+    },
+  };
+}
+
+export function restoreLiterals(text, literals, escapeText = (value) => value) {
+  return text
+    .split(/(<\/?x\d+\/?>)/)
+    .map((part) => {
+      const match = part.match(/^<(\/?)x(\d+)(\/?)>$/);
+      if (!match) {
+        return escapeText(part);
+      }
+      const literal = literals[match[2]] || {};
+      if (match[3]) {
+        return literal.literal ?? "";
+      }
+      return (match[1] ? literal.close : literal.open) ?? "";
+    })
+    .join("");
+}
+
+export function hasTranslatableText(text) {
+  return /\p{L}/u.test(stripPlaceholders(text));
+}
+
+function protectUrls(text, protector) {
+  return text.replace(/https?:\/\/[^\s<>()[\]"'`]+/g, (url) => {
+    // Sentence punctuation right after a URL is prose, not part of the address.
+    const trailing = url.match(/[.,;:!?]+$/)?.[0] || "";
+    return protector.literal(url.slice(0, url.length - trailing.length)) + trailing;
+  });
+}
+
+function protectMarkdownInline(text, protector) {
+  let output = "";
+  let lastIndex = 0;
+  for (const match of text.matchAll(MARKDOWN_INLINE_PATTERN)) {
+    output += protectUrls(text.slice(lastIndex, match.index), protector);
+    lastIndex = match.index + match[0].length;
+
+    const [whole, , linkText, linkTarget, bold, strike, emphasis] = match;
+    const wrapper =
+      linkText !== undefined
+        ? ["[", `]${linkTarget}`, linkText]
+        : bold !== undefined
+          ? ["**", "**", bold]
+          : strike !== undefined
+            ? ["~~", "~~", strike]
+            : emphasis !== undefined
+              ? ["*", "*", emphasis]
+              : null;
+
+    if (!wrapper) {
+      output += protector.literal(whole);
+      continue;
+    }
+    const id = protector.open(wrapper[0], wrapper[1]);
+    output += `<x${id}>${protectMarkdownInline(wrapper[2], protector)}</x${id}>`;
+  }
+  return output + protectUrls(text.slice(lastIndex), protector);
+}
+
+function createDocumentBlock(rawLines, source, layout, protect) {
+  const protector = createLiteralProtector();
+  const text = protect(source, protector).trim();
+  if (!hasTranslatableText(text)) {
+    return { raw: rawLines.join("\n") };
+  }
+  return { rawLines, text, literals: protector.literals, ...layout };
+}
+
+function formatYamlScalar(value, quote) {
+  if (quote === "'") {
+    return `'${value.replace(/'/g, "''")}'`;
+  }
+  // JSON strings are valid YAML double-quoted scalars.
+  return quote === '"' || /[:#[\]{}&*!|>'"%@`]|^\s|\s$/.test(value) ? JSON.stringify(value) : value;
+}
+
+function parseFrontMatter(lines, blocks) {
+  const end = lines.findIndex((line, index) => index > 0 && /^(---|\.\.\.)\s*$/.test(line));
+  if (lines[0] !== "---" || end < 0) {
+    return 0;
+  }
+
+  blocks.push({ raw: lines[0] });
+  for (const line of lines.slice(1, end)) {
+    const match = line.match(/^([\w-]+:\s+)(["']?)(.*?)\2\s*$/);
+    // Only prose-like scalars are translated; keys, slugs, dates and URLs stay as they are, and so do flow
+    // collections, block scalars, anchors, aliases and tags, which are YAML syntax rather than text.
+    if (
+      !match ||
+      !/\s/.test(match[3]) ||
+      /^(https?:|\/|\d{4}-\d{2})/.test(match[3]) ||
+      (!match[2] && /^[[{|>&*!]/.test(match[3]))
+    ) {
+      blocks.push({ raw: line });
+      continue;
+    }
+    blocks.push(
+      createDocumentBlock(
+        [line],
+        match[3],
+        { kind: "yaml", prefix: match[1], quote: match[2], value: match[3] },
+        (text) => text
+      )
+    );
+  }
+  blocks.push({ raw: lines[end] });
+  return end + 1;
+}
+
+function parseMarkdownDocument(content) {
+  const lines = content.split("\n");
+  const blocks = [];
+  let open = null;
+
+  const protect = (text, protector) => protectMarkdownInline(text, protector);
+  function flush() {
+    if (open) {
+      blocks.push(createDocumentBlock(open.rawLines, open.sourceLines.join(" "), open.layout, protect));
+      open = null;
+    }
+  }
+
+  for (let index = parseFrontMatter(lines, blocks); index < lines.length; index += 1) {
+    const line = lines[index];
+
+    const fence = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fence) {
+      flush();
+      const closeIndex = lines.findIndex(
+        (candidate, candidateIndex) =>
+          candidateIndex > index && candidate.trim().startsWith(fence[1][0].repeat(fence[1].length))
+      );
+      const last = closeIndex < 0 ? lines.length - 1 : closeIndex;
+      blocks.push({ raw: lines.slice(index, last + 1).join("\n") });
+      index = last;
+      continue;
+    }
+
+    if (!line.trim()) {
+      flush();
+      blocks.push({ raw: line });
+      continue;
+    }
+
+    if (open?.layout.kind === "paragraph" && /^\s{0,3}(=+|-+)\s*$/.test(line)) {
+      // Setext underline: the open paragraph is really a heading.
+      open.layout.kind = "heading";
+      open.rawLines.push(line);
+      open.layout.underline = line;
+      flush();
+      continue;
+    }
+
+    const listItem = line.match(/^(\s*)([-*+]|\d+[.)])(\s+)(\[[ xX]\]\s+)?(.*)$/);
+    const isRule = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line);
+    const isVerbatim =
+      isRule ||
+      /^\s*<\/?[a-zA-Z!]/.test(line) ||
+      /^\s*\[[^\]]+\]:\s*\S+/.test(line) ||
+      (!open && !listItem && /^( {4}|\t)/.test(line));
+    if (isVerbatim) {
+      flush();
+      blocks.push({ raw: line });
+      continue;
+    }
+
+    const tableRow = line.match(/^\s*\|(.*)\|\s*$/);
+    if (tableRow) {
+      flush();
+      if (/^[\s|:-]+$/.test(line)) {
+        blocks.push({ raw: line });
+        continue;
+      }
+      const cells = tableRow[1].split(/(?<!\\)\|/).map((cell) => {
+        const block = createDocumentBlock([cell], cell, { kind: "cell" }, protect);
+        return { ...block, lead: cell.match(/^\s*/)[0], trail: cell.match(/\s*$/)[0] };
+      });
+      blocks.push({ kind: "table-row", cells, indent: line.match(/^\s*/)[0] });
+      continue;
+    }
+
+    const heading = line.match(/^(\s{0,3}#{1,6}\s+)(.*?)(\s+#+)?\s*$/);
+    if (heading) {
+      flush();
+      const layout = { kind: "heading", prefix: heading[1], suffix: heading[3] || "" };
+      blocks.push(createDocumentBlock([line], heading[2], layout, protect));
+      continue;
+    }
+
+    const quote = line.match(/^(\s*(?:>\s?)+)(.*)$/);
+    if (quote) {
+      flush();
+      blocks.push(createDocumentBlock([line], quote[2], { kind: "quote", prefix: quote[1] }, protect));
+      continue;
+    }
+
+    if (listItem) {
+      flush();
+      const marker = `${listItem[1]}${listItem[2]}${listItem[3]}`;
+      open = {
+        rawLines: [line],
+        sourceLines: [listItem[5]],
+        layout: {
+          kind: "list",
+          prefix: `${marker}${listItem[4] || ""}`,
+          continuation: " ".repeat(marker.length),
+        },
+      };
+      continue;
+    }
+
+    if (open) {
+      open.rawLines.push(line);
+      open.sourceLines.push(line.trim());
+      continue;
+    }
+    open = { rawLines: [line], sourceLines: [line.trim()], layout: { kind: "paragraph", prefix: "" } };
+  }
+  flush();
+
+  return blocks;
+}
+
+function renderMarkdownBlock(block, translated, bilingual) {
+  const { kind, prefix = "", suffix = "" } = block;
+  if (kind === "yaml") {
+    const value = bilingual ? `${block.value} / ${translated}` : translated;
+    return `${prefix}${formatYamlScalar(value, block.quote)}`;
+  }
+
+  const line = block.underline ? `${translated}\n${block.underline}` : `${prefix}${translated}${suffix}`;
+  if (!bilingual) {
+    return line;
+  }
+  if (kind === "list" || kind === "quote") {
+    // A trailing double space forces a line break inside the same list item or quote.
+    const continuation = kind === "list" ? block.continuation : prefix;
+    return `${block.rawLines.join("\n")}  \n${continuation}${translated}`;
+  }
+  return `${block.rawLines.join("\n")}\n\n${line}`;
+}
+
+function parsePlainTextDocument(content) {
+  const blocks = [];
+  const protect = (text, protector) => protectUrls(text, protector);
+  for (const paragraph of content.split(/(\n[ \t]*\n)/)) {
+    const body = paragraph.trim();
+    if (!body) {
+      blocks.push({ raw: paragraph, joined: true });
+      continue;
+    }
+    blocks.push({ raw: paragraph.match(/^\s*/)[0], joined: true });
+    const block = createDocumentBlock([body], body, { kind: "paragraph" }, protect);
+    blocks.push({ ...block, joined: true });
+    blocks.push({ raw: paragraph.match(/\s*$/)[0], joined: true });
+  }
+  return blocks;
+}
+
+function escapeHtmlText(text) {
+  return text.replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function findClosingTag(content, name, fromIndex) {
+  const closePattern = new RegExp(`</${name}\\s*>`, "gi");
+  closePattern.lastIndex = fromIndex;
+  const match = closePattern.exec(content);
+  return match ? match.index + match[0].length : content.length;
+}
+
+function parseHtmlDocument(content) {
+  const blocks = [];
+  let run = null;
+  let inTitle = false;
+
+  function startRun() {
+    if (!run) {
+      run = { raw: "", text: "", protector: createLiteralProtector(), stack: [] };
+    }
+    return run;
+  }
+
+  function flush() {
+    if (!run) {
+      return;
+    }
+    // Tags left open inside the run become plain literals so every placeholder stays balanced.
+    let text = run.text;
+    for (const { id } of run.stack) {
+      const literal = run.protector.literals[id];
+      run.protector.literals[id] = { literal: literal.open };
+      text = text.replace(`<x${id}>`, `<x${id}/>`);
+    }
+
+    const lead = text.match(/^\s*/)[0];
+    const trail = text.match(/\s*$/)[0];
+    if (hasTranslatableText(text)) {
+      blocks.push({ raw: lead, joined: true });
+      blocks.push({
+        rawLines: [run.raw.trim()],
+        text: text.trim(),
+        literals: run.protector.literals,
+        kind: inTitle ? "title" : "html",
+        joined: true,
+      });
+      blocks.push({ raw: trail, joined: true });
+    } else {
+      blocks.push({ raw: run.raw, joined: true });
+    }
+    run = null;
+  }
+
+  HTML_TOKEN_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = HTML_TOKEN_PATTERN.exec(content)) !== null) {
+    const token = match[0];
+    const name = (match[1] || "").toLowerCase();
+    const isClose = token.startsWith("</");
+
+    if (!name) {
+      if (token.startsWith("<!--") || token.startsWith("<!") || token.startsWith("<?")) {
+        if (run) {
+          run.raw += token;
+          run.text += run.protector.literal(token);
+        } else {
+          blocks.push({ raw: token, joined: true });
+        }
+        continue;
+      }
+      if (!run && !token.trim()) {
+        blocks.push({ raw: token, joined: true });
+        continue;
+      }
+      const current = startRun();
+      current.raw += token;
+      current.text += protectUrls(token, current.protector);
+      continue;
+    }
+
+    if (!isClose && (HTML_BLOCK_VERBATIM_TAGS.has(name) || HTML_INLINE_VERBATIM_TAGS.has(name))) {
+      const end = findClosingTag(content, name, HTML_TOKEN_PATTERN.lastIndex);
+      const verbatim = content.slice(match.index, end);
+      HTML_TOKEN_PATTERN.lastIndex = end;
+      if (HTML_BLOCK_VERBATIM_TAGS.has(name)) {
+        flush();
+        blocks.push({ raw: verbatim, joined: true });
+      } else {
+        const current = startRun();
+        current.raw += verbatim;
+        current.text += current.protector.literal(verbatim);
+      }
+      continue;
+    }
+
+    if (HTML_VOID_INLINE_TAGS.has(name) || (HTML_INLINE_TAGS.has(name) && token.endsWith("/>"))) {
+      const current = startRun();
+      current.raw += token;
+      current.text += current.protector.literal(token);
+      continue;
+    }
+
+    if (HTML_INLINE_TAGS.has(name)) {
+      const current = startRun();
+      current.raw += token;
+      if (!isClose) {
+        const id = current.protector.open(token);
+        current.stack.push({ id, name });
+        current.text += `<x${id}>`;
+        continue;
+      }
+
+      const top = current.stack[current.stack.length - 1];
+      if (top && top.name === name) {
+        current.stack.pop();
+        current.protector.literals[top.id].close = token;
+        current.text += `</x${top.id}>`;
+      } else {
+        current.text += current.protector.literal(token);
+      }
+      continue;
+    }
+
+    // Any other element is a block boundary.
+    flush();
+    blocks.push({ raw: token, joined: true });
+    if (name === "title") {
+      inTitle = !isClose;
+    }
+  }
+  flush();
+
+  return blocks;
+}
+
+function renderHtmlBlock(block, translated, bilingual, targetLang) {
+  if (!bilingual) {
+    return translated;
+  }
+  if (block.kind === "title") {
+    return `${block.rawLines[0]} / ${translated}`;
+  }
+  return `${block.rawLines[0]}<br><span class="${DOCUMENT_NOTE_CLASS}" lang="${escapeHtmlText(
+    targetLang
+  ).replace(/"/g, "&quot;")}">${translated}</span>`;
+}
+
+function parseDocument(content, format) {
+  if (format === "markdown") {
+    return parseMarkdownDocument(content);
+  }
+  if (format === "html") {
+    return parseHtmlDocument(content);
+  }
+  return parsePlainTextDocument(content);
+}
+
+function renderDocument(blocks, format, translatedById, { bilingual, targetLang }) {
+  const output = [];
+  const pushBlock = (block, text) => output.push({ text, joined: Boolean(block.joined) });
+
+  const renderText = (block, id) => {
+    const translated = translatedById.get(id);
+    if (translated === undefined) {
+      return null;
+    }
+    const escapeText = format === "html" ? escapeHtmlText : undefined;
+    const restored = restoreLiterals(translated, block.literals, escapeText);
+    if (format === "markdown") {
+      return block.kind === "cell" ? restored : renderMarkdownBlock(block, restored, bilingual);
+    }
+    if (format === "html") {
+      return renderHtmlBlock(block, restored, bilingual, targetLang);
+    }
+    return bilingual ? `${block.rawLines[0]}\n\n${restored}` : restored;
+  };
+
+  blocks.forEach((block, index) => {
+    if (block.raw !== undefined) {
+      pushBlock(block, block.raw);
+      return;
+    }
+
+    if (block.kind === "table-row") {
+      const cells = block.cells.map((cell, cellIndex) => {
+        if (cell.raw !== undefined) {
+          return cell.raw;
+        }
+        const original = cell.rawLines[0].trim();
+        const translated = renderText(cell, `doc-${index}-${cellIndex}`);
+        if (translated === null) {
+          return cell.rawLines[0];
+        }
+        return `${cell.lead}${bilingual ? `${original}<br>${translated}` : translated}${cell.trail}`;
+      });
+      pushBlock(block, `${block.indent}|${cells.join("|")}|`);
+      return;
+    }
+
+    const rendered = renderText(block, `doc-${index}`);
+    pushBlock(block, rendered === null ? block.rawLines.join("\n") : rendered);
+  });
+
+  // Markdown blocks are lines; HTML and plain-text blocks are raw slices that join without separators.
+  return output.reduce(
+    (document, part, index) => (index === 0 ? part.text : `${document}${part.joined ? "" : "\n"}${part.text}`),
+    ""
+  );
+}
+
+function collectDocumentItems(blocks) {
+  const items = [];
+  blocks.forEach((block, index) => {
+    if (block.kind === "table-row") {
+      block.cells.forEach((cell, cellIndex) => {
+        if (cell.text) {
+          items.push({ id: `doc-${index}-${cellIndex}`, text: cell.text, block: cell });
+        }
+      });
+    } else if (block.text) {
+      items.push({ id: `doc-${index}`, text: block.text, block });
+    }
+  });
+  return items;
+}
+
+export function resolveDocumentFormat(format) {
+  const resolved = DOCUMENT_FORMAT_ALIASES[format] || format;
+  if (!DOCUMENT_FORMATS.has(resolved)) {
+    throw createHttpError(400, `Unsupported document format: ${format}. Use markdown, html or text.`);
+  }
+  return resolved;
+}
+
+export async function translateDocument(content, { format, bilingual = false, ...options }) {
+  const blocks = parseDocument(content.replace(/\r\n/g, "\n"), format);
+  const documentItems = collectDocumentItems(blocks);
+  if (documentItems.length > MAX_DOCUMENT_BLOCKS) {
+    throw createHttpError(
+      413,
+      `Document has ${documentItems.length} blocks; the limit is ${MAX_DOCUMENT_BLOCKS}`
+    );
+  }
+
+  let translated = { results: [], failed: [], warnings: [], meta: { total: 0, generated: 0, cacheHits: 0 } };
+  if (documentItems.length > 0) {
+    translated = await translateBatch({
+      ...options,
+      // The original text is reassembled here, so the provider should only return the translation. A document
+      // is rendered in one language, the first one requested.
+      mode: "translation-only",
+      targetLangs: [options.targetLang],
+      qualityCheck: false,
+      items: documentItems.map(({ id, text }) => ({ id, text })),
+    });
+  }
+
+  const itemsById = new Map(documentItems.map((item) => [item.id, item]));
+  const translatedById = new Map();
+  const failed = [...translated.failed];
+  for (const row of translated.results) {
+    const source = itemsById.get(row.id).text;
+    if (hasPlaceholders(source) && !placeholdersMatch(source, row.translatedText)) {
+      // Dropping the placeholders would lose code spans and link targets, so keep the original block.
+      failed.push({
+        id: row.id,
+        reason: "Protected code, links or markup were lost in translation",
+        code: "placeholder_mismatch",
+      });
+      continue;
+    }
+    translatedById.set(row.id, row.translatedText);
+  }
+
+  return {
+    content: renderDocument(blocks, format, translatedById, { bilingual, targetLang: options.targetLang }),
+    failed: failed.map((entry) => ({
+      ...entry,
+      preview: stripPlaceholders(itemsById.get(entry.id)?.text || "").slice(0, 80),
+    })),
+    warnings: translated.warnings,
+    checks: translated.checks,
+    meta: {
+      ...translated.meta,
+      format,
+      bilingual,
+      blocks: documentItems.length,
+      failed: failed.length,
+    },
+  };
+}
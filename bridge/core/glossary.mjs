@@ -0,0 +1,173 @@
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { DATA_DIR } from "./config.mjs";
+import { createHttpError, slugify } from "./util.mjs";
+
+const GLOSSARY_FILE_NAME = "glossaries.json";
+
+export const glossaries = new Map();
+const glossaryFilePath = join(DATA_DIR, GLOSSARY_FILE_NAME);
+let glossaryWriteQueue = Promise.resolve();
+
+function matchesLangPattern(pattern, lang) {
+  if (!pattern || pattern === "*" || pattern === "auto") {
+    return true;
+  }
+  const normalizedPattern = pattern.toLowerCase();
+  const normalizedLang = (lang || "").toLowerCase();
+  // "zh" matches "zh-CN" and "zh-TW"; "zh-CN" only matches itself.
+  return normalizedLang === normalizedPattern || normalizedLang.startsWith(`${normalizedPattern}-`);
+}
+
+export function normalizeGlossary(raw, existingId) {
+  if (!raw || typeof raw !== "object") {
+    throw createHttpError(400, "Glossary body must be a JSON object");
+  }
+
+  const name = typeof raw.name === "string" ? raw.name.trim() : "";
+  if (!name) {
+    throw createHttpError(400, "Glossary `name` is required");
+  }
+  if (!Array.isArray(raw.entries)) {
+    throw createHttpError(400, "Glossary `entries` must be an array");
+  }
+
+  const entries = [];
+  raw.entries.forEach((entry, index) => {
+    const source = typeof entry?.source === "string" ? entry.source.trim() : "";
+    const target = typeof entry?.target === "string" ? entry.target.trim() : "";
+    const doNotTranslate = entry?.doNotTranslate === true;
+
+    if (!source) {
+      throw createHttpError(400, `Glossary entry #${index + 1} is missing \`source\``);
+    }
+    if (!doNotTranslate && !target) {
+      throw createHttpError(
+        400,
+        `Glossary entry "${source}" needs a \`target\` unless \`doNotTranslate\` is true`
+      );
+    }
+
+    entries.push({
+      source,
+      target: doNotTranslate ? source : target,
+      doNotTranslate,
+      caseSensitive: entry?.caseSensitive === true,
+    });
+  });
+
+  const id = existingId || (typeof raw.id === "string" && raw.id.trim() ? slugify(raw.id) : slugify(name));
+  if (!id) {
+    throw createHttpError(400, "Glossary `id` must contain letters or digits");
+  }
+
+  return {
+    id,
+    name,
+    sourceLang: typeof raw.sourceLang === "string" && raw.sourceLang.trim() ? raw.sourceLang.trim() : "*",
+    targetLang: typeof raw.targetLang === "string" && raw.targetLang.trim() ? raw.targetLang.trim() : "*",
+    enabled: raw.enabled !== false,
+    entries,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+export async function loadGlossaries() {
+  let raw = "";
+  try {
+    raw = await readFile(glossaryFilePath, "utf8");
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`[glossary] Failed to read ${glossaryFilePath}: ${error.message}`);
+    }
+    return;
+  }
+
+  const parsed = JSON.parse(raw);
+  for (const glossary of Array.isArray(parsed.glossaries) ? parsed.glossaries : []) {
+    try {
+      const normalized = normalizeGlossary(glossary, glossary.id);
+      normalized.updatedAt = glossary.updatedAt || normalized.updatedAt;
+      glossaries.set(normalized.id, normalized);
+    } catch (error) {
+      console.error(`[glossary] Skipping invalid glossary "${glossary?.id}": ${error.message}`);
+    }
+  }
+  console.log(`[glossary] loaded ${glossaries.size} glossaries from ${glossaryFilePath}`);
+}
+
+// Writes the file with `change` applied to a copy of the glossaries and only then applies it to the live map,
+// so a failed write changes neither prompts nor the file. A failed write is returned to the caller but does not
+// block later ones.
+export function saveGlossaries(change = () => {}) {
+  const write = glossaryWriteQueue.then(async () => {
+    const next = new Map(glossaries);
+    change(next);
+    await mkdir(DATA_DIR, { recursive: true });
+    const tempPath = `${glossaryFilePath}.tmp`;
+    const payload = { glossaries: [...next.values()] };
+    await writeFile(tempPath, `${JSON.stringify(payload, null, 2)}\n`, "utf8");
+    await rename(tempPath, glossaryFilePath);
+    glossaries.clear();
+    next.forEach((value, id) => glossaries.set(id, value));
+  });
+  glossaryWriteQueue = write.catch((error) => {
+    console.error(`[glossary] Failed to write ${glossaryFilePath}: ${error.message}`);
+  });
+  return write;
+}
+
+export function resolveGlossaryTerms({ glossaryIds, sourceLang, targetLang }) {
+  const selected = Array.isArray(glossaryIds)
+    ? glossaryIds.map((id) => glossaries.get(id)).filter(Boolean)
+    : [...glossaries.values()].filter((glossary) => glossary.enabled);
+
+  const terms = [];
+  for (const glossary of selected) {
+    if (!matchesLangPattern(glossary.targetLang, targetLang)) {
+      continue;
+    }
+    if (sourceLang !== "auto" && !matchesLangPattern(glossary.sourceLang, sourceLang)) {
+      continue;
+    }
+    terms.push(...glossary.entries);
+  }
+
+  // Longer terms first so "Codex CLI" wins over "Codex" when both are defined.
+  return terms.sort((a, b) => b.source.length - a.source.length);
+}
+
+function termOccursIn(text, term, caseSensitive) {
+  const haystack = caseSensitive ? text : text.toLowerCase();
+  const needle = caseSensitive ? term : term.toLowerCase();
+  if (!needle) {
+    return false;
+  }
+
+  const wordChar = /[A-Za-z0-9_]/;
+  const needsStartBoundary = wordChar.test(needle[0]);
+  const needsEndBoundary = wordChar.test(needle[needle.length - 1]);
+
+  let index = haystack.indexOf(needle);
+  while (index !== -1) {
+    const before = haystack[index - 1] || "";
+    const after = haystack[index + needle.length] || "";
+    const startOk = !needsStartBoundary || !wordChar.test(before);
+    const endOk = !needsEndBoundary || !wordChar.test(after);
+    if (startOk && endOk) {
+      return true;
+    }
+    index = haystack.indexOf(needle, index + 1);
+  }
+  return false;
+}
+
+export function findGlossaryTerms(text, terms) {
+  return terms.filter((term) => termOccursIn(text, term.source, term.caseSensitive));
+}
+
+export function findMissingGlossaryTerms(sourceText, translatedText, terms) {
+  return findGlossaryTerms(sourceText, terms).filter(
+    (term) => !termOccursIn(translatedText, term.target, term.caseSensitive)
+  );
+}
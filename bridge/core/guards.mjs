@@ -0,0 +1,145 @@
+import { stripPlaceholders } from "./text.mjs";
+import { detectLanguage, matchesTargetLanguage } from "./detect.mjs";
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"'`]+/gi;
+const EMAIL_PATTERN = /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g;
+const INLINE_CODE_PATTERN = /`([^`\n]+)`/g;
+const NUMBER_PATTERN = /\d[\d,.'\u00a0\u202f]*\d|\d/g;
+const WIDE_CHAR_PATTERN =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\u3000-\u303f\uff01-\uff60]/u;
+// Chinese, Japanese and Korean write large numbers with their own units (1,000,000 -> 100万).
+const CJK_LANG_PATTERN = /^(zh|ja|ko)(-|$)/i;
+const CJK_NUMBER_UNIT_PATTERN = /[万萬亿億兆만억조]/;
+
+const MIN_RATIO_CHECK_WIDTH = 20;
+const MIN_LENGTH_RATIO = 0.3;
+const MAX_LENGTH_RATIO = 3.5;
+const MIN_ECHO_CHECK_CHARS = 20;
+
+const META_COMMENTARY_PATTERNS = [
+  /^\s*(?:sure|certainly|of course|okay)[,.!]\s/i,
+  /^\s*here(?:'s| is| are) (?:the |your )?translat/i,
+  /^\s*(?:translation|translated text)\s*[:：]/i,
+  /[(（]\s*(?:note|translator'?s note|注|译注|訳注)\s*[:：]/i,
+  /\bas an ai\b/i,
+  /^\s*(?:以下是|下面是|这是).{0,12}(?:翻译|译文)/,
+  /^\s*(?:翻訳|訳文|译文)\s*[:：]/,
+];
+
+function listMatches(text, pattern) {
+  return [...text.matchAll(pattern)].map((match) => match[1] ?? match[0]);
+}
+
+function trimUrl(url) {
+  return url.replace(/[.,;:!?)\]}]+$/, "");
+}
+
+// Digits only, so "1,200.50", "1 200,50" and "1200.50" all compare equal.
+function numberKey(number) {
+  return number.replace(/\D/g, "");
+}
+
+function measureText(text) {
+  let width = 0;
+  for (const char of text) {
+    width += WIDE_CHAR_PATTERN.test(char) ? 2 : 1;
+  }
+  return width;
+}
+
+function findMissingNumbers(source, translated, targetLang) {
+  const present = new Set(listMatches(translated, NUMBER_PATTERN).map(numberKey));
+  const usesCjkUnits = CJK_LANG_PATTERN.test(targetLang || "") && CJK_NUMBER_UNIT_PATTERN.test(translated);
+  return [...new Set(listMatches(source, NUMBER_PATTERN))].filter((number) => {
+    const key = numberKey(number);
+    // Single digits are routinely written out as words ("3 days" -> "三天").
+    if (key.length < 2 || present.has(key)) {
+      return false;
+    }
+    return !(usesCjkUnits && key.length >= 5);
+  });
+}
+
+/**
+ * Checks one translation against its source and returns the problems found as `{code, message}` entries.
+ * The checks are deliberately conservative: each one only fires on output that is very likely wrong.
+ */
+export function findOutputViolations(sourceText, translatedText, { targetLang } = {}) {
+  const source = stripPlaceholders(sourceText);
+  const translated = stripPlaceholders(translatedText);
+  const violations = [];
+
+  const missingUrls = [...new Set(listMatches(source, URL_PATTERN).map(trimUrl))].filter(
+    (url) => !translated.includes(url)
+  );
+  if (missingUrls.length > 0) {
+    violations.push({
+      code: "missing_url",
+      message: `URLs missing from the translation: ${missingUrls.join(", ")}`,
+    });
+  }
+
+  const lowerTranslated = translated.toLowerCase();
+  const missingEmails = [...new Set(listMatches(source, EMAIL_PATTERN))].filter(
+    (email) => !lowerTranslated.includes(email.toLowerCase())
+  );
+  if (missingEmails.length > 0) {
+    violations.push({
+      code: "missing_email",
+      message: `Email addresses missing from the translation: ${missingEmails.join(", ")}`,
+    });
+  }
+
+  const missingCode = [...new Set(listMatches(source, INLINE_CODE_PATTERN))].filter(
+    (code) => !translated.includes(code)
+  );
+  if (missingCode.length > 0) {
+    violations.push({
+      code: "missing_code",
+      message: `Inline code changed or missing: ${missingCode.map((code) => `\`${code}\``).join(", ")}`,
+    });
+  }
+
+  const missingNumbers = findMissingNumbers(source, translated, targetLang);
+  if (missingNumbers.length > 0) {
+    violations.push({
+      code: "missing_number",
+      message: `Numbers missing from the translation: ${missingNumbers.join(", ")}`,
+    });
+  }
+
+  const sourceWidth = measureText(source);
+  if (sourceWidth >= MIN_RATIO_CHECK_WIDTH) {
+    const ratio = measureText(translated) / sourceWidth;
+    if (ratio < MIN_LENGTH_RATIO || ratio > MAX_LENGTH_RATIO) {
+      violations.push({
+        code: "length_ratio",
+        message:
+          `Translation is ${ratio.toFixed(2)}x the length of the source ` +
+          `(expected ${MIN_LENGTH_RATIO}-${MAX_LENGTH_RATIO}x)`,
+      });
+    }
+  }
+
+  if (
+    source.length >= MIN_ECHO_CHECK_CHARS &&
+    translated.replace(/\s+/g, " ") === source.replace(/\s+/g, " ") &&
+    !matchesTargetLanguage(detectLanguage(source), targetLang)
+  ) {
+    violations.push({ code: "untranslated", message: "Translation is identical to the source text" });
+  }
+
+  const commentary = META_COMMENTARY_PATTERNS.find((pattern) => pattern.test(translated) && !pattern.test(source));
+  if (commentary) {
+    violations.push({
+      code: "meta_commentary",
+      message: `Translation contains commentary instead of only the translated text: "${translated.slice(0, 60)}"`,
+    });
+  }
+
+  return violations;
+}
+
+// Wrong language or chatter is never worth keeping; a missing number may be a false positive, so such output is
+// still cached rather than re-requested on every visit.
+export const UNCACHEABLE_VIOLATIONS = new Set(["untranslated", "meta_commentary"]);
@@ -0,0 +1,96 @@
+import { appendFile, mkdir, rename, rm, stat } from "node:fs/promises";
+import { join } from "node:path";
+import { LOG_DIR, LOG_MAX_BYTES, LOG_MAX_FILES, LOG_REDACT, LOG_TO_FILE } from "./config.mjs";
+
+const LOG_FILE_NAME = "bridge.log";
+
+// Stays empty until the server opens the log, so the CLI never writes one.
+let logFilePath = "";
+let logFileBytes = 0;
+let logWriteQueue = Promise.resolve();
+
+export async function openLogFile({ fileName = LOG_FILE_NAME } = {}) {
+  if (!LOG_TO_FILE) {
+    return "";
+  }
+
+  await mkdir(LOG_DIR, { recursive: true });
+  const path = join(LOG_DIR, fileName);
+  try {
+    logFileBytes = (await stat(path)).size;
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+    logFileBytes = 0;
+  }
+  logFilePath = path;
+  return path;
+}
+
+// bridge.log -> bridge.log.1 -> ... -> bridge.log.<LOG_MAX_FILES>, which is dropped. Rotation is not safe across
+// processes, so each process writes its own file.
+async function rotateLogFile() {
+  await rm(`${logFilePath}.${LOG_MAX_FILES}`, { force: true });
+  for (let index = LOG_MAX_FILES - 1; index >= 1; index -= 1) {
+    await rename(`${logFilePath}.${index}`, `${logFilePath}.${index + 1}`).catch((error) => {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    });
+  }
+  await rename(logFilePath, `${logFilePath}.1`);
+  logFileBytes = 0;
+}
+
+/**
+ * Appends one JSON line `{time, event, ...fields}` to the bridge log. Fields must not hold page text; anything
+ * that might (provider stderr, error messages quoting output) goes through `redactText` or `describeErrorForLog`.
+ */
+export function logEvent(event, fields = {}) {
+  if (!logFilePath) {
+    return;
+  }
+
+  const line = `${JSON.stringify({ time: new Date().toISOString(), event, ...fields })}\n`;
+  logWriteQueue = logWriteQueue
+    .then(async () => {
+      const bytes = Buffer.byteLength(line);
+      if (logFileBytes > 0 && logFileBytes + bytes > LOG_MAX_BYTES) {
+        await rotateLogFile();
+      }
+      await appendFile(logFilePath, line, { encoding: "utf8", mode: 0o600 });
+      logFileBytes += bytes;
+    })
+    .catch((error) => {
+      console.error(`[log] Failed to write ${logFilePath}: ${error.message}`);
+    });
+}
+
+export function redactText(text) {
+  if (!text) {
+    return undefined;
+  }
+  return LOG_REDACT ? `[redacted ${text.length} chars]` : text;
+}
+
+// Provider failures may quote output or stderr, so with redaction on a 5xx message is only written when the error
+// carries a `safeMessage` without that text. Client errors are the bridge's own validation messages.
+export function describeErrorForLog(error) {
+  const code = error.code || "internal_error";
+  if (!LOG_REDACT) {
+    return { code, error: error.message };
+  }
+  const message = error.safeMessage || ((error.statusCode || 500) < 500 ? error.message : undefined);
+  return { code, error: message };
+}
+
+// The same redaction for console lines: the error code, then the message when describeErrorForLog() keeps it.
+export function describeErrorForConsole(error) {
+  const { code, error: message } = describeErrorForLog(error);
+  return message ? `${code}: ${message}` : code;
+}
+
+export function flushLog() {
+  return logWriteQueue;
+}
@@ -0,0 +1,154 @@
+// In-process metrics for the bridge, rendered in the Prometheus text format by `GET /metrics` and as JSON by
+// `GET /metrics.json`. Values live for the lifetime of the process only.
+const registry = new Map();
+
+const LATENCY_BUCKETS_SECONDS = [0.5, 1, 2, 5, 10, 20, 30, 60, 120];
+const BATCH_SIZE_BUCKETS = [1, 2, 4, 8, 12, 16, 20, 40, 80];
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([left], [right]) => left.localeCompare(right)));
+}
+
+function register(metric) {
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric already registered: ${metric.name}`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+export function createCounter(name, help) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: "counter",
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += amount;
+      series.set(key, entry);
+    },
+    collect: () => [...series.values()],
+  });
+}
+
+export function createHistogram(name, help, buckets) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: "histogram",
+    buckets,
+    observe(labels, value) {
+      const key = labelKey(labels);
+      const entry = series.get(key) || { labels, count: 0, sum: 0, counts: buckets.map(() => 0) };
+      entry.count += 1;
+      entry.sum += value;
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index] += 1;
+        }
+      });
+      series.set(key, entry);
+    },
+    collect: () => [...series.values()],
+  });
+}
+
+// Gauges are read when metrics are collected, so `read` returns the current value (or `[{labels, value}]`).
+export function createGauge(name, help, read) {
+  return register({
+    name,
+    help,
+    type: "gauge",
+    collect() {
+      const value = read();
+      return Array.isArray(value) ? value : [{ labels: {}, value }];
+    },
+  });
+}
+
+export const httpRequests = createCounter(
+  "bridge_http_requests_total",
+  "HTTP requests handled, by route, method and status code."
+);
+export const itemsProcessed = createCounter(
+  "bridge_items_total",
+  "Blocks per target language, by outcome: generated, cache_hit, coalesced, skipped or failed."
+);
+export const providerCalls = createCounter("bridge_provider_calls_total", "Translation calls sent to a provider.");
+export const codexSpawns = createCounter("bridge_codex_spawns_total", "Codex CLI processes started, by subcommand.");
+export const codexExits = createCounter(
+  "bridge_codex_exits_total",
+  "Codex CLI processes that ended, by exit code (`signal` when killed)."
+);
+export const providerTimeouts = createCounter("bridge_provider_timeouts_total", "Provider calls that timed out.");
+export const parseFailures = createCounter(
+  "bridge_parse_failures_total",
+  "Provider outputs that could not be parsed into translations."
+);
+export const batchRetries = createCounter("bridge_batch_retries_total", "Batches retried after a transient error.");
+export const batchDuration = createHistogram(
+  "bridge_batch_duration_seconds",
+  "Time one batch attempt held a translation slot, including repair passes.",
+  LATENCY_BUCKETS_SECONDS
+);
+export const batchItems = createHistogram("bridge_batch_items", "Items sent per batch attempt.", BATCH_SIZE_BUCKETS);
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels, extra = {}) {
+  const pairs = Object.entries({ ...labels, ...extra }).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function formatValue(value) {
+  return Number.isFinite(value) ? String(value) : "NaN";
+}
+
+export function renderPrometheusMetrics() {
+  const lines = [];
+  for (const metric of registry.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+    for (const entry of metric.collect()) {
+      if (metric.type !== "histogram") {
+        lines.push(`${metric.name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+        continue;
+      }
+      metric.buckets.forEach((bound, index) => {
+        lines.push(`${metric.name}_bucket${formatLabels(entry.labels, { le: bound })} ${entry.counts[index]}`);
+      });
+      lines.push(
+        `${metric.name}_bucket${formatLabels(entry.labels, { le: "+Inf" })} ${entry.count}`,
+        `${metric.name}_sum${formatLabels(entry.labels)} ${formatValue(entry.sum)}`,
+        `${metric.name}_count${formatLabels(entry.labels)} ${entry.count}`
+      );
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+// Histogram buckets are cumulative here too, keyed by their upper bound.
+export function snapshotMetrics() {
+  const snapshot = {};
+  for (const metric of registry.values()) {
+    snapshot[metric.name] = {
+      type: metric.type,
+      help: metric.help,
+      series: metric.collect().map((entry) =>
+        metric.type === "histogram"
+          ? {
+              labels: entry.labels,
+              count: entry.count,
+              sum: entry.sum,
+              buckets: Object.fromEntries(metric.buckets.map((bound, index) => [bound, entry.counts[index]])),
+            }
+          : { labels: entry.labels, value: entry.value }
+      ),
+    };
+  }
+  return snapshot;
+}
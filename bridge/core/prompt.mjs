@@ -0,0 +1,418 @@
+import { tail } from "./util.mjs";
+import { TONE_INSTRUCTIONS } from "./config.mjs";
+import { hasPlaceholders } from "./text.mjs";
+
+function getToneInstruction(tone) {
+  return TONE_INSTRUCTIONS[tone] ?? TONE_INSTRUCTIONS.natural;
+}
+
+function getModeInstruction(mode) {
+  if (mode === "translation-only") {
+    return "Only output the translated text without adding source-language fragments.";
+  }
+  return "Output should read well as bilingual reading support context.";
+}
+
+// In a batch that mixes target languages, terms and references say which language they apply to.
+function buildGlossaryInstruction(terms, multilingual = false) {
+  if (!terms || terms.length === 0) {
+    return [];
+  }
+
+  const required = terms
+    .filter((term) => !term.doNotTranslate)
+    .map((term) => ({
+      source: term.source,
+      target: term.target,
+      ...(multilingual ? { targetLang: term.targetLang } : {}),
+    }));
+  const untranslated = terms
+    .filter((term) => term.doNotTranslate)
+    .map((term) => (multilingual ? { source: term.source, targetLang: term.targetLang } : term.source));
+
+  const lines = ["Terminology (mandatory):"];
+  if (required.length > 0) {
+    lines.push(`- Translate these source terms exactly as given: ${JSON.stringify(required)}`);
+  }
+  if (untranslated.length > 0) {
+    lines.push(`- Keep these terms verbatim, do not translate them: ${JSON.stringify(untranslated)}`);
+  }
+  return lines;
+}
+
+function buildReferenceInstruction(references, multilingual = false) {
+  if (!references || references.length === 0) {
+    return [];
+  }
+
+  return [
+    "Reference translations (approved earlier; reuse their wording where the source matches, " +
+      "but translate any differing names, numbers or details from the actual input):",
+    JSON.stringify(
+      references.map(({ source, translation, targetLang }) =>
+        multilingual ? { source, targetLang, translation } : { source, translation }
+      )
+    ),
+  ];
+}
+
+// Items may carry neighbouring text (the previous block, subtitle cues before and after) and the heading they
+// sit under. Items inside a batch already see each other, so only the context around the batch edges is sent,
+// and consecutive items under the same heading are grouped into one section.
+function buildContextInstruction(items, pageContext) {
+  const page = Object.fromEntries(
+    Object.entries({
+      title: pageContext?.title,
+      description: pageContext?.description,
+      site: pageContext?.siteName,
+    }).filter(([, value]) => value)
+  );
+  const before = items[0]?.context?.before || "";
+  const after = items[items.length - 1]?.context?.after || "";
+
+  const sections = [];
+  for (const item of items) {
+    const heading = item.context?.heading;
+    if (!heading) {
+      continue;
+    }
+    const last = sections[sections.length - 1];
+    if (last?.heading === heading) {
+      last.ids.push(item.id);
+    } else {
+      sections.push({ heading, ids: [item.id] });
+    }
+  }
+
+  if (Object.keys(page).length === 0 && !before && !after && sections.length === 0) {
+    return [];
+  }
+
+  return [
+    "Context (reference material for disambiguation only; do not translate it or include it in results):",
+    JSON.stringify({
+      ...(Object.keys(page).length > 0 ? { page } : {}),
+      ...(before ? { before } : {}),
+      ...(after ? { after } : {}),
+      ...(sections.length > 0 ? { sections } : {}),
+    }),
+  ];
+}
+
+export const PROMPT_TEMPLATE_VARIABLES = [
+  "sourceLang",
+  "targetLang",
+  "tone",
+  "mode",
+  "glossary",
+  "pageTitle",
+  "items",
+];
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// The built-in prompt, written as a template so user templates can start from it.
+export const DEFAULT_PROMPT_TEMPLATE = [
+  "You are a translation engine.",
+  "Task: translate text from {{sourceLang}} to {{targetLang}}.",
+  "{{tone}}",
+  "{{mode}}",
+  "{{glossary}}",
+].join("\n");
+
+export function listTemplateVariables(body) {
+  return [...new Set([...body.matchAll(TEMPLATE_VARIABLE_PATTERN)].map((match) => match[1]))];
+}
+
+function renderPromptTemplate(body, values) {
+  return (
+    body
+      .split("\n")
+      // A line holding nothing but an empty variable (no glossary, no page title) is dropped entirely.
+      .filter((line) => !/^\s*\{\{\s*[\w.-]+\s*\}\}\s*$/.test(line) || values[line.trim().slice(2, -2).trim()])
+      .join("\n")
+      .replace(TEMPLATE_VARIABLE_PATTERN, (whole, name) => values[name] ?? "")
+  );
+}
+
+export function buildPrompt({
+  sourceLang,
+  targetLang,
+  tone,
+  mode,
+  items,
+  glossary,
+  references,
+  repairNote,
+  template,
+  pageContext,
+}) {
+  const usesPlaceholders = items.some((item) => hasPlaceholders(item.text));
+  const body = template?.body || DEFAULT_PROMPT_TEMPLATE;
+  const variables = listTemplateVariables(body);
+  // Items of a multi-language request name their own target language.
+  const itemLangs = [...new Set(items.map((item) => item.targetLang).filter(Boolean))];
+  const multilingual = itemLangs.length > 1;
+  const itemsJson = JSON.stringify(
+    items.map(({ id, text, targetLang: itemLang }) =>
+      multilingual ? { id, targetLang: itemLang, text } : { id, text }
+    )
+  );
+
+  const instructions = renderPromptTemplate(body, {
+    sourceLang: sourceLang === "auto" ? "auto-detect" : sourceLang,
+    targetLang: multilingual
+      ? `the language in each item's "targetLang" field (${itemLangs.join(", ")})`
+      : itemLangs[0] || targetLang || "zh-CN",
+    tone: getToneInstruction(tone),
+    mode: getModeInstruction(mode),
+    glossary: buildGlossaryInstruction(glossary, multilingual).join("\n"),
+    pageTitle: pageContext?.title || "",
+    items: itemsJson,
+  });
+
+  // Whatever the template says, glossary terms, the output contract and the input are always sent.
+  return [
+    instructions,
+    ...(variables.includes("glossary") ? [] : buildGlossaryInstruction(glossary, multilingual)),
+    ...buildReferenceInstruction(references, multilingual),
+    ...buildContextInstruction(items, pageContext),
+    ...(repairNote ? [repairNote] : []),
+    template ? "Output constraints (these override any conflicting instruction above):" : "Output constraints:",
+    "1) Return ONLY strict JSON, no markdown and no extra text.",
+    '2) Use exactly this schema: {"results":[{"id":"string","translatedText":"string"}]}',
+    "3) Each input id must appear exactly once in results.",
+    "4) Preserve URLs, code snippets, numbers, and proper nouns unless translation is clearly needed.",
+    ...[
+      ...(usesPlaceholders
+        ? [
+            "Inputs contain inline markup placeholders such as <x1>...</x1> and <x2/>. Keep every placeholder " +
+              "exactly once, keep pairs balanced and properly nested, and wrap the translated words that " +
+              "correspond to the original span. Never translate or rename placeholders.",
+          ]
+        : []),
+      ...(multilingual
+        ? ["The same text may appear once per target language. Translate each input into its own targetLang."]
+        : []),
+    ].map((rule, index) => `${index + 5}) ${rule}`),
+    ...(variables.includes("items") ? [] : ["Input:", itemsJson]),
+  ].join("\n");
+}
+
+// Second step of the quality check: the model compares each source with a back-translation that was made
+// without seeing the source, and scores how much of the meaning survived.
+export function buildQualityPrompt({ sourceLang, items }) {
+  const source = sourceLang && sourceLang !== "auto" ? sourceLang : "the original language";
+  return [
+    "You are a translation quality reviewer.",
+    `Each item has an original text ("source", in ${source}), its translation ("translation"), and a ` +
+      'back-translation of that translation into the original language ("backTranslation") made without ' +
+      "seeing the source.",
+    "Compare the meaning of source and backTranslation, and check the translation itself where they differ.",
+    "Score adequacy from 0 (meaning lost or reversed) to 100 (meaning fully preserved).",
+    "List concrete discrepancies only: omissions, additions, mistranslated terms, and wrong numbers, names, " +
+      "dates or negation. Ignore wording differences that keep the meaning. Write each issue as one short " +
+      "sentence in English.",
+    "Output constraints:",
+    "1) Return ONLY strict JSON, no markdown and no extra text.",
+    '2) Use exactly this schema: {"results":[{"id":"string","score":0,"issues":["string"]}]}',
+    "3) Each input id must appear exactly once in results. Use an empty issues array when nothing is wrong.",
+    "Input:",
+    JSON.stringify(items),
+  ].join("\n");
+}
+
+function sliceBalancedJson(text, startIndex) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let index = startIndex; index < text.length; index += 1) {
+    const char = text[index];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === "\\") {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+      continue;
+    }
+
+    if (char === "{" || char === "[") {
+      stack.push(char);
+      continue;
+    }
+
+    if (char === "}" || char === "]") {
+      const open = stack.pop();
+      if (!open) {
+        return null;
+      }
+      if ((open === "{" && char !== "}") || (open === "[" && char !== "]")) {
+        return null;
+      }
+      if (stack.length === 0) {
+        return text.slice(startIndex, index + 1);
+      }
+    }
+  }
+
+  return null;
+}
+
+function extractJsonCandidate(text) {
+  const trimmed = (text || "").trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  try {
+    JSON.parse(trimmed);
+    return trimmed;
+  } catch {
+    // Continue with fallback extraction.
+  }
+
+  const fencedMatch = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fencedMatch && fencedMatch[1]) {
+    const fenced = fencedMatch[1].trim();
+    try {
+      JSON.parse(fenced);
+      return fenced;
+    } catch {
+      // Continue with fallback extraction.
+    }
+  }
+
+  for (let index = 0; index < trimmed.length; index += 1) {
+    const char = trimmed[index];
+    if (char !== "{" && char !== "[") {
+      continue;
+    }
+
+    const candidate = sliceBalancedJson(trimmed, index);
+    if (!candidate) {
+      continue;
+    }
+
+    try {
+      JSON.parse(candidate);
+      return candidate;
+    } catch {
+      // Keep searching.
+    }
+  }
+
+  return null;
+}
+
+function normalizeParsedResults(parsed, batchItems) {
+  let rows = [];
+
+  if (Array.isArray(parsed)) {
+    rows = parsed;
+  } else if (parsed && typeof parsed === "object") {
+    if (Array.isArray(parsed.results)) {
+      rows = parsed.results;
+    } else if (Array.isArray(parsed.translations)) {
+      rows = parsed.translations;
+    }
+  }
+
+  const normalized = [];
+  for (let index = 0; index < rows.length; index += 1) {
+    const row = rows[index];
+
+    if (typeof row === "string") {
+      const source = batchItems[index];
+      if (source) {
+        normalized.push({ id: source.id, translatedText: row.trim() });
+      }
+      continue;
+    }
+
+    if (!row || typeof row !== "object") {
+      continue;
+    }
+
+    const id = typeof row.id === "string" ? row.id : batchItems[index]?.id;
+    const translatedText =
+      typeof row.translatedText === "string"
+        ? row.translatedText
+        : typeof row.translation === "string"
+        ? row.translation
+        : typeof row.text === "string"
+        ? row.text
+        : "";
+
+    if (id && translatedText.trim()) {
+      normalized.push({ id, translatedText: translatedText.trim() });
+    }
+  }
+
+  return normalized;
+}
+
+export function parseTranslationOutput(rawOutput, batchItems) {
+  const output = (rawOutput || "").trim();
+  if (!output) {
+    throw new Error("Provider returned empty output");
+  }
+
+  const jsonCandidate = extractJsonCandidate(output);
+  if (jsonCandidate) {
+    const parsed = JSON.parse(jsonCandidate);
+    const normalized = normalizeParsedResults(parsed, batchItems);
+    if (normalized.length > 0) {
+      return normalized;
+    }
+  }
+
+  if (batchItems.length === 1) {
+    return [{ id: batchItems[0].id, translatedText: output.replace(/^"|"$/g, "").trim() }];
+  }
+
+  throw new Error(`Unable to parse provider output as translation JSON. Output tail: ${tail(output, 12)}`);
+}
+
+const MAX_QUALITY_ISSUES = 5;
+const MAX_QUALITY_ISSUE_CHARS = 300;
+
+export function parseQualityOutput(rawOutput, batchItems) {
+  const jsonCandidate = extractJsonCandidate(rawOutput);
+  if (!jsonCandidate) {
+    throw new Error(`Unable to parse quality review output as JSON. Output tail: ${tail(rawOutput || "", 12)}`);
+  }
+
+  const parsed = JSON.parse(jsonCandidate);
+  const rows = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.results) ? parsed.results : [];
+  const reviews = [];
+  rows.forEach((row, index) => {
+    const id = typeof row?.id === "string" ? row.id : batchItems[index]?.id;
+    const score = Number(row?.score);
+    if (!id || !Number.isFinite(score)) {
+      return;
+    }
+
+    reviews.push({
+      id,
+      score: Math.round(Math.min(100, Math.max(0, score))),
+      issues: (Array.isArray(row.issues) ? row.issues : [])
+        .filter((issue) => typeof issue === "string" && issue.trim())
+        .slice(0, MAX_QUALITY_ISSUES)
+        .map((issue) => issue.trim().slice(0, MAX_QUALITY_ISSUE_CHARS)),
+    });
+  });
+
+  if (reviews.length === 0) {
+    throw new Error("Quality review returned no scores");
+  }
+  return reviews;
+}
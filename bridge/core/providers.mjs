@@ -0,0 +1,422 @@
+import { spawn } from "node:child_process";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  CODEX_ARGS,
+  CODEX_BIN,
+  DEFAULT_PROVIDER,
+  HEALTH_CACHE_MS,
+  MAX_CONCURRENCY,
+  OPENAI_COMPAT_API_KEY,
+  OPENAI_COMPAT_BASE_URL,
+  OPENAI_COMPAT_MODEL,
+  REQUEST_TIMEOUT_MS,
+} from "./config.mjs";
+import { createCancelledError, createHttpError, createSemaphore, sanitizeOutput, tail } from "./util.mjs";
+import { codexExits, codexSpawns } from "./metrics.mjs";
+
+export const activeChildren = new Set();
+// Shared across all in-flight HTTP requests so several tabs cannot overload the provider. The server updates the
+// limit when the config file changes.
+export const translationSlots = createSemaphore(MAX_CONCURRENCY);
+let healthSnapshot = null;
+let healthSnapshotAt = 0;
+
+async function runProcess(command, args, { input, timeoutMs = REQUEST_TIMEOUT_MS, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, {
+      env: process.env,
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+    activeChildren.add(child);
+    codexSpawns.inc({ command: args[0] });
+
+    let stdout = "";
+    let stderr = "";
+    let timedOut = false;
+    let cancelled = false;
+    let forceKillTimer = null;
+
+    function terminate() {
+      child.kill("SIGTERM");
+      forceKillTimer = setTimeout(() => {
+        child.kill("SIGKILL");
+      }, 5000);
+    }
+
+    function onAbort() {
+      cancelled = true;
+      terminate();
+    }
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      terminate();
+    }, timeoutMs);
+
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener("abort", onAbort, { once: true });
+      }
+    }
+
+    function cleanup() {
+      clearTimeout(timer);
+      if (forceKillTimer) {
+        clearTimeout(forceKillTimer);
+      }
+      signal?.removeEventListener("abort", onAbort);
+      activeChildren.delete(child);
+    }
+
+    child.stdout.setEncoding("utf8");
+    child.stderr.setEncoding("utf8");
+
+    child.stdout.on("data", (chunk) => {
+      stdout += chunk;
+    });
+
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk;
+    });
+
+    child.on("error", (error) => {
+      cleanup();
+      reject(error);
+    });
+
+    child.on("close", (code) => {
+      cleanup();
+      codexExits.inc({ code: code === null ? "signal" : String(code) });
+      resolve({ code, stdout, stderr, timedOut, cancelled });
+    });
+
+    if (typeof input === "string") {
+      child.stdin.end(input);
+    } else {
+      child.stdin.end();
+    }
+  });
+}
+
+async function runCodexTranslation(prompt, model, signal) {
+  const tempDir = await mkdtemp(join(tmpdir(), "openai-translate-"));
+  const outputPath = join(tempDir, "last-message.txt");
+
+  const args = [
+    "exec",
+    "--skip-git-repo-check",
+    "--sandbox",
+    "read-only",
+    "-o",
+    outputPath,
+    ...CODEX_ARGS,
+  ];
+
+  if (model) {
+    args.push("-m", model);
+  }
+
+  args.push("-");
+
+  try {
+    const runResult = await runProcess(CODEX_BIN, args, { input: prompt, signal });
+
+    let lastMessage = "";
+    try {
+      lastMessage = await readFile(outputPath, "utf8");
+    } catch {
+      // The output file may be missing if Codex failed early.
+    }
+
+    return {
+      ...runResult,
+      lastMessage: sanitizeOutput(lastMessage),
+      cleanStdout: sanitizeOutput(runResult.stdout),
+      cleanStderr: sanitizeOutput(runResult.stderr),
+    };
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+async function getCodexHealth({ force = false } = {}) {
+  const now = Date.now();
+  if (!force && healthSnapshot && now - healthSnapshotAt < HEALTH_CACHE_MS) {
+    return healthSnapshot;
+  }
+
+  const snapshot = {
+    ok: false,
+    codexInstalled: false,
+    codexVersion: null,
+    loggedIn: false,
+    loginMessage: null,
+  };
+
+  try {
+    const versionResult = await runProcess(CODEX_BIN, ["--version"], { timeoutMs: 10_000 });
+    if (versionResult.code === 0) {
+      snapshot.codexInstalled = true;
+      snapshot.codexVersion = sanitizeOutput(versionResult.stdout) || sanitizeOutput(versionResult.stderr);
+    }
+  } catch (error) {
+    snapshot.loginMessage = `Failed to run codex: ${error.message}`;
+    healthSnapshot = snapshot;
+    healthSnapshotAt = Date.now();
+    return snapshot;
+  }
+
+  try {
+    const loginResult = await runProcess(CODEX_BIN, ["login", "status"], { timeoutMs: 20_000 });
+    const combined = sanitizeOutput(`${loginResult.stdout}\n${loginResult.stderr}`);
+    snapshot.loginMessage = combined || "No login status returned";
+    snapshot.loggedIn = /logged in/i.test(combined) && !/not logged in/i.test(combined);
+  } catch (error) {
+    snapshot.loginMessage = `Failed to check login status: ${error.message}`;
+  }
+
+  snapshot.ok = snapshot.codexInstalled && snapshot.loggedIn;
+  healthSnapshot = snapshot;
+  healthSnapshotAt = Date.now();
+  return snapshot;
+}
+
+async function fetchWithTimeout(url, options, timeoutMs, signal) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+function getOpenAICompatHeaders() {
+  const headers = { "Content-Type": "application/json" };
+  if (OPENAI_COMPAT_API_KEY) {
+    headers.Authorization = `Bearer ${OPENAI_COMPAT_API_KEY}`;
+  }
+  return headers;
+}
+
+function toPseudoLocale(text) {
+  const accents = {
+    a: "á", e: "é", i: "í", o: "ö", u: "ü", c: "ç", n: "ñ", y: "ý",
+    A: "Á", E: "É", I: "Í", O: "Ö", U: "Ü", C: "Ç", N: "Ñ", Y: "Ý",
+  };
+  // Leave URLs untouched so pseudo output keeps links usable in demos.
+  return text
+    .split(/(https?:\/\/\S+)/)
+    .map((part) => (/^https?:\/\//.test(part) ? part : part.replace(/[a-zA-Z]/g, (char) => accents[char] || char)))
+    .join("");
+}
+
+const codexProvider = {
+  id: "codex",
+  label: "Codex CLI (OpenAI Auth)",
+  async getHealth({ force = false } = {}) {
+    const health = await getCodexHealth({ force });
+    return {
+      ready: health.ok,
+      message: health.loginMessage,
+      version: health.codexVersion,
+    };
+  },
+  async assertReady() {
+    const health = await getCodexHealth();
+    if (!health.codexInstalled) {
+      throw createHttpError(503, "codex CLI is not available. Install Codex CLI first.");
+    }
+    if (!health.loggedIn) {
+      throw createHttpError(
+        503,
+        "OpenAI auth is not ready. Run `codex login` in terminal and complete ChatGPT sign-in."
+      );
+    }
+  },
+  async translate({ prompt, model, signal }) {
+    const codexResult = await runCodexTranslation(prompt, model, signal);
+
+    if (codexResult.cancelled) {
+      throw createCancelledError();
+    }
+
+    const stderr = codexResult.cleanStderr || codexResult.stderr || "";
+    if (codexResult.timedOut) {
+      throw Object.assign(createHttpError(504, "Codex request timed out", "provider_timeout"), {
+        exitCode: codexResult.code,
+        stderr,
+      });
+    }
+
+    if (codexResult.code !== 0 && !codexResult.lastMessage && !codexResult.cleanStdout) {
+      const details = tail(stderr, 20);
+      throw Object.assign(
+        createHttpError(502, `Codex exec failed (exit ${codexResult.code}). ${details}`, "provider_unavailable"),
+        { safeMessage: `Codex exec failed (exit ${codexResult.code})`, exitCode: codexResult.code, stderr }
+      );
+    }
+
+    return {
+      output: codexResult.lastMessage || codexResult.cleanStdout,
+      stderr,
+      exitCode: codexResult.code,
+    };
+  },
+};
+
+const openAICompatProvider = {
+  id: "openai-compatible",
+  label: "OpenAI-compatible endpoint",
+  async getHealth() {
+    try {
+      const response = await fetchWithTimeout(
+        `${OPENAI_COMPAT_BASE_URL}/models`,
+        { method: "GET", headers: getOpenAICompatHeaders() },
+        3000
+      );
+      return {
+        ready: response.ok,
+        message: response.ok ? `Reachable at ${OPENAI_COMPAT_BASE_URL}` : `HTTP ${response.status} from /models`,
+        baseUrl: OPENAI_COMPAT_BASE_URL,
+      };
+    } catch (error) {
+      return {
+        ready: false,
+        message: `Cannot reach ${OPENAI_COMPAT_BASE_URL}: ${error.message}`,
+        baseUrl: OPENAI_COMPAT_BASE_URL,
+      };
+    }
+  },
+  async assertReady(model) {
+    if (!model && !OPENAI_COMPAT_MODEL) {
+      throw createHttpError(
+        400,
+        "No model configured for the OpenAI-compatible provider. Set OPENAI_COMPAT_MODEL or pass `model`."
+      );
+    }
+  },
+  async translate({ prompt, model, signal }) {
+    let response;
+    try {
+      response = await fetchWithTimeout(
+        `${OPENAI_COMPAT_BASE_URL}/chat/completions`,
+        {
+          method: "POST",
+          headers: getOpenAICompatHeaders(),
+          body: JSON.stringify({
+            model: model || OPENAI_COMPAT_MODEL,
+            temperature: 0,
+            messages: [{ role: "user", content: prompt }],
+          }),
+        },
+        REQUEST_TIMEOUT_MS,
+        signal
+      );
+    } catch (error) {
+      if (signal?.aborted) {
+        throw createCancelledError();
+      }
+      if (error.name === "AbortError") {
+        throw createHttpError(504, "OpenAI-compatible request timed out", "provider_timeout");
+      }
+      throw createHttpError(502, `OpenAI-compatible request failed: ${error.message}`, "provider_unavailable");
+    }
+
+    const rawText = await response.text();
+    if (!response.ok) {
+      const transient = response.status === 429 || response.status >= 500;
+      throw Object.assign(
+        createHttpError(
+          502,
+          `OpenAI-compatible endpoint returned HTTP ${response.status}. ${tail(rawText, 8)}`,
+          transient ? "provider_unavailable" : "provider_rejected"
+        ),
+        { safeMessage: `OpenAI-compatible endpoint returned HTTP ${response.status}` }
+      );
+    }
+
+    let data;
+    try {
+      data = JSON.parse(rawText);
+    } catch {
+      throw createHttpError(
+        502,
+        "OpenAI-compatible endpoint returned a non-JSON response",
+        "provider_unavailable"
+      );
+    }
+
+    return {
+      output: sanitizeOutput(data?.choices?.[0]?.message?.content || ""),
+      stderr: "",
+    };
+  },
+};
+
+const pseudoProvider = {
+  id: "pseudo",
+  label: "Pseudo-locale (offline demo)",
+  async getHealth() {
+    return { ready: true, message: "Built-in deterministic provider" };
+  },
+  async assertReady() {},
+  async translate({ items, targetLang }) {
+    const results = items.map((item) => ({
+      id: item.id,
+      translatedText: `[${item.targetLang || targetLang}] ${toPseudoLocale(item.text)}`,
+    }));
+    return { output: JSON.stringify({ results }), stderr: "" };
+  },
+};
+
+export const PROVIDERS = new Map(
+  [codexProvider, openAICompatProvider, pseudoProvider].map((provider) => [provider.id, provider])
+);
+
+export function resolveProvider(providerId) {
+  const provider = PROVIDERS.get(providerId || DEFAULT_PROVIDER);
+  if (!provider) {
+    throw createHttpError(
+      400,
+      `Unknown provider: ${providerId}. Available: ${[...PROVIDERS.keys()].join(", ")}`
+    );
+  }
+  return provider;
+}
+
+export async function getHealth({ force = false } = {}) {
+  const providers = {};
+  await Promise.all(
+    [...PROVIDERS.values()].map(async (provider) => {
+      providers[provider.id] = { label: provider.label, ...(await provider.getHealth({ force })) };
+    })
+  );
+
+  // The codex provider just refreshed the snapshot, so this read does not spawn again.
+  const codexHealth = await getCodexHealth();
+
+  const defaultReady = Boolean(providers[DEFAULT_PROVIDER]?.ready);
+  return {
+    ...codexHealth,
+    ok: defaultReady,
+    loginMessage:
+      DEFAULT_PROVIDER === codexProvider.id
+        ? codexHealth.loginMessage
+        : providers[DEFAULT_PROVIDER]?.message || codexHealth.loginMessage,
+    defaultProvider: DEFAULT_PROVIDER,
+    providers,
+    concurrency: {
+      limit: translationSlots.limit,
+      active: translationSlots.active,
+      waiting: translationSlots.waiting,
+    },
+  };
+}
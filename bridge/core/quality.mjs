@@ -0,0 +1,116 @@
+import { MAX_CONCURRENCY } from "./config.mjs";
+import { chunk, runWithConcurrency, throwIfCancelled } from "./util.mjs";
+import { stripPlaceholders } from "./text.mjs";
+import { detectLanguage } from "./detect.mjs";
+import { buildPrompt, buildQualityPrompt, parseQualityOutput, parseTranslationOutput } from "./prompt.mjs";
+import { resolveProvider, translationSlots } from "./providers.mjs";
+
+export const DEFAULT_QUALITY_THRESHOLD = 70;
+const QUALITY_BATCH_SIZE = 8;
+
+// With an auto-detected source each item is back-translated into the language it was detected as.
+function resolveBackTranslationLang(source, sourceLang) {
+  if (sourceLang && sourceLang !== "auto") {
+    return sourceLang;
+  }
+  const detection = detectLanguage(source);
+  return detection.reliable ? detection.lang : "en";
+}
+
+async function callProvider(provider, prompt, items, options) {
+  await translationSlots.acquire();
+  try {
+    throwIfCancelled(options.signal);
+    const result = await provider.translate({
+      prompt,
+      model: options.model,
+      items,
+      sourceLang: "auto",
+      targetLang: items[0]?.targetLang || options.sourceLang,
+      signal: options.signal,
+    });
+    return result.output;
+  } finally {
+    translationSlots.release();
+  }
+}
+
+async function reviewBatch(provider, entries, options) {
+  // The back-translation never sees the source, otherwise it would simply echo it.
+  const backItems = entries.map((entry) => ({ id: entry.id, text: entry.translation, targetLang: entry.backLang }));
+  const backPrompt = buildPrompt({
+    sourceLang: "auto",
+    targetLang: backItems[0].targetLang,
+    tone: "faithful",
+    mode: "translation-only",
+    items: backItems,
+  });
+  const backById = new Map(
+    parseTranslationOutput(await callProvider(provider, backPrompt, backItems, options), backItems).map((row) => [
+      row.id,
+      row.translatedText,
+    ])
+  );
+
+  const reviewItems = entries
+    .filter((entry) => backById.has(entry.id))
+    .map((entry) => ({
+      id: entry.id,
+      source: entry.source,
+      translation: entry.translation,
+      backTranslation: backById.get(entry.id),
+    }));
+  if (reviewItems.length === 0) {
+    return [];
+  }
+
+  const reviewPrompt = buildQualityPrompt({ sourceLang: options.sourceLang, items: reviewItems });
+  const providerItems = reviewItems.map((item) => ({ id: item.id, text: item.translation }));
+  const reviews = parseQualityOutput(await callProvider(provider, reviewPrompt, providerItems, options), reviewItems);
+  return reviews.map((review) => ({ ...review, backTranslation: backById.get(review.id) }));
+}
+
+// Back-translates translated rows and has the model score them against their source. Returns the reviews in row
+// order (null where no score came back) plus warnings; a failed review never fails the translation itself.
+export async function reviewTranslations(rows, sourceById, options) {
+  const provider = resolveProvider(options.provider);
+  const entries = rows.map((row, index) => {
+    const source = stripPlaceholders(sourceById.get(row.id) || "");
+    return {
+      id: `q${index + 1}`,
+      source,
+      translation: stripPlaceholders(row.translatedText),
+      backLang: resolveBackTranslationLang(source, options.sourceLang),
+    };
+  });
+
+  const reviewById = new Map();
+  const warnings = [];
+  const batches = chunk(entries, QUALITY_BATCH_SIZE);
+  const concurrencyLimit = Math.min(options.concurrency || MAX_CONCURRENCY, MAX_CONCURRENCY);
+  await runWithConcurrency(batches, concurrencyLimit, async (batch) => {
+    try {
+      for (const review of await reviewBatch(provider, batch, options)) {
+        reviewById.set(review.id, review);
+      }
+    } catch (error) {
+      if (error.code === "cancelled") {
+        throw error;
+      }
+      warnings.push(`Quality check failed for ${batch.length} items: ${error.message}`);
+    }
+  });
+
+  const missing = entries.filter((entry) => !reviewById.has(entry.id)).length;
+  if (missing > 0 && warnings.length === 0) {
+    warnings.push(`Quality check returned no score for ${missing} items`);
+  }
+
+  return {
+    reviews: entries.map((entry) => {
+      const review = reviewById.get(entry.id);
+      return review ? { score: review.score, issues: review.issues, backTranslation: review.backTranslation } : null;
+    }),
+    warnings,
+  };
+}
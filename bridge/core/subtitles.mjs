@@ -0,0 +1,301 @@
+import { clampNumber, createHttpError } from "./util.mjs";
+import { hasPlaceholders, placeholdersMatch, stripPlaceholders } from "./text.mjs";
+import { translateBatch } from "./translate.mjs";
+import { createLiteralProtector, hasTranslatableText, restoreLiterals } from "./document.mjs";
+
+const SUBTITLE_FORMATS = new Set(["srt", "vtt"]);
+const SUBTITLE_FORMAT_ALIASES = { subrip: "srt", webvtt: "vtt" };
+const MAX_SUBTITLE_CUES = 10_000;
+const SUBTITLE_CONTEXT_CUES = 2;
+const DEFAULT_MAX_LINE_LENGTH = 42;
+const DEFAULT_MAX_LINES = 2;
+
+const TIMING_PATTERN = /^\s*(\d+:)?\d{1,2}:\d{2}[,.]\d{3}\s+-->\s+(\d+:)?\d{1,2}:\d{2}[,.]\d{3}/;
+const VTT_METADATA_BLOCK_PATTERN = /^(NOTE|STYLE|REGION)(\s|$)/;
+// HTML-like cue tags (<i>, <font color=...>, <c.yellow>, <v Bob>, <00:01.500>) and ASS overrides ({\an8}).
+const CUE_TAG_PATTERN = /<\/?[a-zA-Z0-9][^<>]*>|\{\\[^{}]*\}/g;
+const WIDE_CHAR_PATTERN =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\u3000-\u303f\uff01-\uff60]/u;
+const WIDE_PUNCTUATION_PATTERN = /[，、。；：！？」』）]/;
+const DIALOGUE_LINE_PATTERN = /^[-–—]/;
+
+export function resolveSubtitleFormat(format, content = "") {
+  if (!format) {
+    return /^\uFEFF?WEBVTT/.test(content) ? "vtt" : "srt";
+  }
+  const resolved = SUBTITLE_FORMAT_ALIASES[format] || format;
+  if (!SUBTITLE_FORMATS.has(resolved)) {
+    throw createHttpError(400, `Unsupported subtitle format: ${format}. Use srt or vtt.`);
+  }
+  return resolved;
+}
+
+function stripCueTags(text) {
+  return text.replace(CUE_TAG_PATTERN, "");
+}
+
+function cueTagName(tag) {
+  return tag.match(/^<\/?([a-zA-Z0-9]+)/)?.[1].toLowerCase() || null;
+}
+
+// Paired tags become <xN>...</xN> so the translation can move them with the words they wrap; unpaired ones
+// (VTT voice spans without a closing tag, karaoke timestamps, ASS overrides) become standalone <xN/>.
+function protectCueTags(text, protector) {
+  const parts = text.split(/(<\/?[a-zA-Z0-9][^<>]*>|\{\\[^{}]*\})/);
+  const closingIndexOf = new Map();
+  const stack = [];
+  parts.forEach((part, index) => {
+    const name = index % 2 === 1 ? cueTagName(part) : null;
+    if (!name) {
+      return;
+    }
+    if (!part.startsWith("</")) {
+      stack.push({ name, index });
+      return;
+    }
+    const openIndex = stack.map((entry) => entry.name).lastIndexOf(name);
+    if (openIndex >= 0) {
+      closingIndexOf.set(stack[openIndex].index, index);
+      stack.length = openIndex;
+    }
+  });
+
+  const pairIds = new Map();
+  return parts
+    .map((part, index) => {
+      if (index % 2 === 0) {
+        return part;
+      }
+      if (closingIndexOf.has(index)) {
+        const id = protector.open(part, parts[closingIndexOf.get(index)]);
+        pairIds.set(closingIndexOf.get(index), id);
+        return `<x${id}>`;
+      }
+      if (pairIds.has(index)) {
+        return `</x${pairIds.get(index)}>`;
+      }
+      return protector.literal(part);
+    })
+    .join("");
+}
+
+function joinCueLines(lines) {
+  return lines.reduce((joined, line) => {
+    if (!joined) {
+      return line;
+    }
+    // CJK lines continue without a space; everything else was wrapped at a space.
+    const last = stripCueTags(joined).slice(-1);
+    const first = stripCueTags(line).charAt(0);
+    return `${joined}${WIDE_CHAR_PATTERN.test(last) && WIDE_CHAR_PATTERN.test(first) ? "" : " "}${line}`;
+  }, "");
+}
+
+function createCue(headerLines, textLines) {
+  const lines = textLines.map((line) => line.trim());
+  const stripped = lines.map(stripCueTags);
+  // "- Hi.\n- Hello." is two speakers; their lines are translated together but stay separate.
+  const dialogue = lines.length > 1 && stripped.every((line) => DIALOGUE_LINE_PATTERN.test(line.trim()));
+  const protector = createLiteralProtector();
+  const text = protectCueTags(dialogue ? lines.join("\n") : joinCueLines(lines), protector);
+  if (!hasTranslatableText(text)) {
+    return { raw: [...headerLines, ...textLines].join("\n") };
+  }
+  return { headerLines, textLines, text, literals: protector.literals, dialogue };
+}
+
+function parseSubtitles(content) {
+  const blocks = [];
+  for (const part of content.split(/(\n[ \t]*\n)/)) {
+    const body = part.trimEnd();
+    const lines = body.split("\n");
+    const timingIndex = lines.findIndex((line) => TIMING_PATTERN.test(line));
+    const isCue =
+      body.trim() && timingIndex >= 0 && timingIndex <= 1 && !VTT_METADATA_BLOCK_PATTERN.test(lines[0]);
+    if (!isCue) {
+      blocks.push({ raw: part });
+      continue;
+    }
+    const textLines = lines.slice(timingIndex + 1);
+    blocks.push(
+      textLines.length > 0 ? createCue(lines.slice(0, timingIndex + 1), textLines) : { raw: body, timed: true }
+    );
+    // The final cue usually ends with a newline that is not followed by another cue.
+    blocks.push({ raw: part.slice(body.length) });
+  }
+  return blocks;
+}
+
+function charWidth(char) {
+  return WIDE_CHAR_PATTERN.test(char) ? 2 : 1;
+}
+
+function measureLine(text) {
+  let width = 0;
+  for (const char of stripPlaceholders(text)) {
+    width += charWidth(char);
+  }
+  return width;
+}
+
+// Break opportunities are spaces and the gaps between wide characters, never inside a placeholder tag.
+function findLineBreaks(text) {
+  const breaks = [];
+  let width = 0;
+  let previous = "";
+  let index = 0;
+  while (index < text.length) {
+    const tag = text.slice(index).match(/^<\/?x\d+\/?>/);
+    if (tag) {
+      index += tag[0].length;
+      continue;
+    }
+    const char = String.fromCodePoint(text.codePointAt(index));
+    if (/\s/.test(char)) {
+      breaks.push({ index, width, skip: 1, preferred: /[,.;:!?]/.test(previous) });
+    } else if (
+      WIDE_CHAR_PATTERN.test(char) &&
+      WIDE_CHAR_PATTERN.test(previous) &&
+      !WIDE_PUNCTUATION_PATTERN.test(char)
+    ) {
+      breaks.push({ index, width, skip: 0, preferred: WIDE_PUNCTUATION_PATTERN.test(previous) });
+    }
+    width += charWidth(char);
+    previous = char;
+    index += char.length;
+  }
+  return { breaks, width };
+}
+
+function wrapCueText(text, maxLineLength, maxLines) {
+  const { breaks, width } = findLineBreaks(text);
+  if (width <= maxLineLength || maxLines <= 1 || breaks.length === 0) {
+    return [text];
+  }
+
+  // Aim for evenly balanced lines, nudging towards punctuation when it costs only a few characters. Text
+  // that cannot fit at all is still balanced rather than leaving one short line and one very long one.
+  const lineCount = Math.min(maxLines, Math.ceil(width / maxLineLength));
+  const target = width / lineCount;
+  const fitting = breaks.filter(
+    (entry) =>
+      entry.width > 0 &&
+      entry.width <= maxLineLength &&
+      width - entry.width <= maxLineLength * (lineCount - 1) + entry.skip
+  );
+  const candidates = fitting.length > 0 ? fitting : breaks;
+  const score = (entry) => Math.abs(entry.width - target) - (entry.preferred ? 4 : 0);
+  const best = candidates.reduce((current, entry) => (score(entry) < score(current) ? entry : current));
+
+  const head = text.slice(0, best.index).trimEnd();
+  const rest = text.slice(best.index + best.skip).trimStart();
+  return [head, ...wrapCueText(rest, maxLineLength, maxLines - 1)];
+}
+
+function collectCueItems(blocks) {
+  const cues = [];
+  blocks.forEach((block, index) => {
+    if (block.text) {
+      cues.push({ id: `cue-${index}`, text: block.text, block });
+    }
+  });
+
+  const contextOf = (slice) => slice.map((cue) => stripPlaceholders(cue.text)).join("\n");
+  return cues.map((cue, position) => ({
+    ...cue,
+    context: {
+      before: contextOf(cues.slice(Math.max(0, position - SUBTITLE_CONTEXT_CUES), position)),
+      after: contextOf(cues.slice(position + 1, position + 1 + SUBTITLE_CONTEXT_CUES)),
+    },
+  }));
+}
+
+function renderCueLines(block, translated, { maxLineLength, maxLines }) {
+  const lines = block.dialogue
+    ? translated.split("\n").map((line) => line.trim()).filter(Boolean)
+    : wrapCueText(translated.replace(/\s*\n\s*/g, " ").trim(), maxLineLength, maxLines);
+  return lines.map((line) => restoreLiterals(line, block.literals));
+}
+
+export async function translateSubtitles(content, { format, bilingual = false, ...options }) {
+  const maxLineLength = clampNumber(options.maxLineLength, 10, 200, DEFAULT_MAX_LINE_LENGTH);
+  const maxLines = clampNumber(options.maxLines, 1, 3, DEFAULT_MAX_LINES);
+  const bom = content.startsWith("\uFEFF") ? "\uFEFF" : "";
+  const newline = content.includes("\r\n") ? "\r\n" : "\n";
+  const blocks = parseSubtitles(content.slice(bom.length).replace(/\r\n/g, "\n"));
+  if (!blocks.some((block) => block.text || block.timed)) {
+    throw createHttpError(400, `No ${format === "vtt" ? "WebVTT" : "SRT"} cues found in the subtitle file`);
+  }
+
+  const cueItems = collectCueItems(blocks);
+  if (cueItems.length > MAX_SUBTITLE_CUES) {
+    throw createHttpError(413, `Subtitle file has ${cueItems.length} cues; the limit is ${MAX_SUBTITLE_CUES}`);
+  }
+
+  let translated = { results: [], failed: [], warnings: [], meta: { total: 0, generated: 0, cacheHits: 0 } };
+  if (cueItems.length > 0) {
+    translated = await translateBatch({
+      ...options,
+      mode: "translation-only",
+      targetLangs: [options.targetLang],
+      qualityCheck: false,
+      items: cueItems.map(({ id, text, context }) => ({ id, text, context })),
+    });
+  }
+
+  const itemsById = new Map(cueItems.map((item) => [item.id, item]));
+  const failed = [...translated.failed];
+  const warnings = [...translated.warnings];
+  const renderedById = new Map();
+  let overlong = 0;
+  for (const row of translated.results) {
+    const { block, text } = itemsById.get(row.id);
+    if (hasPlaceholders(text) && !placeholdersMatch(text, row.translatedText)) {
+      failed.push({
+        id: row.id,
+        reason: "Styling tags were lost in translation",
+        code: "placeholder_mismatch",
+      });
+      continue;
+    }
+    const lines = renderCueLines(block, row.translatedText, { maxLineLength, maxLines });
+    if (lines.length > maxLines || lines.some((line) => measureLine(stripCueTags(line)) > maxLineLength)) {
+      overlong += 1;
+      const start = block.headerLines[block.headerLines.length - 1].trim().split(/\s+/)[0];
+      warnings.push(`Cue at ${start} does not fit in ${maxLines} lines of ${maxLineLength} characters`);
+    }
+    renderedById.set(row.id, lines);
+  }
+
+  const output = blocks.map((block, index) => {
+    if (block.raw !== undefined) {
+      return block.raw;
+    }
+    const lines = renderedById.get(`cue-${index}`);
+    if (!lines) {
+      return [...block.headerLines, ...block.textLines].join("\n");
+    }
+    const originalLines = bilingual ? block.textLines.filter((line) => line.trim()) : [];
+    return [...block.headerLines, ...originalLines, ...lines].join("\n");
+  });
+
+  return {
+    content: bom + output.join("").replace(/\n/g, newline),
+    failed: failed.map((entry) => ({
+      ...entry,
+      preview: stripPlaceholders(itemsById.get(entry.id)?.text || "").slice(0, 80),
+    })),
+    warnings,
+    checks: translated.checks,
+    meta: {
+      ...translated.meta,
+      format,
+      bilingual,
+      cues: cueItems.length,
+      failed: failed.length,
+      overlong,
+      maxLineLength,
+      maxLines,
+    },
+  };
+}
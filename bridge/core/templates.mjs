@@ -0,0 +1,107 @@
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { DATA_DIR } from "./config.mjs";
+import { createHttpError, slugify } from "./util.mjs";
+import { listTemplateVariables, PROMPT_TEMPLATE_VARIABLES } from "./prompt.mjs";
+
+const TEMPLATE_FILE_NAME = "prompt-templates.json";
+const MAX_TEMPLATE_CHARS = 20_000;
+
+export const promptTemplates = new Map();
+const templateFilePath = join(DATA_DIR, TEMPLATE_FILE_NAME);
+let templateWriteQueue = Promise.resolve();
+
+export function normalizePromptTemplate(raw, existingId) {
+  if (!raw || typeof raw !== "object") {
+    throw createHttpError(400, "Template body must be a JSON object");
+  }
+
+  const name = typeof raw.name === "string" ? raw.name.trim() : "";
+  if (!name) {
+    throw createHttpError(400, "Template `name` is required");
+  }
+  const body = typeof raw.body === "string" ? raw.body.replace(/\r\n/g, "\n").trim() : "";
+  if (!body) {
+    throw createHttpError(400, "Template `body` is required");
+  }
+  if (body.length > MAX_TEMPLATE_CHARS) {
+    throw createHttpError(400, `Template \`body\` is longer than ${MAX_TEMPLATE_CHARS} characters`);
+  }
+
+  const unknown = listTemplateVariables(body).filter((variable) => !PROMPT_TEMPLATE_VARIABLES.includes(variable));
+  if (unknown.length > 0) {
+    throw createHttpError(
+      400,
+      `Unknown template variable ${unknown.map((variable) => `{{${variable}}}`).join(", ")}. ` +
+        `Available: ${PROMPT_TEMPLATE_VARIABLES.map((variable) => `{{${variable}}}`).join(", ")}`
+    );
+  }
+
+  const id = existingId || (typeof raw.id === "string" && raw.id.trim() ? slugify(raw.id) : slugify(name));
+  if (!id) {
+    throw createHttpError(400, "Template `id` must contain letters or digits");
+  }
+
+  return {
+    id,
+    name,
+    description: typeof raw.description === "string" ? raw.description.trim() : "",
+    body,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+export async function loadPromptTemplates() {
+  let raw = "";
+  try {
+    raw = await readFile(templateFilePath, "utf8");
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`[templates] Failed to read ${templateFilePath}: ${error.message}`);
+    }
+    return;
+  }
+
+  const parsed = JSON.parse(raw);
+  for (const template of Array.isArray(parsed.templates) ? parsed.templates : []) {
+    try {
+      const normalized = normalizePromptTemplate(template, template.id);
+      normalized.updatedAt = template.updatedAt || normalized.updatedAt;
+      promptTemplates.set(normalized.id, normalized);
+    } catch (error) {
+      console.error(`[templates] Skipping invalid template "${template?.id}": ${error.message}`);
+    }
+  }
+  console.log(`[templates] loaded ${promptTemplates.size} prompt templates from ${templateFilePath}`);
+}
+
+// Writes the templates with `change` applied, then updates the live map; a failed write leaves both as they were
+// and does not block later saves.
+export function savePromptTemplates(change = () => {}) {
+  const write = templateWriteQueue.then(async () => {
+    const next = new Map(promptTemplates);
+    change(next);
+    await mkdir(DATA_DIR, { recursive: true });
+    const tempPath = `${templateFilePath}.tmp`;
+    const payload = { templates: [...next.values()] };
+    await writeFile(tempPath, `${JSON.stringify(payload, null, 2)}\n`, "utf8");
+    await rename(tempPath, templateFilePath);
+    promptTemplates.clear();
+    next.forEach((value, id) => promptTemplates.set(id, value));
+  });
+  templateWriteQueue = write.catch((error) => {
+    console.error(`[templates] Failed to write ${templateFilePath}: ${error.message}`);
+  });
+  return write;
+}
+
+export function resolvePromptTemplate(templateId) {
+  if (!templateId) {
+    return null;
+  }
+  const template = promptTemplates.get(templateId);
+  if (!template) {
+    throw createHttpError(400, `Unknown prompt template: ${templateId}`, "unknown_template");
+  }
+  return template;
+}
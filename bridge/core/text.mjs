@@ -0,0 +1,257 @@
+const PLACEHOLDER_PATTERN = /<\/?x\d+\/?>/;
+const SEGMENT_ID_SEPARATOR = "#seg";
+const SENTENCE_BREAK_PATTERN = /(?<=[.!?…]["'”’)\]]*\s+)|(?<=[。！？!?][」』”’）)]*)|(?<=\n)/;
+const CLAUSE_BREAK_PATTERNS = [/[，、；：,;:]\s*/g, /\s+/g];
+const UNSPACED_LANG_PATTERN = /^(zh|ja|th|lo|km|my)(-|$)/i;
+const MAX_ITEM_CONTEXT_CHARS = 300;
+
+// Neighbouring text is reference material only; the tail of the preceding block and the start of the
+// following one are the parts that sit next to the item.
+function normalizeItemContext(raw) {
+  if (!raw || typeof raw !== "object") {
+    return null;
+  }
+
+  const clean = (value) => (typeof value === "string" ? value.replace(/\s+/g, " ").trim() : "");
+  const context = {
+    heading: clean(raw.heading).slice(0, MAX_ITEM_CONTEXT_CHARS),
+    before: clean(raw.before).slice(-MAX_ITEM_CONTEXT_CHARS),
+    after: clean(raw.after).slice(0, MAX_ITEM_CONTEXT_CHARS),
+  };
+  return context.heading || context.before || context.after ? context : null;
+}
+
+export function normalizeItems(rawItems) {
+  if (!Array.isArray(rawItems)) {
+    return [];
+  }
+
+  const items = [];
+  for (let index = 0; index < rawItems.length; index += 1) {
+    const current = rawItems[index];
+    if (!current || typeof current !== "object") {
+      continue;
+    }
+
+    const id =
+      typeof current.id === "string" && current.id.trim().length > 0
+        ? current.id.trim()
+        : `item-${index + 1}`;
+
+    const text = typeof current.text === "string" ? current.text.replace(/\r\n/g, "\n").trim() : "";
+    if (!text) {
+      continue;
+    }
+
+    const context = normalizeItemContext(current.context);
+    items.push(context ? { id, text, context } : { id, text });
+  }
+
+  return items;
+}
+
+function createSentenceSegmenter(sourceLang) {
+  if (typeof Intl.Segmenter !== "function") {
+    return null;
+  }
+
+  const locale = sourceLang && sourceLang !== "auto" ? sourceLang : undefined;
+  try {
+    return new Intl.Segmenter(locale, { granularity: "sentence" });
+  } catch {
+    return new Intl.Segmenter(undefined, { granularity: "sentence" });
+  }
+}
+
+function splitSentences(text, segmenter) {
+  if (segmenter) {
+    return Array.from(segmenter.segment(text), (entry) => entry.segment);
+  }
+  return text.split(SENTENCE_BREAK_PATTERN).filter(Boolean);
+}
+
+function findBreakIndex(window) {
+  // Prefer clause punctuation (including CJK commas), then whitespace, and only then a hard cut.
+  for (const pattern of CLAUSE_BREAK_PATTERNS) {
+    let index = 0;
+    for (const match of window.matchAll(pattern)) {
+      index = match.index + match[0].length;
+    }
+    if (index > window.length / 3) {
+      return index;
+    }
+  }
+
+  // Never cut through a placeholder token such as <x12>.
+  const openBracket = window.lastIndexOf("<");
+  return openBracket > window.lastIndexOf(">") && openBracket > 0 ? openBracket : window.length;
+}
+
+function splitLongPiece(piece, maxChars) {
+  const parts = [];
+  let rest = piece;
+  while (rest.length > maxChars) {
+    const index = findBreakIndex(rest.slice(0, maxChars));
+    parts.push(rest.slice(0, index));
+    rest = rest.slice(index);
+  }
+  if (rest) {
+    parts.push(rest);
+  }
+  return parts;
+}
+
+function placeholderDepthDelta(text) {
+  let delta = 0;
+  for (const token of listPlaceholders(text)) {
+    if (!token.endsWith("/>")) {
+      delta += token.startsWith("</") ? -1 : 1;
+    }
+  }
+  return delta;
+}
+
+function segmentText(text, maxChars, segmenter) {
+  const pieces = splitSentences(text, segmenter).flatMap((piece) =>
+    piece.length > maxChars ? splitLongPiece(piece, maxChars) : [piece]
+  );
+
+  // Pack sentences greedily, but only cut where no inline placeholder pair is left open.
+  const packed = [];
+  let current = "";
+  let depth = 0;
+  for (const piece of pieces) {
+    if (current && depth <= 0 && current.length + piece.length > maxChars) {
+      packed.push(current);
+      current = "";
+    }
+    current += piece;
+    depth += placeholderDepthDelta(piece);
+  }
+  if (current) {
+    packed.push(current);
+  }
+
+  return packed
+    .map((part) => ({ text: part.trim(), lineBreak: /\n\s*$/.test(part) }))
+    .filter((part) => part.text);
+}
+
+export function segmentItems(items, maxChars, sourceLang) {
+  const segmenter = createSentenceSegmenter(sourceLang);
+  const units = [];
+  const groups = new Map();
+  const parentOf = new Map();
+
+  for (const item of items) {
+    const parts = item.text.length > maxChars ? segmentText(item.text, maxChars, segmenter) : [];
+    if (parts.length < 2) {
+      units.push(item);
+      continue;
+    }
+
+    const group = { segmentIds: [], lineBreaks: [] };
+    parts.forEach((part, index) => {
+      const id = `${item.id}${SEGMENT_ID_SEPARATOR}${index + 1}`;
+      units.push(item.context ? { id, text: part.text, context: item.context } : { id, text: part.text });
+      parentOf.set(id, item.id);
+      group.segmentIds.push(id);
+      group.lineBreaks.push(part.lineBreak);
+    });
+    groups.set(item.id, group);
+  }
+
+  return { units, groups, parentOf };
+}
+
+function stitchSegments(texts, lineBreaks, targetLang) {
+  const separator = UNSPACED_LANG_PATTERN.test(targetLang || "") ? "" : " ";
+  return texts
+    .map((text, index) => (index === 0 ? text : `${lineBreaks[index - 1] ? "\n" : separator}${text}`))
+    .join("");
+}
+
+export function createSegmentCollector(segmentation, targetLang) {
+  const translatedById = new Map();
+  const settled = new Set();
+
+  function stitch(parentId) {
+    const group = segmentation.groups.get(parentId);
+    const texts = group.segmentIds.map((id) => translatedById.get(id));
+    if (texts.some((text) => text === undefined)) {
+      return null;
+    }
+    return stitchSegments(texts, group.lineBreaks, targetLang);
+  }
+
+  // Rows for whole items pass straight through; segment rows are held until their siblings arrive.
+  return function collect(rows = [], failedRows = []) {
+    const results = [];
+    const failed = [];
+
+    for (const row of rows) {
+      const parentId = segmentation.parentOf.get(row.id);
+      if (!parentId) {
+        results.push(row);
+        continue;
+      }
+
+      translatedById.set(row.id, row.translatedText);
+      const stitched = settled.has(parentId) ? null : stitch(parentId);
+      if (stitched !== null) {
+        settled.add(parentId);
+        results.push({ id: parentId, translatedText: stitched });
+      }
+    }
+
+    for (const entry of failedRows) {
+      const parentId = segmentation.parentOf.get(entry.id);
+      if (!parentId) {
+        failed.push(entry);
+      } else if (!settled.has(parentId)) {
+        settled.add(parentId);
+        failed.push({ ...entry, id: parentId });
+      }
+    }
+
+    return { results, failed };
+  };
+}
+
+export function hasPlaceholders(text) {
+  return PLACEHOLDER_PATTERN.test(text);
+}
+
+function listPlaceholders(text) {
+  return text.match(new RegExp(PLACEHOLDER_PATTERN.source, "g")) || [];
+}
+
+export function stripPlaceholders(text) {
+  return text
+    .replace(new RegExp(PLACEHOLDER_PATTERN.source, "g"), "")
+    .replace(/[ \t]{2,}/g, " ")
+    .trim();
+}
+
+export function placeholdersMatch(sourceText, translatedText) {
+  const expected = listPlaceholders(sourceText).sort();
+  const actual = listPlaceholders(translatedText);
+  if (expected.length !== actual.length || expected.join() !== [...actual].sort().join()) {
+    return false;
+  }
+
+  // Tags may move with word order, but must still nest properly.
+  const stack = [];
+  for (const tag of actual) {
+    const [, closing, name, selfClosing] = tag.match(/^<(\/?)(x\d+)(\/?)>$/);
+    if (selfClosing) {
+      continue;
+    }
+    if (!closing) {
+      stack.push(name);
+    } else if (stack.pop() !== name) {
+      return false;
+    }
+  }
+  return stack.length === 0;
+}
@@ -0,0 +1,963 @@
+import {
+  BATCH_RETRIES,
+  DEFAULT_BATCH_SIZE,
+  DEFAULT_MAX_CHARS,
+  DEFAULT_MODEL,
+  DEFAULT_PROVIDER,
+  MAX_BATCH_SIZE,
+  MAX_CONCURRENCY,
+  RETRY_BASE_DELAY_MS,
+  TONE_INSTRUCTIONS,
+} from "./config.mjs";
+import {
+  chunk,
+  clampNumber,
+  createCancelledError,
+  createHttpError,
+  runWithConcurrency,
+  sleep,
+  tail,
+  throwIfCancelled,
+} from "./util.mjs";
+import {
+  createSegmentCollector,
+  hasPlaceholders,
+  placeholdersMatch,
+  segmentItems,
+  stripPlaceholders,
+} from "./text.mjs";
+import { detectLanguage, matchesTargetLanguage } from "./detect.mjs";
+import { buildPrompt, listTemplateVariables, parseTranslationOutput } from "./prompt.mjs";
+import { findMemoryReferences, getCacheValue, setCacheValue } from "./cache.mjs";
+import { findGlossaryTerms, findMissingGlossaryTerms, resolveGlossaryTerms } from "./glossary.mjs";
+import { resolveProvider, translationSlots } from "./providers.mjs";
+import { resolvePromptTemplate } from "./templates.mjs";
+import { DEFAULT_QUALITY_THRESHOLD, reviewTranslations } from "./quality.mjs";
+import { UNCACHEABLE_VIOLATIONS, findOutputViolations } from "./guards.mjs";
+import {
+  batchDuration,
+  batchItems,
+  batchRetries,
+  itemsProcessed,
+  parseFailures,
+  providerCalls,
+  providerTimeouts,
+} from "./metrics.mjs";
+import { describeErrorForConsole, describeErrorForLog, logEvent, redactText } from "./log.mjs";
+
+const TRANSIENT_ERROR_CODES = new Set(["provider_timeout", "provider_unavailable"]);
+const MAX_GLOSSARY_TERMS_PER_BATCH = 60;
+const MAX_PAGE_TITLE_CHARS = 200;
+const MAX_PAGE_DESCRIPTION_CHARS = 300;
+const MAX_SITE_NAME_CHARS = 100;
+// Labels, table cells and headings this short are ambiguous on their own, so their cache entries are scoped
+// to the site and section they appeared in. Longer text carries its own context and stays shared.
+const CONTEXT_KEYED_MAX_CHARS = 48;
+const MAX_TARGET_LANGS = 4;
+// Appended to item ids when one request asks for several languages; each (item, language) pair is its own unit.
+const LANGUAGE_ID_SEPARATOR = "#to-";
+
+const TRANSLATION_MODES = new Set(["bilingual", "translation-only"]);
+
+// Cache keys of items a request is translating right now, shared by all requests. Another request needing the same
+// key awaits the promise instead of sending a duplicate provider call; it resolves to the translation, or to
+// `undefined` when none was cached (failed, cancelled or flagged by the output checks).
+const inFlightTranslations = new Map();
+
+function cacheKey(item, options) {
+  const parts = [
+    options.sourceLang,
+    options.targetLang,
+    options.provider || DEFAULT_PROVIDER,
+    options.model || "",
+    options.mode,
+    options.tone,
+    item.text,
+  ];
+
+  // Only items that hit glossary terms get a terminology suffix, so unrelated entries stay valid.
+  const terms = findGlossaryTerms(item.text, options.glossaryTerms || []);
+  if (terms.length > 0) {
+    parts.push(terms.map((term) => `${term.source}=${term.target}`).join("\u0002"));
+  }
+
+  // Editing a template invalidates its translations; the built-in prompt keeps the original key shape.
+  const template = options.promptTemplate;
+  if (template) {
+    parts.push(`template=${template.id}@${template.updatedAt}`);
+    if (listTemplateVariables(template.body).includes("pageTitle")) {
+      parts.push(`pageTitle=${options.pageContext?.title || ""}`);
+    }
+  }
+
+  const siteName = options.pageContext?.siteName || "";
+  const heading = item.context?.heading || "";
+  if (item.text.length <= CONTEXT_KEYED_MAX_CHARS && (siteName || heading)) {
+    parts.push(`context=${siteName}\u0002${heading}`);
+  }
+  return parts.join("\u0001");
+}
+
+async function requestChunkTranslation(provider, batch, options, { glossary, references, repairNote } = {}) {
+  const prompt = buildPrompt({
+    sourceLang: options.sourceLang,
+    targetLang: options.targetLang,
+    tone: options.tone,
+    mode: options.mode,
+    items: batch,
+    glossary,
+    references,
+    repairNote,
+    template: options.promptTemplate,
+    pageContext: options.pageContext,
+  });
+
+  providerCalls.inc({ provider: provider.id });
+  const startedAt = Date.now();
+  const logCall = (result, error) =>
+    logEvent("batch", {
+      requestId: options.requestId,
+      provider: provider.id,
+      model: options.model || "default",
+      items: batch.length,
+      repair: Boolean(repairNote),
+      durationMs: Date.now() - startedAt,
+      exitCode: result?.exitCode ?? error?.exitCode,
+      ...(error ? describeErrorForLog(error) : {}),
+      stderrTail: redactText(tail(result?.stderr ?? error?.stderr, 12)),
+    });
+
+  let providerResult;
+  try {
+    providerResult = await provider.translate({
+      prompt,
+      model: options.model,
+      items: batch,
+      sourceLang: options.sourceLang,
+      targetLang: options.targetLang,
+      signal: options.signal,
+    });
+  } catch (error) {
+    logCall(null, error);
+    throw error;
+  }
+
+  let parsedRows;
+  try {
+    parsedRows = parseTranslationOutput(providerResult.output, batch);
+  } catch (error) {
+    const details = tail(providerResult.stderr, 12);
+    // The parser's message quotes the output, so the log gets a generic one.
+    const parseError = Object.assign(
+      createHttpError(502, `${error.message}${details ? ` | stderr: ${details}` : ""}`, "parse_failed"),
+      { safeMessage: "Unable to parse provider output as translation JSON" }
+    );
+    logCall(providerResult, parseError);
+    throw parseError;
+  }
+
+  logCall(providerResult, null);
+  return new Map(parsedRows.map((row) => [row.id, row.translatedText]));
+}
+
+async function enforceGlossary(provider, batch, options, { glossary, translatedById, uncacheableIds, warnings }) {
+  const checkTerms = () =>
+    batch
+      .map((item) => {
+        const translated = translatedById.get(item.id);
+        const missing = translated ? findMissingGlossaryTerms(item.text, translated, termsFor(item, glossary)) : [];
+        return { item, missing };
+      })
+      .filter((entry) => entry.missing.length > 0);
+
+  let violations = checkTerms();
+  if (violations.length > 0 && options.glossaryRepair !== false) {
+    const repairItems = violations.map((entry) => entry.item);
+    const repairNote =
+      "A previous attempt ignored the mandatory terminology above. Apply every listed term exactly.";
+    try {
+      const repaired = await requestChunkTranslation(provider, repairItems, options, {
+        glossary: findGlossaryTerms(repairItems.map((item) => item.text).join("\n"), glossary),
+        repairNote,
+      });
+      for (const [id, text] of repaired) {
+        const item = repairItems.find((candidate) => candidate.id === id);
+        if (item && findMissingGlossaryTerms(item.text, text, termsFor(item, glossary)).length === 0) {
+          translatedById.set(id, text);
+        }
+      }
+    } catch (error) {
+      if (error.code === "cancelled") {
+        throw error;
+      }
+      warnings.push(`Glossary repair pass failed: ${error.message}`);
+    }
+    violations = checkTerms();
+  }
+
+  for (const { item, missing } of violations) {
+    const expected = missing.map((term) => `"${term.source}" -> "${term.target}"`).join(", ");
+    warnings.push(`Glossary terms not applied for id=${item.id}: ${expected}`);
+    uncacheableIds.add(item.id);
+  }
+}
+
+// Items whose output fails a check are asked for once more on their own, with the problems spelled out; whatever
+// still fails is kept but reported, both as a warning and as a `{id, code, message}` entry in `checks`.
+async function enforceOutputGuards(provider, batch, options, context) {
+  const { glossary, translatedById, uncacheableIds, warnings, checks } = context;
+  const inspect = (item, text) =>
+    text ? findOutputViolations(item.text, text, { targetLang: scopeOf(item, options).targetLang }) : [];
+  const findViolations = () =>
+    batch
+      .map((item) => ({ item, violations: inspect(item, translatedById.get(item.id)) }))
+      .filter((entry) => entry.violations.length > 0);
+
+  let flagged = findViolations();
+  if (flagged.length > 0) {
+    const repairItems = flagged.map((entry) => entry.item);
+    const problems = flagged.map(
+      ({ item, violations }) => `- id=${item.id}: ${violations.map((violation) => violation.message).join("; ")}`
+    );
+    const repairNote = [
+      "A previous attempt produced invalid output for these items:",
+      ...problems,
+      "Return only the translated text, keeping every URL, email address, number and inline code unchanged.",
+    ].join("\n");
+    try {
+      const repaired = await requestChunkTranslation(provider, repairItems, options, {
+        glossary: findGlossaryTerms(repairItems.map((item) => item.text).join("\n"), glossary),
+        repairNote,
+      });
+      for (const { item, violations } of flagged) {
+        const text = repaired.get(item.id);
+        if (text && inspect(item, text).length < violations.length) {
+          translatedById.set(item.id, text);
+        }
+      }
+    } catch (error) {
+      if (error.code === "cancelled") {
+        throw error;
+      }
+      warnings.push(`Output check repair pass failed: ${error.message}`);
+    }
+    flagged = findViolations();
+  }
+
+  for (const { item, violations } of flagged) {
+    for (const { code, message } of violations) {
+      warnings.push(`Output check failed for id=${item.id} (${code}): ${message}`);
+      checks.push({ id: item.id, code, message });
+      if (UNCACHEABLE_VIOLATIONS.has(code)) {
+        uncacheableIds.add(item.id);
+      }
+    }
+  }
+}
+
+function enforcePlaceholders(batch, { translatedById, uncacheableIds, warnings }) {
+  for (const item of batch) {
+    const translated = translatedById.get(item.id);
+    if (!translated || !hasPlaceholders(item.text)) {
+      continue;
+    }
+
+    if (!placeholdersMatch(item.text, translated)) {
+      // The client renders plain text when the note has no placeholders left.
+      translatedById.set(item.id, stripPlaceholders(translated));
+      uncacheableIds.add(item.id);
+      warnings.push(`Inline markup placeholders were mangled for id=${item.id}; returned plain text.`);
+    }
+  }
+}
+
+function selectBatchGlossary(batch, options) {
+  const batchText = batch.map((item) => item.text).join("\n");
+  return findGlossaryTerms(batchText, options.glossaryTerms || []).slice(0, MAX_GLOSSARY_TERMS_PER_BATCH);
+}
+
+// Terms of a multi-language batch are tagged with the language they belong to.
+function termsFor(item, glossary) {
+  return glossary.filter((term) => !term.targetLang || term.targetLang === item.targetLang);
+}
+
+// Units of a multi-language request carry their own language; everything keyed by language (cache, glossary,
+// translation memory) is looked up through that language's options.
+function scopeOf(item, options) {
+  return (item.targetLang && options.languageScopes?.get(item.targetLang)) || options;
+}
+
+function createLanguageScope(options, targetLang) {
+  const terms = options.glossaryTermsByLang?.[targetLang] || [];
+  return { ...options, targetLang, glossaryTerms: terms.map((term) => ({ ...term, targetLang })) };
+}
+
+async function translateChunk(provider, batch, options, { warnings, checks }) {
+  const groups = new Map();
+  for (const item of batch) {
+    const scope = scopeOf(item, options);
+    groups.set(scope, [...(groups.get(scope) || []), item]);
+  }
+
+  const glossary = [];
+  const references = [];
+  const matchedIds = [];
+  for (const [scope, items] of groups) {
+    glossary.push(...selectBatchGlossary(items, scope));
+    const memory = findMemoryReferences(items, scope);
+    references.push(...memory.references);
+    matchedIds.push(...memory.matchedIds);
+  }
+
+  const translatedById = await requestChunkTranslation(provider, batch, options, { glossary, references });
+  const uncacheableIds = new Set();
+  const context = { glossary, translatedById, uncacheableIds, warnings, checks };
+
+  if (options.outputChecks !== false) {
+    await enforceOutputGuards(provider, batch, options, context);
+  }
+  if (glossary.length > 0) {
+    await enforceGlossary(provider, batch, options, context);
+  }
+  enforcePlaceholders(batch, context);
+
+  return { translatedById, uncacheableIds, memoryMatchedIds: matchedIds };
+}
+
+// Resolves with the translation another request is producing, or rejects once this request is cancelled.
+function waitForInFlight(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createCancelledError());
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then((translated) => {
+      signal.removeEventListener("abort", onAbort);
+      resolve(translated);
+    });
+  });
+}
+
+async function translateItems(options) {
+  const provider = resolveProvider(options.provider);
+  const resultById = new Map();
+  const pending = [];
+  const waiting = [];
+  const ownedById = new Map();
+  // Later items repeating an earlier item's cache key in this request, keyed by that earlier item's id. They take
+  // its result instead of a provider call, and never wait on this request's own in-flight promise.
+  const duplicatesById = new Map();
+  const firstIdByKey = new Map();
+  let cacheHits = 0;
+
+  for (const item of options.items) {
+    const key = cacheKey(item, scopeOf(item, options));
+    const cached = getCacheValue(key);
+    if (cached !== undefined) {
+      resultById.set(item.id, cached);
+      cacheHits += 1;
+      continue;
+    }
+
+    const firstId = firstIdByKey.get(key);
+    if (firstId !== undefined) {
+      duplicatesById.get(firstId).push(item);
+      continue;
+    }
+    firstIdByKey.set(key, item.id);
+    duplicatesById.set(item.id, []);
+
+    const inFlight = inFlightTranslations.get(key);
+    if (inFlight) {
+      waiting.push({ item, promise: inFlight });
+      continue;
+    }
+    let resolve;
+    inFlightTranslations.set(key, new Promise((settle) => (resolve = settle)));
+    ownedById.set(item.id, { key, resolve });
+    pending.push(item);
+  }
+
+  function withDuplicates(items) {
+    return items.flatMap((item) => [item, ...(duplicatesById.get(item.id) || [])]);
+  }
+
+  // Called once the cache holds the item (or will not), so a later request finds one or the other.
+  function settleInFlight(itemId, translated) {
+    const owned = ownedById.get(itemId);
+    if (owned) {
+      ownedById.delete(itemId);
+      inFlightTranslations.delete(owned.key);
+      owned.resolve(translated);
+    }
+  }
+
+  if (options.onEvent && cacheHits > 0) {
+    options.onEvent({
+      type: "cached",
+      results: options.items
+        .filter((item) => resultById.has(item.id))
+        .map((item) => ({ id: item.id, translatedText: resultById.get(item.id) })),
+    });
+  }
+
+  const batches = chunk(pending, options.batchSize);
+  let batchCount = batches.length;
+  let coalesced = 0;
+  const concurrencyLimit = Math.min(options.concurrency || MAX_CONCURRENCY, MAX_CONCURRENCY);
+  const retryLimit = Number.isInteger(options.retries) ? options.retries : BATCH_RETRIES;
+  const batchWarnings = batches.map(() => []);
+  const checks = [];
+  const failed = [];
+  const stats = { running: 0, maxParallel: 0, busyMs: 0, retries: 0, bisections: 0, tmMatchedIds: new Set() };
+  const startedAt = Date.now();
+
+  async function runAttempt(items, warnings) {
+    await translationSlots.acquire();
+    if (options.signal?.aborted) {
+      translationSlots.release();
+      throw createCancelledError();
+    }
+    stats.running += 1;
+    stats.maxParallel = Math.max(stats.maxParallel, stats.running);
+    const attemptStartedAt = Date.now();
+    batchItems.observe({ provider: provider.id }, items.length);
+
+    try {
+      const outcome = await translateChunk(provider, items, options, { warnings, checks });
+      outcome.memoryMatchedIds.forEach((id) => stats.tmMatchedIds.add(id));
+      return outcome;
+    } catch (error) {
+      if (error.code === "provider_timeout") {
+        providerTimeouts.inc({ provider: provider.id });
+      } else if (error.code === "parse_failed") {
+        parseFailures.inc({ provider: provider.id });
+      }
+      throw error;
+    } finally {
+      batchDuration.observe({ provider: provider.id }, (Date.now() - attemptStartedAt) / 1000);
+      stats.busyMs += Date.now() - attemptStartedAt;
+      stats.running -= 1;
+      translationSlots.release();
+    }
+  }
+
+  async function runWithRetries(items, warnings) {
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        return await runAttempt(items, warnings);
+      } catch (error) {
+        if (!TRANSIENT_ERROR_CODES.has(error.code) || attempt >= retryLimit) {
+          throw error;
+        }
+        stats.retries += 1;
+        batchRetries.inc({ provider: provider.id });
+        // Sleep outside the semaphore so other batches can use the slot meanwhile.
+        const delayMs = RETRY_BASE_DELAY_MS * 2 ** attempt + Math.floor(Math.random() * RETRY_BASE_DELAY_MS);
+        console.log(
+          `[translate] retry ${attempt + 1}/${retryLimit} in ${delayMs}ms: ${describeErrorForConsole(error)}`
+        );
+        logEvent("retry", {
+          requestId: options.requestId,
+          provider: provider.id,
+          attempt: attempt + 1,
+          delayMs,
+          ...describeErrorForLog(error),
+        });
+        await sleep(delayMs);
+        throwIfCancelled(options.signal);
+      }
+    }
+  }
+
+  async function runWithRecovery(items, warnings) {
+    try {
+      return { ...(await runWithRetries(items, warnings)), failed: [] };
+    } catch (error) {
+      if (error.code === "cancelled") {
+        throw error;
+      }
+      if (error.code === "parse_failed" && items.length > 1) {
+        stats.bisections += 1;
+        const middle = Math.ceil(items.length / 2);
+        const left = await runWithRecovery(items.slice(0, middle), warnings);
+        const right = await runWithRecovery(items.slice(middle), warnings);
+        return {
+          translatedById: new Map([...left.translatedById, ...right.translatedById]),
+          uncacheableIds: new Set([...left.uncacheableIds, ...right.uncacheableIds]),
+          failed: [...left.failed, ...right.failed],
+        };
+      }
+
+      return {
+        translatedById: new Map(),
+        uncacheableIds: new Set(),
+        failed: items.map((item) => ({
+          id: item.id,
+          reason: error.message || "Translation failed",
+          code: error.code || "internal_error",
+          statusCode: error.statusCode || 500,
+          safeMessage: error.safeMessage,
+        })),
+      };
+    }
+  }
+
+  async function runBatch(batch, batchIndex) {
+    batchWarnings[batchIndex] ||= [];
+    const { translatedById, uncacheableIds, failed: batchFailed } = await runWithRecovery(
+      batch,
+      batchWarnings[batchIndex]
+    );
+    const failedIds = new Set(batchFailed.map((entry) => entry.id));
+    failed.push(...batchFailed);
+
+    for (const item of batch) {
+      if (failedIds.has(item.id)) {
+        settleInFlight(item.id, undefined);
+        continue;
+      }
+
+      const translated = translatedById.get(item.id);
+      if (!translated) {
+        batchWarnings[batchIndex].push(`Missing translation for id=${item.id}; falling back to source text.`);
+        resultById.set(item.id, item.text);
+        settleInFlight(item.id, undefined);
+        continue;
+      }
+
+      resultById.set(item.id, translated);
+      if (uncacheableIds.has(item.id)) {
+        settleInFlight(item.id, undefined);
+        continue;
+      }
+      const scope = scopeOf(item, options);
+      setCacheValue(cacheKey(item, scope), translated, scope);
+      settleInFlight(item.id, translated);
+    }
+
+    const duplicateFailed = [];
+    for (const item of batch) {
+      const itemFailure = batchFailed.find((entry) => entry.id === item.id);
+      for (const duplicate of duplicatesById.get(item.id)) {
+        if (itemFailure) {
+          duplicateFailed.push({ ...itemFailure, id: duplicate.id });
+        } else {
+          resultById.set(duplicate.id, resultById.get(item.id));
+        }
+      }
+    }
+    failed.push(...duplicateFailed);
+
+    if (options.onEvent) {
+      options.onEvent({
+        type: "batch",
+        index: batchIndex,
+        results: withDuplicates(batch)
+          .filter((item) => resultById.has(item.id))
+          .map((item) => ({ id: item.id, translatedText: resultById.get(item.id) })),
+        failed: [...batchFailed, ...duplicateFailed].map(({ id, reason, code }) => ({ id, reason, code })),
+        warnings: batchWarnings[batchIndex],
+      });
+    }
+  }
+
+  // Items another request is already translating are taken from that call. Whatever it could not deliver (a
+  // failure, a cancelled request, output that was not cached) is translated here once every wait is over.
+  async function resolveWaiting() {
+    const fallback = [];
+    let ready = [];
+    const flushReady = () => {
+      if (ready.length > 0 && options.onEvent) {
+        options.onEvent({ type: "coalesced", results: ready });
+      }
+      ready = [];
+    };
+
+    await Promise.all(
+      waiting.map(async ({ item, promise }) => {
+        const translated = await waitForInFlight(promise, options.signal);
+        if (translated === undefined) {
+          fallback.push(item);
+          return;
+        }
+        // Copies of the item count as coalesced too: their translation also came from the other request.
+        for (const { id } of withDuplicates([item])) {
+          resultById.set(id, translated);
+          coalesced += 1;
+          // Items of one finished batch arrive together; report them as one event.
+          if (ready.length === 0) {
+            setImmediate(flushReady);
+          }
+          ready.push({ id, translatedText: translated });
+        }
+      })
+    );
+    flushReady();
+
+    if (fallback.length > 0) {
+      const order = new Map(options.items.map((item, index) => [item.id, index]));
+      fallback.sort((left, right) => order.get(left.id) - order.get(right.id));
+      const fallbackBatches = chunk(fallback, options.batchSize);
+      const firstIndex = batchCount;
+      batchCount += fallbackBatches.length;
+      await runWithConcurrency(fallbackBatches, concurrencyLimit, (batch, index) =>
+        runBatch(batch, firstIndex + index)
+      );
+    }
+  }
+
+  try {
+    await Promise.all([runWithConcurrency(batches, concurrencyLimit, runBatch), resolveWaiting()]);
+  } finally {
+    // Cancelled or failed before reaching some items: let their waiters translate them instead.
+    for (const itemId of [...ownedById.keys()]) {
+      settleInFlight(itemId, undefined);
+    }
+  }
+
+  // Nothing usable came back at all: keep the original error status instead of an empty 200.
+  if (failed.length > 0 && resultById.size === 0) {
+    const firstFailure = failed[0];
+    throw Object.assign(createHttpError(firstFailure.statusCode, firstFailure.reason, firstFailure.code), {
+      safeMessage: firstFailure.safeMessage,
+    });
+  }
+
+  const wallClockMs = Date.now() - startedAt;
+  const warnings = batchWarnings.flat();
+  const failedIds = new Set(failed.map((entry) => entry.id));
+  const orderedFailed = options.items
+    .filter((item) => failedIds.has(item.id))
+    .map((item) => failed.find((entry) => entry.id === item.id));
+
+  const results = options.items
+    .filter((item) => !failedIds.has(item.id))
+    .map((item) => ({
+      id: item.id,
+      translatedText: resultById.get(item.id) || item.text,
+    }));
+
+  const order = new Map(options.items.map((item, index) => [item.id, index]));
+  checks.sort((left, right) => order.get(left.id) - order.get(right.id));
+
+  return {
+    results,
+    failed: orderedFailed.map(({ id, reason, code }) => ({ id, reason, code })),
+    warnings,
+    checks,
+    meta: {
+      provider: provider.id,
+      model: options.model || "default",
+      template: options.promptTemplate?.id || "default",
+      total: options.items.length,
+      cacheHits,
+      coalesced,
+      generated: results.length - cacheHits - coalesced,
+      failed: orderedFailed.length,
+      batches: batchCount,
+      retries: stats.retries,
+      bisections: stats.bisections,
+      tmMatches: stats.tmMatchedIds.size,
+      glossaryTerms: (options.glossaryTerms || []).length,
+      concurrencyLimit,
+      parallelBatches: stats.maxParallel,
+      wallClockMs,
+      timeSavedMs: Math.max(0, stats.busyMs - wallClockMs),
+    },
+  };
+}
+
+// Collects unit rows back into per-item rows: segments are stitched, and in a multi-language request every row
+// is tagged with its language.
+function createUnitCollector(segmentation, targetLangs, unitById) {
+  if (targetLangs.length === 1) {
+    return createSegmentCollector(segmentation, targetLangs[0]);
+  }
+
+  const collectors = new Map(targetLangs.map((lang) => [lang, createSegmentCollector(segmentation, lang)]));
+  return function collect(rows = [], failedRows = []) {
+    const results = [];
+    const failed = [];
+    for (const [lang, collectLang] of collectors) {
+      const ownRows = (list) =>
+        list
+          .filter((row) => unitById.get(row.id)?.targetLang === lang)
+          .map((row) => ({ ...row, id: unitById.get(row.id).baseId }));
+      const collected = collectLang(ownRows(rows), ownRows(failedRows));
+      results.push(...collected.results.map((row) => ({ ...row, targetLang: lang })));
+      failed.push(...collected.failed.map((row) => ({ ...row, targetLang: lang })));
+    }
+    return { results, failed };
+  };
+}
+
+export async function translateBatch(options) {
+  const targetLangs = options.targetLangs?.length > 1 ? options.targetLangs : [options.targetLang];
+  const multilingual = targetLangs.length > 1;
+  const unitIdOf = (id, lang) => (multilingual ? `${id}${LANGUAGE_ID_SEPARATOR}${lang}` : id);
+  const tagLang = (lang) => (multilingual ? { targetLang: lang } : {});
+
+  // Blocks already written in a target language are returned as-is for that language instead of paying for a
+  // no-op.
+  const pendingLangsById = new Map();
+  const skipped = [];
+  for (const item of options.items) {
+    const detection = options.skipSameLanguage === false ? null : detectLanguage(item.text);
+    const pendingLangs = [];
+    for (const lang of targetLangs) {
+      if (detection && matchesTargetLanguage(detection, lang)) {
+        skipped.push({ id: item.id, translatedText: item.text, skipped: true, ...tagLang(lang) });
+      } else {
+        pendingLangs.push(lang);
+      }
+    }
+    if (pendingLangs.length > 0) {
+      pendingLangsById.set(item.id, pendingLangs);
+    }
+  }
+  if (options.onEvent && skipped.length > 0) {
+    options.onEvent({ type: "skipped", results: skipped });
+  }
+
+  const items = options.items.filter((item) => pendingLangsById.has(item.id));
+  const maxChars = options.maxCharsPerItem || DEFAULT_MAX_CHARS;
+  const segmentation = segmentItems(items, maxChars, options.sourceLang);
+
+  // Units stay grouped by item, so one provider call carries every language of the blocks it covers.
+  const unitById = new Map();
+  const units = segmentation.units.flatMap((unit) =>
+    pendingLangsById.get(segmentation.parentOf.get(unit.id) || unit.id).map((lang) => {
+      if (!multilingual) {
+        return unit;
+      }
+      const languageUnit = { ...unit, id: unitIdOf(unit.id, lang), targetLang: lang };
+      unitById.set(languageUnit.id, { baseId: unit.id, targetLang: lang });
+      return languageUnit;
+    })
+  );
+  const languageScopes = multilingual
+    ? new Map(targetLangs.map((lang) => [lang, createLanguageScope(options, lang)]))
+    : null;
+  const collectEvent = createUnitCollector(segmentation, targetLangs, unitById);
+  const cachedIds = new Set();
+  const coalescedIds = new Set();
+
+  const translated = await translateItems({
+    ...options,
+    items: units,
+    batchSize: options.batchSize * targetLangs.length,
+    languageScopes,
+    onEvent(event) {
+      if (event.type === "cached") {
+        event.results.forEach((row) => cachedIds.add(row.id));
+      }
+      if (event.type === "coalesced") {
+        event.results.forEach((row) => coalescedIds.add(row.id));
+      }
+      if (!options.onEvent) {
+        return;
+      }
+
+      const { results, failed } = collectEvent(event.results, event.failed);
+      options.onEvent(event.failed ? { ...event, results, failed } : { ...event, results });
+    },
+  });
+
+  const order = new Map(options.items.map((item, index) => [item.id, index]));
+  const byOrder = (left, right) =>
+    order.get(left.id) - order.get(right.id) ||
+    targetLangs.indexOf(left.targetLang) - targetLangs.indexOf(right.targetLang);
+  const collect = createUnitCollector(segmentation, targetLangs, unitById);
+  const collected = collect(translated.results, translated.failed);
+  const results = [...collected.results, ...skipped].sort(byOrder);
+  const failed = collected.failed;
+  failed.sort(byOrder);
+
+  itemsProcessed.inc({ outcome: "failed" }, failed.length);
+
+  // Partially translated items count as failed, so this can trigger even when some segments succeeded.
+  if (results.length === 0 && failed.length > 0) {
+    throw createHttpError(502, failed[0].reason, failed[0].code);
+  }
+
+  // Checks name the block and language they belong to rather than the internal segment or language unit.
+  const checks = translated.checks.map((check) => {
+    const unit = unitById.get(check.id);
+    const segmentId = unit ? unit.baseId : check.id;
+    const id = segmentation.parentOf.get(segmentId) || segmentId;
+    return { id, ...(unit ? { targetLang: unit.targetLang } : {}), code: check.code, message: check.message };
+  });
+  const warnings = [...translated.warnings];
+  const quality = options.qualityCheck ? await checkQuality(results, warnings, options) : null;
+
+  // A block counts as a cache hit or as coalesced only when none of its segments needed a provider call here.
+  const blockUnits = items.flatMap((item) =>
+    pendingLangsById
+      .get(item.id)
+      .map((lang) => (segmentation.groups.get(item.id)?.segmentIds || [item.id]).map((id) => unitIdOf(id, lang)))
+  );
+  const cacheHits = blockUnits.filter((unitIds) => unitIds.every((id) => cachedIds.has(id))).length;
+  const coalesced = blockUnits.filter(
+    (unitIds) =>
+      unitIds.some((id) => coalescedIds.has(id)) && unitIds.every((id) => cachedIds.has(id) || coalescedIds.has(id))
+  ).length;
+
+  const generated = results.length - cacheHits - coalesced - skipped.length;
+  itemsProcessed.inc({ outcome: "generated" }, generated);
+  itemsProcessed.inc({ outcome: "cache_hit" }, cacheHits);
+  itemsProcessed.inc({ outcome: "coalesced" }, coalesced);
+  itemsProcessed.inc({ outcome: "skipped" }, skipped.length);
+
+  return {
+    results,
+    failed,
+    warnings,
+    checks,
+    meta: {
+      ...translated.meta,
+      targetLangs,
+      ...(quality ? { quality } : {}),
+      total: options.items.length,
+      cacheHits,
+      coalesced,
+      generated,
+      failed: failed.length,
+      skippedSameLanguage: skipped.length,
+      segmented: segmentation.groups.size,
+      segments: segmentation.units.length - (items.length - segmentation.groups.size),
+    },
+  };
+}
+
+// Attaches `quality` to every translated row that got a review and reports it as one stream event, since the
+// review only starts once all translations are in.
+async function checkQuality(results, warnings, options) {
+  const checked = results.filter((row) => !row.skipped);
+  if (checked.length === 0) {
+    return { checked: 0, flagged: 0, averageScore: null };
+  }
+
+  const sourceById = new Map(options.items.map((item) => [item.id, item.text]));
+  const review = await reviewTranslations(checked, sourceById, options);
+  warnings.push(...review.warnings);
+  checked.forEach((row, index) => {
+    if (review.reviews[index]) {
+      row.quality = review.reviews[index];
+    }
+  });
+
+  const scored = checked.filter((row) => row.quality);
+  if (options.onEvent && scored.length > 0) {
+    options.onEvent({
+      type: "quality",
+      results: scored.map(({ id, targetLang, quality }) => ({ id, ...(targetLang ? { targetLang } : {}), quality })),
+      warnings: review.warnings,
+    });
+  }
+
+  const total = scored.reduce((sum, row) => sum + row.quality.score, 0);
+  return {
+    checked: scored.length,
+    flagged: scored.filter((row) => row.quality.score < options.qualityThreshold).length,
+    averageScore: scored.length > 0 ? Math.round(total / scored.length) : null,
+  };
+}
+
+function normalizeTargetLangs(body) {
+  const listed = Array.isArray(body.targetLangs)
+    ? body.targetLangs.filter((lang) => typeof lang === "string" && lang.trim()).map((lang) => lang.trim())
+    : [];
+  if (listed.length === 0) {
+    return [typeof body.targetLang === "string" ? body.targetLang : "zh-CN"];
+  }
+  return [...new Set(listed)].slice(0, MAX_TARGET_LANGS);
+}
+
+// `pageTitle` on its own is the older request shape and still names the page when no `pageContext` is sent.
+function normalizePageContext(body) {
+  const raw = body.pageContext && typeof body.pageContext === "object" ? body.pageContext : {};
+  const clean = (value, maxChars) =>
+    typeof value === "string" ? value.replace(/\s+/g, " ").trim().slice(0, maxChars) : "";
+
+  return {
+    title: clean(typeof raw.title === "string" ? raw.title : body.pageTitle, MAX_PAGE_TITLE_CHARS),
+    description: clean(raw.description, MAX_PAGE_DESCRIPTION_CHARS),
+    siteName: clean(raw.siteName, MAX_SITE_NAME_CHARS),
+  };
+}
+
+export async function resolveTranslateOptions(body, { checkProvider = true } = {}) {
+  const sourceLang = typeof body.sourceLang === "string" ? body.sourceLang : "auto";
+  const targetLangs = normalizeTargetLangs(body);
+  const targetLang = targetLangs[0];
+  const model = typeof body.model === "string" && body.model.trim() ? body.model.trim() : DEFAULT_MODEL;
+  const provider = resolveProvider(
+    typeof body.provider === "string" && body.provider.trim() ? body.provider.trim() : ""
+  );
+
+  const mode = TRANSLATION_MODES.has(body.mode) ? body.mode : "bilingual";
+  const tone = Object.hasOwn(TONE_INSTRUCTIONS, body.tone) ? body.tone : "natural";
+  const batchSize = clampNumber(body.batchSize, 1, MAX_BATCH_SIZE, DEFAULT_BATCH_SIZE);
+  const maxCharsPerItem = clampNumber(body.maxCharsPerItem, 100, 5000, DEFAULT_MAX_CHARS);
+  const concurrency = clampNumber(body.concurrency, 1, MAX_CONCURRENCY, MAX_CONCURRENCY);
+  const retries = clampNumber(body.retries, 0, 5, BATCH_RETRIES);
+  const promptTemplate = resolvePromptTemplate(
+    typeof body.templateId === "string" && body.templateId.trim() ? body.templateId.trim() : ""
+  );
+  const pageContext = normalizePageContext(body);
+  const glossaryIds = Array.isArray(body.glossaryIds) ? body.glossaryIds : undefined;
+  const glossaryTermsByLang = Object.fromEntries(
+    targetLangs.map((lang) => [lang, resolveGlossaryTerms({ glossaryIds, sourceLang, targetLang: lang })])
+  );
+
+  if (checkProvider) {
+    await provider.assertReady(model);
+  }
+
+  return {
+    sourceLang,
+    targetLang,
+    targetLangs,
+    provider: provider.id,
+    model,
+    mode,
+    tone,
+    batchSize,
+    maxCharsPerItem,
+    concurrency,
+    retries,
+    glossaryTerms: glossaryTermsByLang[targetLang],
+    glossaryTermsByLang,
+    promptTemplate,
+    pageContext,
+    glossaryRepair: body.glossaryRepair !== false,
+    outputChecks: body.outputChecks !== false,
+    skipSameLanguage: body.skipSameLanguage !== false,
+    translationMemory: body.translationMemory !== false,
+    qualityCheck: body.qualityCheck === true,
+    qualityThreshold: clampNumber(body.qualityThreshold, 0, 100, DEFAULT_QUALITY_THRESHOLD),
+  };
+}
+
+// Renders the prompt the first batch of `items` would be sent with, without calling the provider.
+export function previewPrompt(options, items) {
+  const batch = items.slice(0, options.batchSize);
+  const { references } = findMemoryReferences(batch, options);
+  return buildPrompt({
+    sourceLang: options.sourceLang,
+    targetLang: options.targetLang,
+    tone: options.tone,
+    mode: options.mode,
+    items: batch,
+    glossary: selectBatchGlossary(batch, options),
+    references,
+    template: options.promptTemplate,
+    pageContext: options.pageContext,
+  });
+}
@@ -0,0 +1,130 @@
+export function createHttpError(statusCode, message, code) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+}
+
+export function createCancelledError() {
+  return createHttpError(499, "Translation cancelled", "cancelled");
+}
+
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw createCancelledError();
+  }
+}
+
+export function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 64);
+}
+
+export function clampNumber(value, min, max, fallback) {
+  if (typeof value !== "number" || Number.isNaN(value)) {
+    return fallback;
+  }
+  return Math.min(max, Math.max(min, Math.floor(value)));
+}
+
+export function sanitizeOutput(text) {
+  if (!text) {
+    return "";
+  }
+
+  return text
+    .split("\n")
+    .filter((line) => !line.startsWith("WARNING: proceeding, even though we could not update PATH"))
+    .join("\n")
+    .trim();
+}
+
+export function chunk(items, chunkSize) {
+  const chunks = [];
+  for (let index = 0; index < items.length; index += chunkSize) {
+    chunks.push(items.slice(index, index + chunkSize));
+  }
+  return chunks;
+}
+
+export function createSemaphore(limit) {
+  let active = 0;
+  const waiters = [];
+
+  return {
+    get active() {
+      return active;
+    },
+    get waiting() {
+      return waiters.length;
+    },
+    get limit() {
+      return limit;
+    },
+    // Raising the limit wakes queued callers right away; lowering it lets running holders finish first.
+    setLimit(nextLimit) {
+      limit = nextLimit;
+      while (active < limit && waiters.length > 0) {
+        active += 1;
+        waiters.shift()();
+      }
+    },
+    acquire() {
+      if (active < limit) {
+        active += 1;
+        return Promise.resolve();
+      }
+      return new Promise((resolve) => waiters.push(resolve));
+    },
+    release() {
+      const next = active <= limit ? waiters.shift() : undefined;
+      if (next) {
+        // Hand the slot straight to the next waiter so `active` stays accurate.
+        next();
+        return;
+      }
+      active = Math.max(0, active - 1);
+    },
+  };
+}
+
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export async function runWithConcurrency(tasks, limit, worker) {
+  let nextIndex = 0;
+  let firstError = null;
+
+  async function drain() {
+    while (nextIndex < tasks.length && !firstError) {
+      const index = nextIndex;
+      nextIndex += 1;
+      try {
+        await worker(tasks[index], index);
+      } catch (error) {
+        firstError = firstError || error;
+      }
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit, tasks.length));
+  await Promise.all(Array.from({ length: workerCount }, drain));
+
+  if (firstError) {
+    throw firstError;
+  }
+}
+
+export function tail(text, maxLines = 30) {
+  if (!text) {
+    return "";
+  }
+  const lines = text.trim().split("\n");
+  return lines.slice(Math.max(lines.length - maxLines, 0)).join("\n");
+}
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+// Registers bridge/native-host.mjs as a Chrome native messaging host for the current Linux user.
+import { chmod, mkdir, rm, writeFile } from "node:fs/promises";
+import { homedir } from "node:os";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { CONFIG_PATH, DATA_DIR } from "./core/config.mjs";
+
+// Must match NATIVE_HOST_NAME in extension/background.js.
+const NATIVE_HOST_NAME = "com.openai_auth_translate.bridge";
+const HOST_SCRIPT = join(dirname(fileURLToPath(import.meta.url)), "native-host.mjs");
+const LAUNCHER_PATH = join(DATA_DIR, "native-host.sh");
+const EXTENSION_ID_PATTERN = /^[a-p]{32}$/;
+const CONFIG_HOME = process.env.XDG_CONFIG_HOME || join(homedir(), ".config");
+const BROWSER_DIRS = {
+  chrome: join(CONFIG_HOME, "google-chrome", "NativeMessagingHosts"),
+  chromium: join(CONFIG_HOME, "chromium", "NativeMessagingHosts"),
+};
+
+const USAGE = `Usage: node bridge/install-native-host.mjs --extension-id <id> [options]
+
+Writes the native messaging host manifest so the extension can reach the bridge without the HTTP server.
+
+Options:
+      --extension-id <id>  Extension id from chrome://extensions; repeat for several (required to install)
+      --browser <name>     chrome, chromium or all (default: all)
+      --config <path>      Config file the host should read (default: BRIDGE_CONFIG or the data dir)
+      --uninstall          Remove the manifests and the launcher script
+  -h, --help               Show this help
+`;
+
+function fail(message) {
+  console.error(`install-native-host: ${message}`);
+  console.error('Run "node bridge/install-native-host.mjs --help" for usage.');
+  process.exit(2);
+}
+
+function readOptions() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      options: {
+        "extension-id": { type: "string", multiple: true },
+        browser: { type: "string", default: "all" },
+        config: { type: "string" },
+        uninstall: { type: "boolean" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (error) {
+    fail(error.message);
+  }
+
+  const { values } = parsed;
+  if (values.browser !== "all" && !BROWSER_DIRS[values.browser]) {
+    fail(`Unknown --browser "${values.browser}". Use chrome, chromium or all.`);
+  }
+  const extensionIds = values["extension-id"] || [];
+  const invalid = extensionIds.find((id) => !EXTENSION_ID_PATTERN.test(id));
+  if (invalid) {
+    fail(`"${invalid}" is not an extension id (32 letters a-p, shown on chrome://extensions)`);
+  }
+  if (!values.help && !values.uninstall && extensionIds.length === 0) {
+    fail("--extension-id is required");
+  }
+  return { ...values, extensionIds };
+}
+
+function shellQuote(value) {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+// Chrome starts hosts with a minimal environment, so the launcher pins the node binary and the bridge's paths.
+function buildLauncher(configOverridden) {
+  return [
+    "#!/bin/sh",
+    `export BRIDGE_DATA_DIR=${shellQuote(DATA_DIR)}`,
+    ...(configOverridden ? [`export BRIDGE_CONFIG=${shellQuote(CONFIG_PATH)}`] : []),
+    `exec ${shellQuote(process.execPath)} ${shellQuote(HOST_SCRIPT)} "$@"`,
+    "",
+  ].join("\n");
+}
+
+async function main() {
+  const options = readOptions();
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  if (process.platform !== "linux") {
+    fail("only Linux is supported; on other systems register the host manually (see README)");
+  }
+
+  const browsers = options.browser === "all" ? Object.keys(BROWSER_DIRS) : [options.browser];
+  const manifestPaths = browsers.map((browser) => join(BROWSER_DIRS[browser], `${NATIVE_HOST_NAME}.json`));
+
+  if (options.uninstall) {
+    for (const path of [...manifestPaths, LAUNCHER_PATH]) {
+      await rm(path, { force: true });
+      console.log(`Removed ${path}`);
+    }
+    return;
+  }
+
+  await mkdir(DATA_DIR, { recursive: true });
+  await writeFile(LAUNCHER_PATH, buildLauncher(Boolean(options.config || process.env.BRIDGE_CONFIG)), "utf8");
+  await chmod(LAUNCHER_PATH, 0o755);
+  console.log(`Wrote launcher ${LAUNCHER_PATH}`);
+
+  const manifest = {
+    name: NATIVE_HOST_NAME,
+    description: "OpenAI Auth Immersive Translator bridge",
+    path: LAUNCHER_PATH,
+    type: "stdio",
+    allowed_origins: options.extensionIds.map((id) => `chrome-extension://${id}/`),
+  };
+  for (const path of manifestPaths) {
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, `${JSON.stringify(manifest, null, 2)}\n`, "utf8");
+    console.log(`Wrote manifest ${path}`);
+  }
+
+  console.log('Set "Transport" to "Native messaging" in the extension settings, then use "Test Bridge" to check it.');
+}
+
+main().catch((error) => {
+  console.error(`install-native-host: ${error.message}`);
+  process.exit(1);
+});
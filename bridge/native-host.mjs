@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+// Chrome native messaging host: the same translation core as server.mjs, spoken over stdio instead of HTTP.
+// Chrome starts this process when the extension connects with `transport: "native"` and stops it when the
+// port closes. stdout carries the protocol only, so console output is sent to stderr (Chrome's log).
+import { randomBytes } from "node:crypto";
+import { rmSync } from "node:fs";
+import { mkdir, readFile, rm, writeFile } from "node:fs/promises";
+import { endianness } from "node:os";
+import { join } from "node:path";
+import { CACHE_DIR, CONFIG_ERRORS, CONFIG_PATH, MAX_CONCURRENCY, watchConfigFile } from "./core/config.mjs";
+import { createHttpError } from "./core/util.mjs";
+import { normalizeItems } from "./core/text.mjs";
+import { compactCacheFile, loadCacheFromDisk } from "./core/cache.mjs";
+import { loadGlossaries } from "./core/glossary.mjs";
+import { loadPromptTemplates } from "./core/templates.mjs";
+import { activeChildren, getHealth, translationSlots } from "./core/providers.mjs";
+import { resolveTranslateOptions, translateBatch } from "./core/translate.mjs";
+import { describeErrorForConsole, describeErrorForLog, flushLog, logEvent, openLogFile } from "./core/log.mjs";
+
+// Chrome rejects host messages above 1 MB; messages from the extension may be larger.
+const MAX_OUTGOING_BYTES = 1024 * 1024;
+const readLength = endianness() === "LE" ? (buffer) => buffer.readUInt32LE(0) : (buffer) => buffer.readUInt32BE(0);
+const writeLength = endianness() === "LE" ? "writeUInt32LE" : "writeUInt32BE";
+// The HTTP bridge compacts its cache file and rotates bridge.log in place, so the host keeps files of its own.
+const NATIVE_CACHE_FILE_NAME = "translation-cache.native.jsonl";
+const NATIVE_LOG_FILE_NAME = "native-host.log";
+const NATIVE_LOCK_PATH = join(CACHE_DIR, "native-host.lock");
+
+console.log = console.info = console.warn = console.error;
+
+const running = new Map();
+let startupError = null;
+
+function send(message) {
+  let payload = Buffer.from(JSON.stringify(message), "utf8");
+  if (payload.length > MAX_OUTGOING_BYTES) {
+    payload = Buffer.from(
+      JSON.stringify({
+        id: message.id,
+        ...(message.type ? { type: "error" } : {}),
+        ok: false,
+        statusCode: 413,
+        code: "response_too_large",
+        error: "Response exceeds the 1 MB native messaging limit; translate fewer blocks per request",
+        requestId: message.requestId,
+      }),
+      "utf8"
+    );
+  }
+  const header = Buffer.alloc(4);
+  header[writeLength](payload.length, 0);
+  process.stdout.write(Buffer.concat([header, payload]));
+}
+
+function describeError(error, requestId) {
+  return {
+    ok: false,
+    statusCode: error.statusCode || 500,
+    code: error.code,
+    error: error.message || "Internal server error",
+    requestId,
+  };
+}
+
+async function resolveTranslateMessage(body, requestId) {
+  const items = normalizeItems(body?.items);
+  if (items.length === 0) {
+    throw createHttpError(400, "No translatable items were provided");
+  }
+  const options = await resolveTranslateOptions(body);
+  console.log(
+    `[native] request=${requestId} items=${items.length} target=${options.targetLangs.join(",")} ` +
+      `provider=${options.provider}`
+  );
+  return { ...options, items, requestId };
+}
+
+// Message shapes mirror the HTTP API: `translate-batch` answers with the `/translate-batch` body,
+// `translate-stream` sends the `/translate-stream` events (without `job`), and `health` answers with the `/health`
+// body. Every reply carries the `id` of the message it answers.
+async function handleMessage(message) {
+  const id = message.id;
+  const requestId = randomBytes(8).toString("hex");
+  const reply = (body) => send({ id, ...body });
+  const startedAt = Date.now();
+  const logFields = {};
+  let status = 200;
+
+  const controller = new AbortController();
+  running.set(id, controller);
+  try {
+    if (startupError) {
+      throw startupError;
+    }
+
+    switch (message.type) {
+      case "health": {
+        reply(await getHealth({ force: true }));
+        return;
+      }
+
+      case "translate-batch": {
+        const options = await resolveTranslateMessage(message.body, requestId);
+        logFields.items = options.items.length;
+        const translated = await translateBatch({ ...options, signal: controller.signal });
+        reply({ ok: true, ...translated });
+        return;
+      }
+
+      case "translate-stream": {
+        const options = await resolveTranslateMessage(message.body, requestId);
+        logFields.items = options.items.length;
+        const translated = await translateBatch({ ...options, signal: controller.signal, onEvent: reply });
+        reply({
+          type: "summary",
+          ok: true,
+          failed: translated.failed,
+          warnings: translated.warnings,
+          checks: translated.checks,
+          meta: translated.meta,
+        });
+        return;
+      }
+
+      default:
+        throw createHttpError(
+          400,
+          `Unsupported native message type: ${message.type}. Glossaries, templates and stats need the HTTP bridge.`,
+          "unsupported_message"
+        );
+    }
+  } catch (error) {
+    status = error.statusCode || 500;
+    Object.assign(logFields, describeErrorForLog(error));
+    if (error.code !== "cancelled") {
+      console.error(`[bridge-error] request=${requestId} ${message.type}: ${describeErrorForConsole(error)}`);
+    }
+    const streamed = message.type === "translate-stream";
+    reply({ ...(streamed ? { type: "error" } : {}), ...describeError(error, requestId) });
+  } finally {
+    running.delete(id);
+    logEvent("request", {
+      requestId,
+      method: "NATIVE",
+      route: message.type,
+      status,
+      durationMs: Date.now() - startedAt,
+      ...logFields,
+    });
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === "EPERM";
+  }
+}
+
+// Chrome and Chromium can each start a host at the same time. Only the lock holder writes the native cache and
+// log; another instance reads the cache and logs to stderr. Returns whether the lock was taken.
+async function acquireHostLock() {
+  await mkdir(CACHE_DIR, { recursive: true });
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    try {
+      await writeFile(NATIVE_LOCK_PATH, String(process.pid), { flag: "wx", mode: 0o600 });
+      return true;
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        throw error;
+      }
+    }
+    const owner = Number.parseInt(await readFile(NATIVE_LOCK_PATH, "utf8").catch(() => ""), 10);
+    if (owner > 0 && isProcessAlive(owner)) {
+      return false;
+    }
+    // Left behind by a host that did not exit cleanly.
+    await rm(NATIVE_LOCK_PATH, { force: true });
+  }
+  return false;
+}
+
+function receive(message) {
+  if (!message || typeof message !== "object") {
+    return;
+  }
+  if (message.type === "cancel") {
+    running.get(message.id)?.abort();
+    return;
+  }
+  handleMessage(message);
+}
+
+// A broken config file is reported to the extension instead of exiting, which Chrome would only show as
+// "Native host has exited".
+if (CONFIG_ERRORS.length > 0) {
+  startupError = createHttpError(
+    500,
+    `Invalid bridge configuration (${CONFIG_PATH}): ${CONFIG_ERRORS.join("; ")}`,
+    "invalid_config"
+  );
+  console.error(startupError.message);
+}
+
+let ownsFiles = false;
+try {
+  ownsFiles = await acquireHostLock();
+} catch (error) {
+  console.error(`[native] Cannot take ${NATIVE_LOCK_PATH}: ${error.message}`);
+}
+if (!ownsFiles) {
+  console.error("[native] Another host instance owns the native cache and log; using them read-only");
+}
+
+if (ownsFiles) {
+  try {
+    await openLogFile({ fileName: NATIVE_LOG_FILE_NAME });
+  } catch (error) {
+    console.error(`[log] Cannot open the log file, logging to stderr only: ${error.message}`);
+  }
+}
+
+try {
+  await loadCacheFromDisk({ fileName: NATIVE_CACHE_FILE_NAME, readOnly: !ownsFiles });
+} catch (error) {
+  console.error(`[cache] Warm-load failed, starting with an empty cache: ${error.message}`);
+}
+
+try {
+  await loadGlossaries();
+} catch (error) {
+  console.error(`[glossary] Failed to load glossaries: ${error.message}`);
+}
+
+try {
+  await loadPromptTemplates();
+} catch (error) {
+  console.error(`[templates] Failed to load prompt templates: ${error.message}`);
+}
+
+watchConfigFile({
+  onReload({ errors }) {
+    if (errors.length > 0) {
+      console.error(`[config] Ignoring ${CONFIG_PATH}, keeping the previous settings: ${errors.join("; ")}`);
+      return;
+    }
+    translationSlots.setLimit(MAX_CONCURRENCY);
+  },
+});
+
+// Messages wait in the pipe until the cache and glossaries are loaded.
+let pending = Buffer.alloc(0);
+process.stdin.on("data", (chunk) => {
+  pending = Buffer.concat([pending, chunk]);
+  while (pending.length >= 4) {
+    const length = readLength(pending);
+    if (pending.length < 4 + length) {
+      break;
+    }
+    const payload = pending.subarray(4, 4 + length).toString("utf8");
+    pending = pending.subarray(4 + length);
+    try {
+      receive(JSON.parse(payload));
+    } catch (error) {
+      console.error(`[native] Ignoring a message that is not valid JSON: ${error.message}`);
+    }
+  }
+});
+
+// Chrome closes stdin when the extension disconnects or unloads.
+process.stdin.on("end", async () => {
+  for (const controller of running.values()) {
+    controller.abort();
+  }
+  for (const child of activeChildren) {
+    child.kill("SIGTERM");
+  }
+  try {
+    await compactCacheFile();
+    await flushLog();
+  } finally {
+    if (ownsFiles) {
+      rmSync(NATIVE_LOCK_PATH, { force: true });
+    }
+    process.exit(0);
+  }
+});
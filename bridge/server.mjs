@@ -1,73 +1,163 @@
 import { createServer } from "node:http";
-import { spawn } from "node:child_process";
-import { mkdtemp, readFile, rm } from "node:fs/promises";
-import { tmpdir } from "node:os";
+import { randomBytes, randomInt, timingSafeEqual } from "node:crypto";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
 import { join } from "node:path";
-
-const HOST = process.env.HOST ?? "127.0.0.1";
-const PORT = Number(process.env.PORT ?? 8787);
-const CODEX_BIN = process.env.CODEX_BIN ?? "codex";
-const REQUEST_TIMEOUT_MS = Number(process.env.REQUEST_TIMEOUT_MS ?? 120000);
-const BODY_LIMIT_BYTES = Number(process.env.BODY_LIMIT_BYTES ?? 2_000_000);
-
-const DEFAULT_BATCH_SIZE = 6;
-const DEFAULT_MAX_CHARS = 1200;
-const MAX_CACHE_SIZE = 3000;
-
-const TRANSLATION_MODES = new Set(["bilingual", "translation-only"]);
-const TRANSLATION_TONES = new Set(["natural", "faithful", "concise"]);
-
-const translationCache = new Map();
-let healthSnapshot = null;
-let healthSnapshotAt = 0;
-
-function createHttpError(statusCode, message) {
-  const error = new Error(message);
-  error.statusCode = statusCode;
-  return error;
-}
-
-function clampNumber(value, min, max, fallback) {
-  if (typeof value !== "number" || Number.isNaN(value)) {
-    return fallback;
-  }
-  return Math.min(max, Math.max(min, Math.floor(value)));
-}
-
-function sanitizeOutput(text) {
-  if (!text) {
-    return "";
-  }
-
-  return text
-    .split("\n")
-    .filter((line) => !line.startsWith("WARNING: proceeding, even though we could not update PATH"))
-    .join("\n")
-    .trim();
-}
+import { createInterface } from "node:readline";
+import {
+  ALLOWED_ORIGINS,
+  BODY_LIMIT_BYTES,
+  CODEX_BIN,
+  CONFIG_ERRORS,
+  CONFIG_PATH,
+  DATA_DIR,
+  DEFAULT_PROVIDER,
+  describeConfig,
+  HOST,
+  IMPORT_BODY_LIMIT_BYTES,
+  LOG_REDACT,
+  MAX_CONCURRENCY,
+  PORT,
+  TM_ENABLED,
+  TM_MIN_SIMILARITY,
+  unwatchConfigFile,
+  watchConfigFile,
+} from "./core/config.mjs";
+import { clampNumber, createHttpError } from "./core/util.mjs";
+import { normalizeItems } from "./core/text.mjs";
+import { detectLanguage, matchesTargetLanguage } from "./core/detect.mjs";
+import {
+  CACHE_EXPORT_VERSION,
+  clearCacheEntries,
+  compactCacheFile,
+  getCacheStats,
+  importCacheEntries,
+  isCacheEntryExpired,
+  loadCacheFromDisk,
+  matchesCacheFilter,
+  searchTranslationMemory,
+  translationCache,
+} from "./core/cache.mjs";
+import { glossaries, loadGlossaries, normalizeGlossary, saveGlossaries } from "./core/glossary.mjs";
+import { activeChildren, getHealth, PROVIDERS, translationSlots } from "./core/providers.mjs";
+import { previewPrompt, resolveTranslateOptions, translateBatch } from "./core/translate.mjs";
+import {
+  loadPromptTemplates,
+  normalizePromptTemplate,
+  promptTemplates,
+  savePromptTemplates,
+} from "./core/templates.mjs";
+import { DEFAULT_PROMPT_TEMPLATE, PROMPT_TEMPLATE_VARIABLES } from "./core/prompt.mjs";
+import { resolveDocumentFormat, translateDocument } from "./core/document.mjs";
+import { resolveSubtitleFormat, translateSubtitles } from "./core/subtitles.mjs";
+import { createGauge, httpRequests, renderPrometheusMetrics, snapshotMetrics } from "./core/metrics.mjs";
+import { describeErrorForConsole, describeErrorForLog, flushLog, logEvent, openLogFile } from "./core/log.mjs";
+
+const AUTH_ENABLED = process.env.BRIDGE_AUTH !== "0";
+
+const AUTH_FILE_NAME = "auth.json";
+const AUTH_HEADER = "x-bridge-token";
+const REQUEST_ID_HEADER = "x-request-id";
+// A caller may pass its own id to correlate its logs with the bridge's; anything else gets a fresh one.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+const PAIRING_CODE_TTL_MS = 10 * 60 * 1000;
+const MAX_PAIRING_ATTEMPTS = 5;
+const PAIRING_REARM_HINT = 'Type "pair" in the bridge console (or restart the bridge) to print a new code.';
+const JOB_TTL_MS = 10 * 60 * 1000;
+
+const DOCUMENT_CONTENT_TYPES = {
+  "text/markdown": "markdown",
+  "text/x-markdown": "markdown",
+  "text/html": "html",
+  "text/plain": "text",
+};
+// text/plain leaves the subtitle format to be sniffed from the content.
+const SUBTITLE_CONTENT_TYPES = {
+  "application/x-subrip": "srt",
+  "text/srt": "srt",
+  "text/vtt": "vtt",
+  "text/plain": "",
+};
+const DOCUMENT_NUMERIC_PARAMS = new Set([
+  "batchSize",
+  "maxCharsPerItem",
+  "concurrency",
+  "retries",
+  "maxLineLength",
+  "maxLines",
+]);
+const DOCUMENT_BOOLEAN_PARAMS = new Set([
+  "bilingual",
+  "glossaryRepair",
+  "skipSameLanguage",
+  "translationMemory",
+]);
+
+const ENDPOINTS = [
+  "POST /pair",
+  "GET /health",
+  "GET /metrics",
+  "GET /metrics.json",
+  "GET /config",
+  "POST /translate-batch",
+  "POST /translate-stream",
+  "POST /translate-document",
+  "POST /translate-subtitles",
+  "POST /detect",
+  "GET /tm/search?q=",
+  "POST /jobs",
+  "GET /jobs",
+  "GET /jobs/:id",
+  "DELETE /jobs/:id",
+  "GET /cache/stats",
+  "DELETE /cache",
+  "GET /cache/export",
+  "POST /cache/import",
+  "GET /glossaries",
+  "POST /glossaries",
+  "GET /glossaries/:id",
+  "PUT /glossaries/:id",
+  "DELETE /glossaries/:id",
+  "GET /templates",
+  "POST /templates",
+  "POST /templates/preview",
+  "GET /templates/:id",
+  "PUT /templates/:id",
+  "DELETE /templates/:id",
+];
+
+// Ids in paths are collapsed so the request counter keeps one series per endpoint rather than one per id.
+const METRIC_ROUTES = new Set(["/", ...ENDPOINTS.map((endpoint) => endpoint.split(" ")[1].split("?")[0])]);
+
+const jobs = new Map();
+let bridgeToken = "";
+let pairingCode = null;
+const startedAt = Date.now();
+
+createGauge("bridge_uptime_seconds", "Seconds since the bridge started.", () => (Date.now() - startedAt) / 1000);
+createGauge("bridge_translation_slots_active", "Provider calls currently running.", () => translationSlots.active);
+createGauge("bridge_queue_depth", "Batches waiting for a free translation slot.", () => translationSlots.waiting);
+createGauge("bridge_cache_entries", "Entries in the translation cache.", () => translationCache.size);
+createGauge(
+  "bridge_jobs_running",
+  "Translation jobs and streams still running.",
+  () => [...jobs.values()].filter((job) => job.status === "running").length
+);
 
 function resolveCorsOrigin(originHeader) {
   if (!originHeader) {
     return "*";
   }
 
-  if (originHeader.startsWith("chrome-extension://")) {
-    return originHeader;
-  }
-
-  if (originHeader.startsWith("http://127.0.0.1") || originHeader.startsWith("http://localhost")) {
-    return originHeader;
-  }
-
-  return "null";
+  return ALLOWED_ORIGINS.some((prefix) => originHeader.startsWith(prefix)) ? originHeader : "null";
 }
 
 function setCorsHeaders(req, res) {
   const allowedOrigin = resolveCorsOrigin(req.headers.origin);
   res.setHeader("Vary", "Origin");
   res.setHeader("Access-Control-Allow-Origin", allowedOrigin);
-  res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,DELETE,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Bridge-Token, X-Request-Id, Authorization");
+  res.setHeader("Access-Control-Expose-Headers", "X-Request-Id");
 
   if (allowedOrigin !== "*" && allowedOrigin !== "null") {
     res.setHeader("Access-Control-Allow-Credentials", "true");
@@ -79,14 +169,14 @@ function writeJson(res, statusCode, payload) {
   res.end(JSON.stringify(payload));
 }
 
-function readJsonBody(req) {
+function readTextBody(req, limitBytes = BODY_LIMIT_BYTES) {
   return new Promise((resolve, reject) => {
     let bytes = 0;
     const chunks = [];
 
     req.on("data", (chunk) => {
       bytes += chunk.length;
-      if (bytes > BODY_LIMIT_BYTES) {
+      if (bytes > limitBytes) {
         reject(createHttpError(413, "Request body too large"));
         req.destroy();
         return;
@@ -95,16 +185,7 @@ function readJsonBody(req) {
     });
 
     req.on("end", () => {
-      try {
-        if (chunks.length === 0) {
-          resolve({});
-          return;
-        }
-        const raw = Buffer.concat(chunks).toString("utf8").trim();
-        resolve(raw ? JSON.parse(raw) : {});
-      } catch {
-        reject(createHttpError(400, "Invalid JSON body"));
-      }
+      resolve(Buffer.concat(chunks).toString("utf8"));
     });
 
     req.on("error", (error) => {
@@ -113,547 +194,752 @@ function readJsonBody(req) {
   });
 }
 
-function normalizeItems(rawItems, maxCharsPerItem) {
-  if (!Array.isArray(rawItems)) {
-    return [];
+async function readJsonBody(req, limitBytes = BODY_LIMIT_BYTES) {
+  const raw = (await readTextBody(req, limitBytes)).trim();
+  try {
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    throw createHttpError(400, "Invalid JSON body");
   }
+}
 
-  const items = [];
-  for (let index = 0; index < rawItems.length; index += 1) {
-    const current = rawItems[index];
-    if (!current || typeof current !== "object") {
-      continue;
+async function loadOrCreateToken() {
+  const authFilePath = join(DATA_DIR, AUTH_FILE_NAME);
+  try {
+    const stored = JSON.parse(await readFile(authFilePath, "utf8"));
+    if (typeof stored.token === "string" && stored.token.length >= 32) {
+      bridgeToken = stored.token;
+      return;
     }
-
-    const id =
-      typeof current.id === "string" && current.id.trim().length > 0
-        ? current.id.trim()
-        : `item-${index + 1}`;
-
-    const text = typeof current.text === "string" ? current.text.replace(/\r\n/g, "\n").trim() : "";
-    if (!text) {
-      continue;
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`[auth] Ignoring unreadable ${authFilePath}: ${error.message}`);
     }
-
-    const clipped = text.length > maxCharsPerItem ? `${text.slice(0, maxCharsPerItem)}...` : text;
-    items.push({ id, text: clipped });
   }
 
-  return items;
+  bridgeToken = randomBytes(32).toString("hex");
+  await mkdir(DATA_DIR, { recursive: true });
+  await writeFile(
+    authFilePath,
+    `${JSON.stringify({ token: bridgeToken, createdAt: new Date().toISOString() }, null, 2)}\n`,
+    { encoding: "utf8", mode: 0o600 }
+  );
+  console.log(`[auth] generated a new bridge token in ${authFilePath}`);
 }
 
-function chunk(items, chunkSize) {
-  const chunks = [];
-  for (let index = 0; index < items.length; index += chunkSize) {
-    chunks.push(items.slice(index, index + chunkSize));
-  }
-  return chunks;
+function issuePairingCode() {
+  pairingCode = {
+    code: String(randomInt(0, 1_000_000)).padStart(6, "0"),
+    expiresAt: Date.now() + PAIRING_CODE_TTL_MS,
+    attempts: 0,
+  };
+  console.log(
+    `[auth] pairing code: ${pairingCode.code} (valid ${Math.round(PAIRING_CODE_TTL_MS / 60000)} min, single use)`
+  );
 }
 
-function getToneInstruction(tone) {
-  if (tone === "faithful") {
-    return "Translate conservatively. Keep sentence structure and terminology close to the source.";
-  }
+// Only the console can arm pairing, so a client can never rotate codes to get fresh guesses.
+function disarmPairing(reason) {
+  pairingCode = null;
+  console.log(`[auth] pairing disabled (${reason}). ${PAIRING_REARM_HINT}`);
+}
 
-  if (tone === "concise") {
-    return "Translate naturally but keep the output concise and compact.";
+function listenForPairingCommands() {
+  process.on("SIGUSR2", issuePairingCode);
+  if (!process.stdin.isTTY) {
+    return;
   }
+  createInterface({ input: process.stdin }).on("line", (line) => {
+    if (line.trim() === "pair") {
+      issuePairingCode();
+    }
+  });
+}
 
-  return "Translate naturally with fluent target-language phrasing while preserving meaning.";
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
 }
 
-function getModeInstruction(mode) {
-  if (mode === "translation-only") {
-    return "Only output the translated text without adding source-language fragments.";
+function readRequestToken(req) {
+  const headerToken = req.headers[AUTH_HEADER];
+  if (typeof headerToken === "string" && headerToken) {
+    return headerToken.trim();
   }
-  return "Output should read well as bilingual reading support context.";
+
+  const authorization = req.headers.authorization || "";
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : "";
 }
 
-function buildPrompt({ sourceLang, targetLang, tone, mode, items }) {
-  const resolvedSource = sourceLang === "auto" ? "auto-detect" : sourceLang;
-  const resolvedTarget = targetLang || "zh-CN";
+function assertAuthorized(req) {
+  if (!AUTH_ENABLED) {
+    return;
+  }
 
-  return [
-    "You are a translation engine.",
-    `Task: translate text from ${resolvedSource} to ${resolvedTarget}.`,
-    getToneInstruction(tone),
-    getModeInstruction(mode),
-    "Output constraints:",
-    "1) Return ONLY strict JSON, no markdown and no extra text.",
-    '2) Use exactly this schema: {"results":[{"id":"string","translatedText":"string"}]}',
-    "3) Each input id must appear exactly once in results.",
-    "4) Preserve URLs, code snippets, numbers, and proper nouns unless translation is clearly needed.",
-    "Input:",
-    JSON.stringify(items),
-  ].join("\n");
+  const token = readRequestToken(req);
+  if (!token || !safeEqual(token, bridgeToken)) {
+    throw createHttpError(
+      401,
+      token
+        ? "Bridge token is invalid. Pair the extension again from the options page."
+        : "Bridge token missing. Pair the extension from the options page.",
+      "unauthorized"
+    );
+  }
 }
 
-function tail(text, maxLines = 30) {
-  if (!text) {
-    return "";
+function readDocumentQueryOptions(searchParams, format) {
+  const body = { format };
+  for (const [key, value] of searchParams) {
+    if (DOCUMENT_NUMERIC_PARAMS.has(key)) {
+      body[key] = Number(value);
+    } else if (DOCUMENT_BOOLEAN_PARAMS.has(key)) {
+      body[key] = value !== "0" && value !== "false";
+    } else if (key === "glossaryIds") {
+      body[key] = value.split(",").filter(Boolean);
+    } else {
+      body[key] = value;
+    }
   }
-  const lines = text.trim().split("\n");
-  return lines.slice(Math.max(lines.length - maxLines, 0)).join("\n");
+  return body;
 }
 
-function sliceBalancedJson(text, startIndex) {
-  const stack = [];
-  let inString = false;
-  let escaped = false;
+async function handlePair(req, res) {
+  if (!AUTH_ENABLED) {
+    writeJson(res, 200, { ok: true, token: "", authEnabled: false });
+    return;
+  }
 
-  for (let index = startIndex; index < text.length; index += 1) {
-    const char = text[index];
+  const body = await readJsonBody(req);
+  const code = typeof body.code === "string" ? body.code.replace(/\s+/g, "") : "";
 
-    if (inString) {
-      if (escaped) {
-        escaped = false;
-      } else if (char === "\\") {
-        escaped = true;
-      } else if (char === '"') {
-        inString = false;
-      }
-      continue;
-    }
+  if (!pairingCode) {
+    throw createHttpError(400, `Pairing is not active. ${PAIRING_REARM_HINT}`, "pairing_inactive");
+  }
+  if (Date.now() > pairingCode.expiresAt) {
+    disarmPairing("code expired");
+    throw createHttpError(400, `Pairing code expired. ${PAIRING_REARM_HINT}`, "pairing_expired");
+  }
 
-    if (char === '"') {
-      inString = true;
-      continue;
+  if (!code || !safeEqual(code, pairingCode.code)) {
+    pairingCode.attempts += 1;
+    if (pairingCode.attempts >= MAX_PAIRING_ATTEMPTS) {
+      disarmPairing("too many wrong codes");
+      throw createHttpError(403, `Too many wrong pairing codes. ${PAIRING_REARM_HINT}`, "pairing_locked");
     }
+    throw createHttpError(403, "Pairing code is incorrect", "pairing_invalid");
+  }
 
-    if (char === "{" || char === "[") {
-      stack.push(char);
-      continue;
-    }
+  // One-time use: pairing another client needs a fresh code from the console.
+  pairingCode = null;
+  console.log("[auth] extension paired");
+  writeJson(res, 200, { ok: true, token: bridgeToken, authEnabled: true });
+}
 
-    if (char === "}" || char === "]") {
-      const open = stack.pop();
-      if (!open) {
-        return null;
-      }
-      if ((open === "{" && char !== "}") || (open === "[" && char !== "]")) {
-        return null;
-      }
-      if (stack.length === 0) {
-        return text.slice(startIndex, index + 1);
-      }
-    }
+async function handleDetect(req, res) {
+  const body = await readJsonBody(req);
+  const items = normalizeItems(typeof body.text === "string" ? [{ id: "text", text: body.text }] : body.items);
+  if (items.length === 0) {
+    throw createHttpError(400, "No text was provided");
   }
 
-  return null;
+  const targetLang = typeof body.targetLang === "string" ? body.targetLang.trim() : "";
+  writeJson(res, 200, {
+    ok: true,
+    results: items.map((item) => {
+      const detection = detectLanguage(item.text);
+      return {
+        id: item.id,
+        ...detection,
+        ...(targetLang ? { matchesTarget: matchesTargetLanguage(detection, targetLang) } : {}),
+      };
+    }),
+  });
 }
 
-function extractJsonCandidate(text) {
-  const trimmed = (text || "").trim();
-  if (!trimmed) {
-    return null;
+function handleMemorySearch(res, searchParams) {
+  const query = (searchParams.get("q") || "").trim();
+  if (!query) {
+    throw createHttpError(400, "Query parameter `q` is required");
   }
 
-  try {
-    JSON.parse(trimmed);
-    return trimmed;
-  } catch {
-    // Continue with fallback extraction.
-  }
+  const minScore = Number(searchParams.get("minScore") ?? TM_MIN_SIMILARITY);
+  const resolvedMinScore = Number.isFinite(minScore) ? Math.min(1, Math.max(0, minScore)) : TM_MIN_SIMILARITY;
+  const results = searchTranslationMemory(query, {
+    targetLang: searchParams.get("targetLang") || "",
+    limit: clampNumber(Number(searchParams.get("limit") ?? 10), 1, 50, 10),
+    minScore: resolvedMinScore,
+  });
 
-  const fencedMatch = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
-  if (fencedMatch && fencedMatch[1]) {
-    const fenced = fencedMatch[1].trim();
-    try {
-      JSON.parse(fenced);
-      return fenced;
-    } catch {
-      // Continue with fallback extraction.
-    }
-  }
+  writeJson(res, 200, {
+    ok: true,
+    enabled: TM_ENABLED,
+    query,
+    minScore: resolvedMinScore,
+    results: results.map((match) => ({ ...match, createdAt: new Date(match.createdAt).toISOString() })),
+  });
+}
 
-  for (let index = 0; index < trimmed.length; index += 1) {
-    const char = trimmed[index];
-    if (char !== "{" && char !== "[") {
-      continue;
-    }
+function routeLabel(pathname) {
+  const route = pathname.replace(/^\/(jobs|glossaries|templates)\/(?!preview$)[^/]+$/, "/$1/:id");
+  return METRIC_ROUTES.has(route) ? route : "other";
+}
 
-    const candidate = sliceBalancedJson(trimmed, index);
-    if (!candidate) {
-      continue;
-    }
+function handleMetrics(res) {
+  res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+  res.end(renderPrometheusMetrics());
+}
 
-    try {
-      JSON.parse(candidate);
-      return candidate;
-    } catch {
-      // Keep searching.
+function handleMetricsJson(res) {
+  writeJson(res, 200, { ok: true, collectedAt: new Date().toISOString(), metrics: snapshotMetrics() });
+}
+
+function handleConfig(res) {
+  writeJson(res, 200, { ok: true, ...describeConfig() });
+}
+
+function validateConfigValues(values) {
+  return PROVIDERS.has(values.defaultProvider)
+    ? []
+    : [`"defaultProvider" must be one of ${[...PROVIDERS.keys()].join(", ")} (got "${values.defaultProvider}")`];
+}
+
+function handleConfigReload({ errors, changed, pendingRestart }) {
+  if (errors.length > 0) {
+    console.error(`[config] Ignoring ${CONFIG_PATH}, keeping the previous settings:`);
+    for (const message of errors) {
+      console.error(`  - ${message}`);
     }
+    logEvent("config", { status: "invalid", errors: errors.length });
+    return;
   }
 
-  return null;
+  translationSlots.setLimit(MAX_CONCURRENCY);
+  if (changed.length > 0) {
+    console.log(`[config] Reloaded ${CONFIG_PATH}: ${changed.join(", ")}`);
+  }
+  if (pendingRestart.length > 0) {
+    console.warn(`[config] Restart the bridge to apply: ${pendingRestart.join(", ")}`);
+  }
+  logEvent("config", { status: "reloaded", changed, pendingRestart });
 }
 
-function normalizeParsedResults(parsed, batchItems) {
-  let rows = [];
+async function handleHealth(res) {
+  const health = await getHealth({ force: true });
+  writeJson(res, health.ok ? 200 : 503, health);
+}
 
-  if (Array.isArray(parsed)) {
-    rows = parsed;
-  } else if (parsed && typeof parsed === "object") {
-    if (Array.isArray(parsed.results)) {
-      rows = parsed.results;
-    } else if (Array.isArray(parsed.translations)) {
-      rows = parsed.translations;
-    }
+async function parseTranslateRequest(req) {
+  const body = await readJsonBody(req);
+  const items = normalizeItems(body.items);
+  if (items.length === 0) {
+    throw createHttpError(400, "No translatable items were provided");
   }
 
-  const normalized = [];
-  for (let index = 0; index < rows.length; index += 1) {
-    const row = rows[index];
+  const options = await resolveTranslateOptions(body);
+  req.logFields.items = items.length;
+  console.log(
+    `[translate] request=${req.requestId} items=${items.length} source=${options.sourceLang} ` +
+      `target=${options.targetLangs.join(",")} batchSize=${options.batchSize} provider=${options.provider} ` +
+      `model=${options.model || "default"}`
+  );
 
-    if (typeof row === "string") {
-      const source = batchItems[index];
-      if (source) {
-        normalized.push({ id: source.id, translatedText: row.trim() });
-      }
-      continue;
-    }
+  return { ...options, items, requestId: req.requestId };
+}
 
-    if (!row || typeof row !== "object") {
-      continue;
-    }
+function logTranslateDone(translated, requestStartedAt) {
+  console.log(
+    `[translate] done items=${translated.meta.total} generated=${translated.meta.generated} cacheHits=${
+      translated.meta.cacheHits
+    } coalesced=${translated.meta.coalesced} durationMs=${Date.now() - requestStartedAt}`
+  );
+}
 
-    const id = typeof row.id === "string" ? row.id : batchItems[index]?.id;
-    const translatedText =
-      typeof row.translatedText === "string"
-        ? row.translatedText
-        : typeof row.translation === "string"
-        ? row.translation
-        : typeof row.text === "string"
-        ? row.text
-        : "";
+function createJob(options) {
+  const job = {
+    id: randomBytes(8).toString("hex"),
+    requestId: options.requestId,
+    status: "running",
+    createdAt: Date.now(),
+    finishedAt: null,
+    itemIds: options.items.map((item) => item.id),
+    results: new Map(),
+    failed: [],
+    warnings: [],
+    checks: [],
+    meta: null,
+    error: null,
+    controller: new AbortController(),
+  };
+  jobs.set(job.id, job);
+  return job;
+}
 
-    if (id && translatedText.trim()) {
-      normalized.push({ id, translatedText: translatedText.trim() });
+function recordJobEvent(job, event) {
+  // Multi-language jobs hold one row per language; quality events add to rows that are already stored.
+  for (const row of event.results || []) {
+    const rows = job.results.get(row.id) || [];
+    const existing = rows.find((candidate) => candidate.targetLang === row.targetLang);
+    if (existing) {
+      Object.assign(existing, row);
+    } else {
+      rows.push({ ...row });
     }
+    job.results.set(row.id, rows);
   }
+  job.failed.push(...(event.failed || []));
+  job.warnings.push(...(event.warnings || []));
+}
 
-  return normalized;
+async function runJob(job, options, onEvent) {
+  try {
+    const translated = await translateBatch({
+      ...options,
+      signal: job.controller.signal,
+      onEvent: (event) => {
+        recordJobEvent(job, event);
+        onEvent?.(event);
+      },
+    });
+
+    job.status = "completed";
+    job.meta = translated.meta;
+    job.failed = translated.failed;
+    job.warnings = translated.warnings;
+    job.checks = translated.checks;
+    return translated;
+  } catch (error) {
+    job.status = job.controller.signal.aborted ? "cancelled" : "failed";
+    job.error = { message: error.message, code: error.code, statusCode: error.statusCode || 500 };
+    throw error;
+  } finally {
+    job.finishedAt = Date.now();
+    logEvent("job", {
+      requestId: job.requestId,
+      jobId: job.id,
+      status: job.status,
+      durationMs: job.finishedAt - job.createdAt,
+      items: job.itemIds.length,
+      failed: job.failed.length,
+      ...(job.meta
+        ? { generated: job.meta.generated, cacheHits: job.meta.cacheHits, coalesced: job.meta.coalesced }
+        : {}),
+      ...(job.error ? { code: job.error.code } : {}),
+    });
+  }
 }
 
-function parseTranslationOutput(rawOutput, batchItems) {
-  const output = (rawOutput || "").trim();
-  if (!output) {
-    throw new Error("Codex returned empty output");
+function cancelJob(job) {
+  if (job.status === "running") {
+    job.controller.abort();
+    job.status = "cancelled";
+    console.log(`[jobs] cancelled ${job.id}`);
   }
+}
 
-  const jsonCandidate = extractJsonCandidate(output);
-  if (jsonCandidate) {
-    const parsed = JSON.parse(jsonCandidate);
-    const normalized = normalizeParsedResults(parsed, batchItems);
-    if (normalized.length > 0) {
-      return normalized;
+function serializeJob(job) {
+  return {
+    id: job.id,
+    requestId: job.requestId,
+    status: job.status,
+    createdAt: new Date(job.createdAt).toISOString(),
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    progress: {
+      total: job.itemIds.length,
+      translated: job.results.size,
+      failed: job.failed.length,
+    },
+    results: job.itemIds.filter((id) => job.results.has(id)).flatMap((id) => job.results.get(id)),
+    failed: job.failed,
+    warnings: job.warnings,
+    checks: job.checks,
+    meta: job.meta,
+    error: job.error,
+  };
+}
+
+function pruneJobs() {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && job.finishedAt < cutoff) {
+      jobs.delete(id);
     }
   }
+}
 
-  if (batchItems.length === 1) {
-    return [{ id: batchItems[0].id, translatedText: output.replace(/^"|"$/g, "").trim() }];
+function getJobOrThrow(id) {
+  const job = jobs.get(id);
+  if (!job) {
+    throw createHttpError(404, `Job not found: ${id}`, "job_not_found");
   }
-
-  throw new Error(`Unable to parse Codex output as translation JSON. Output tail: ${tail(output, 12)}`);
+  return job;
 }
 
-function setCacheValue(key, value) {
-  if (translationCache.size >= MAX_CACHE_SIZE) {
-    const firstKey = translationCache.keys().next().value;
-    if (firstKey) {
-      translationCache.delete(firstKey);
+function cancelOnDisconnect(res, controller) {
+  // "close" also fires after a normal response, so only abort when the client left early.
+  res.on("close", () => {
+    if (!res.writableFinished) {
+      controller.abort();
     }
-  }
-  translationCache.set(key, value);
+  });
 }
 
-async function runProcess(command, args, { input, timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
-  return new Promise((resolve, reject) => {
-    const child = spawn(command, args, {
-      env: process.env,
-      stdio: ["pipe", "pipe", "pipe"],
-    });
+async function handleTranslate(req, res) {
+  const requestStartedAt = Date.now();
+  const options = await parseTranslateRequest(req);
+  const controller = new AbortController();
+  cancelOnDisconnect(res, controller);
+  const translated = await translateBatch({ ...options, signal: controller.signal });
+
+  writeJson(res, 200, {
+    ok: true,
+    ...translated,
+  });
 
-    let stdout = "";
-    let stderr = "";
-    let timedOut = false;
-    let forceKillTimer = null;
+  logTranslateDone(translated, requestStartedAt);
+}
 
-    const timer = setTimeout(() => {
-      timedOut = true;
-      child.kill("SIGTERM");
-      forceKillTimer = setTimeout(() => {
-        child.kill("SIGKILL");
-      }, 5000);
-    }, timeoutMs);
+async function handleTranslateDocument(req, res, searchParams) {
+  const requestStartedAt = Date.now();
+  const contentType = (req.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+  const rawFormat = DOCUMENT_CONTENT_TYPES[contentType];
+
+  // Raw bodies take their options from the query string, so plain `curl --data-binary @README.md` works.
+  const body = rawFormat ? readDocumentQueryOptions(searchParams, rawFormat) : await readJsonBody(req);
+  const content = rawFormat ? await readTextBody(req) : body.content;
+  if (typeof content !== "string" || !content.trim()) {
+    throw createHttpError(400, "Document content is empty");
+  }
 
-    child.stdout.setEncoding("utf8");
-    child.stderr.setEncoding("utf8");
+  const format = resolveDocumentFormat(body.format);
+  const bilingual = body.bilingual === true || body.mode === "bilingual";
+  const options = await resolveTranslateOptions(body);
+  req.logFields.chars = content.length;
+  console.log(
+    `[document] request=${req.requestId} format=${format} chars=${content.length} target=${options.targetLang}`
+  );
 
-    child.stdout.on("data", (chunk) => {
-      stdout += chunk;
-    });
+  const controller = new AbortController();
+  cancelOnDisconnect(res, controller);
+  const translated = await translateDocument(content, {
+    ...options,
+    requestId: req.requestId,
+    format,
+    bilingual,
+    signal: controller.signal,
+  });
 
-    child.stderr.on("data", (chunk) => {
-      stderr += chunk;
+  if (rawFormat) {
+    res.writeHead(200, {
+      "Content-Type": `${contentType}; charset=utf-8`,
+      "X-Translation-Blocks": String(translated.meta.blocks),
+      "X-Translation-Failed": String(translated.meta.failed),
     });
+    res.end(translated.content);
+  } else {
+    writeJson(res, 200, { ok: true, format, ...translated });
+  }
 
-    child.on("error", (error) => {
-      clearTimeout(timer);
-      if (forceKillTimer) {
-        clearTimeout(forceKillTimer);
-      }
-      reject(error);
-    });
+  logTranslateDone(translated, requestStartedAt);
+}
 
-    child.on("close", (code) => {
-      clearTimeout(timer);
-      if (forceKillTimer) {
-        clearTimeout(forceKillTimer);
-      }
-      resolve({ code, stdout, stderr, timedOut });
-    });
+async function handleTranslateSubtitles(req, res, searchParams) {
+  const requestStartedAt = Date.now();
+  const contentType = (req.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+  const rawFormat = SUBTITLE_CONTENT_TYPES[contentType];
+  const isRaw = rawFormat !== undefined;
+
+  const body = isRaw ? readDocumentQueryOptions(searchParams, rawFormat || undefined) : await readJsonBody(req);
+  const content = isRaw ? await readTextBody(req) : body.content;
+  if (typeof content !== "string" || !content.trim()) {
+    throw createHttpError(400, "Subtitle content is empty");
+  }
 
-    if (typeof input === "string") {
-      child.stdin.end(input);
-    } else {
-      child.stdin.end();
-    }
+  const format = resolveSubtitleFormat(body.format, content);
+  const bilingual = body.bilingual === true || body.mode === "bilingual";
+  const options = await resolveTranslateOptions(body);
+  req.logFields.chars = content.length;
+  console.log(
+    `[subtitles] request=${req.requestId} format=${format} chars=${content.length} target=${options.targetLang}`
+  );
+
+  const controller = new AbortController();
+  cancelOnDisconnect(res, controller);
+  const translated = await translateSubtitles(content, {
+    ...options,
+    requestId: req.requestId,
+    format,
+    bilingual,
+    maxLineLength: body.maxLineLength,
+    maxLines: body.maxLines,
+    signal: controller.signal,
   });
+
+  if (isRaw) {
+    res.writeHead(200, {
+      "Content-Type": `${format === "vtt" ? "text/vtt" : "application/x-subrip"}; charset=utf-8`,
+      "X-Translation-Cues": String(translated.meta.cues),
+      "X-Translation-Failed": String(translated.meta.failed),
+    });
+    res.end(translated.content);
+  } else {
+    writeJson(res, 200, { ok: true, format, ...translated });
+  }
+
+  logTranslateDone(translated, requestStartedAt);
 }
 
-async function runCodexTranslation(prompt, model) {
-  const tempDir = await mkdtemp(join(tmpdir(), "openai-translate-"));
-  const outputPath = join(tempDir, "last-message.txt");
+async function handleTranslateStream(req, res) {
+  const requestStartedAt = Date.now();
+  // Validation errors still surface as regular JSON responses before the stream starts.
+  const options = await parseTranslateRequest(req);
 
-  const args = [
-    "exec",
-    "--skip-git-repo-check",
-    "--sandbox",
-    "read-only",
-    "-o",
-    outputPath,
-  ];
+  res.writeHead(200, {
+    "Content-Type": "application/x-ndjson; charset=utf-8",
+    "Cache-Control": "no-cache",
+    "X-Content-Type-Options": "nosniff",
+  });
 
-  if (model) {
-    args.push("-m", model);
+  function emit(event) {
+    if (!res.writableEnded && !res.destroyed) {
+      res.write(`${JSON.stringify(event)}\n`);
+    }
   }
 
-  args.push("-");
+  const job = createJob(options);
+  cancelOnDisconnect(res, job.controller);
+  emit({ type: "job", jobId: job.id, total: options.items.length });
 
   try {
-    const runResult = await runProcess(CODEX_BIN, args, { input: prompt });
-
-    let lastMessage = "";
-    try {
-      lastMessage = await readFile(outputPath, "utf8");
-    } catch {
-      // The output file may be missing if Codex failed early.
+    const translated = await runJob(job, options, emit);
+    emit({
+      type: "summary",
+      ok: true,
+      failed: translated.failed,
+      warnings: translated.warnings,
+      checks: translated.checks,
+      meta: translated.meta,
+    });
+    logTranslateDone(translated, requestStartedAt);
+  } catch (error) {
+    if (error.code === "cancelled") {
+      console.log(`[jobs] stream ${job.id} cancelled`);
+    } else {
+      console.error(`[bridge-error] request=${req.requestId} stream: ${describeErrorForConsole(error)}`);
     }
-
-    return {
-      ...runResult,
-      lastMessage: sanitizeOutput(lastMessage),
-      cleanStdout: sanitizeOutput(runResult.stdout),
-      cleanStderr: sanitizeOutput(runResult.stderr),
-    };
+    Object.assign(req.logFields, describeErrorForLog(error));
+    emit({
+      type: "error",
+      ok: false,
+      statusCode: error.statusCode || 500,
+      code: error.code,
+      error: error.message || "Internal server error",
+      requestId: req.requestId,
+    });
   } finally {
-    await rm(tempDir, { recursive: true, force: true });
+    res.end();
   }
 }
 
-async function getHealth({ force = false } = {}) {
-  const now = Date.now();
-  if (!force && healthSnapshot && now - healthSnapshotAt < 10_000) {
-    return healthSnapshot;
-  }
-
-  const snapshot = {
-    ok: false,
-    codexInstalled: false,
-    codexVersion: null,
-    loggedIn: false,
-    loginMessage: null,
-  };
+function handleGlossaryList(res) {
+  const items = [...glossaries.values()].map(({ entries, ...rest }) => ({ ...rest, termCount: entries.length }));
+  writeJson(res, 200, { ok: true, glossaries: items });
+}
 
-  try {
-    const versionResult = await runProcess(CODEX_BIN, ["--version"], { timeoutMs: 10_000 });
-    if (versionResult.code === 0) {
-      snapshot.codexInstalled = true;
-      snapshot.codexVersion = sanitizeOutput(versionResult.stdout) || sanitizeOutput(versionResult.stderr);
-    }
-  } catch (error) {
-    snapshot.loginMessage = `Failed to run codex: ${error.message}`;
-    healthSnapshot = snapshot;
-    healthSnapshotAt = Date.now();
-    return snapshot;
+function handleGlossaryGet(res, id) {
+  const glossary = glossaries.get(id);
+  if (!glossary) {
+    throw createHttpError(404, `Glossary not found: ${id}`);
   }
+  writeJson(res, 200, { ok: true, glossary });
+}
 
-  try {
-    const loginResult = await runProcess(CODEX_BIN, ["login", "status"], { timeoutMs: 20_000 });
-    const combined = sanitizeOutput(`${loginResult.stdout}\n${loginResult.stderr}`);
-    snapshot.loginMessage = combined || "No login status returned";
-    snapshot.loggedIn = /logged in/i.test(combined) && !/not logged in/i.test(combined);
-  } catch (error) {
-    snapshot.loginMessage = `Failed to check login status: ${error.message}`;
+async function handleGlossaryCreate(req, res) {
+  const body = await readJsonBody(req);
+  const glossary = normalizeGlossary(body);
+  if (glossaries.has(glossary.id)) {
+    throw createHttpError(409, `Glossary already exists: ${glossary.id}. Use PUT /glossaries/${glossary.id}.`);
   }
 
-  snapshot.ok = snapshot.codexInstalled && snapshot.loggedIn;
-  healthSnapshot = snapshot;
-  healthSnapshotAt = Date.now();
-  return snapshot;
+  await saveGlossaries((next) => next.set(glossary.id, glossary));
+  writeJson(res, 201, { ok: true, glossary });
 }
 
-function cacheKey(item, options) {
-  return [
-    options.sourceLang,
-    options.targetLang,
-    options.model || "",
-    options.mode,
-    options.tone,
-    item.text,
-  ].join("\u0001");
-}
+async function handleGlossaryUpdate(req, res, id) {
+  const body = await readJsonBody(req);
+  const glossary = normalizeGlossary(body, id);
+  const created = !glossaries.has(id);
 
-async function translateBatch(options) {
-  const resultById = new Map();
-  const pending = [];
-  let cacheHits = 0;
+  await saveGlossaries((next) => next.set(id, glossary));
+  writeJson(res, created ? 201 : 200, { ok: true, glossary });
+}
 
-  for (const item of options.items) {
-    const key = cacheKey(item, options);
-    if (translationCache.has(key)) {
-      resultById.set(item.id, translationCache.get(key));
-      cacheHits += 1;
-      continue;
-    }
-    pending.push(item);
+async function handleGlossaryDelete(res, id) {
+  if (!glossaries.has(id)) {
+    throw createHttpError(404, `Glossary not found: ${id}`);
   }
+  await saveGlossaries((next) => next.delete(id));
+  writeJson(res, 200, { ok: true, deleted: id });
+}
 
-  const warnings = [];
-  const batches = chunk(pending, options.batchSize);
-
-  for (const batch of batches) {
-    const prompt = buildPrompt({
-      sourceLang: options.sourceLang,
-      targetLang: options.targetLang,
-      tone: options.tone,
-      mode: options.mode,
-      items: batch,
-    });
+function handleTemplateList(res) {
+  writeJson(res, 200, {
+    ok: true,
+    templates: [...promptTemplates.values()],
+    variables: PROMPT_TEMPLATE_VARIABLES,
+    defaultBody: DEFAULT_PROMPT_TEMPLATE,
+  });
+}
 
-    const codexResult = await runCodexTranslation(prompt, options.model);
+function handleTemplateGet(res, id) {
+  const template = promptTemplates.get(id);
+  if (!template) {
+    throw createHttpError(404, `Template not found: ${id}`);
+  }
+  writeJson(res, 200, { ok: true, template });
+}
 
-    if (codexResult.timedOut) {
-      throw createHttpError(504, "Codex request timed out");
-    }
+async function handleTemplateCreate(req, res) {
+  const body = await readJsonBody(req);
+  const template = normalizePromptTemplate(body);
+  if (promptTemplates.has(template.id)) {
+    throw createHttpError(409, `Template already exists: ${template.id}. Use PUT /templates/${template.id}.`);
+  }
 
-    if (codexResult.code !== 0 && !codexResult.lastMessage && !codexResult.cleanStdout) {
-      const details = tail(codexResult.cleanStderr || codexResult.stderr || "", 20);
-      throw createHttpError(502, `Codex exec failed (exit ${codexResult.code}). ${details}`);
-    }
+  await savePromptTemplates((next) => next.set(template.id, template));
+  writeJson(res, 201, { ok: true, template });
+}
 
-    let parsedRows;
-    try {
-      parsedRows = parseTranslationOutput(codexResult.lastMessage || codexResult.cleanStdout, batch);
-    } catch (error) {
-      const details = tail(codexResult.cleanStderr || codexResult.stderr || "", 12);
-      throw createHttpError(502, `${error.message}${details ? ` | stderr: ${details}` : ""}`);
-    }
+async function handleTemplateUpdate(req, res, id) {
+  const body = await readJsonBody(req);
+  const template = normalizePromptTemplate(body, id);
+  const created = !promptTemplates.has(id);
 
-    const parsedById = new Map(parsedRows.map((row) => [row.id, row.translatedText]));
+  await savePromptTemplates((next) => next.set(id, template));
+  writeJson(res, created ? 201 : 200, { ok: true, template });
+}
 
-    for (const item of batch) {
-      const translated = parsedById.get(item.id);
-      if (!translated) {
-        warnings.push(`Missing translation for id=${item.id}; falling back to source text.`);
-        resultById.set(item.id, item.text);
-        continue;
-      }
+async function handleTemplateDelete(res, id) {
+  if (!promptTemplates.has(id)) {
+    throw createHttpError(404, `Template not found: ${id}`);
+  }
+  await savePromptTemplates((next) => next.delete(id));
+  writeJson(res, 200, { ok: true, deleted: id });
+}
 
-      resultById.set(item.id, translated);
-      setCacheValue(cacheKey(item, options), translated);
-    }
+// Renders an unsaved `body` or a stored `templateId` against sample items so editors can see the real prompt.
+async function handleTemplatePreview(req, res) {
+  const body = await readJsonBody(req);
+  const draft = typeof body.body === "string";
+  const options = await resolveTranslateOptions(
+    { ...body, templateId: draft ? "" : body.templateId },
+    { checkProvider: false }
+  );
+  if (draft) {
+    options.promptTemplate = normalizePromptTemplate({ name: body.name || "preview", body: body.body });
   }
 
-  const results = options.items.map((item) => ({
-    id: item.id,
-    translatedText: resultById.get(item.id) || item.text,
-  }));
+  const items = normalizeItems(body.items);
+  const prompt = previewPrompt(
+    options,
+    items.length > 0 ? items : [{ id: "1", text: "Example paragraph that will be translated." }]
+  );
+  writeJson(res, 200, { ok: true, prompt, chars: prompt.length });
+}
 
-  return {
-    results,
-    warnings,
-    meta: {
-      provider: "openai-codex-auth",
-      model: options.model || "default",
-      total: options.items.length,
-      cacheHits,
-      generated: options.items.length - cacheHits,
-    },
-  };
+async function handleJobCreate(req, res) {
+  const requestStartedAt = Date.now();
+  const options = await parseTranslateRequest(req);
+  const job = createJob(options);
+
+  runJob(job, options)
+    .then((translated) => logTranslateDone(translated, requestStartedAt))
+    .catch((error) => {
+      if (error.code !== "cancelled") {
+        console.error(`[bridge-error] request=${job.requestId} job ${job.id}: ${describeErrorForConsole(error)}`);
+      }
+    });
+
+  writeJson(res, 202, { ok: true, jobId: job.id, job: serializeJob(job) });
 }
 
-async function handleHealth(res) {
-  const health = await getHealth({ force: true });
-  writeJson(res, health.ok ? 200 : 503, health);
+function handleJobList(res) {
+  pruneJobs();
+  const items = [...jobs.values()].map((job) => {
+    const { results, failed, warnings, checks, ...summary } = serializeJob(job);
+    return summary;
+  });
+  writeJson(res, 200, { ok: true, jobs: items });
 }
 
-async function handleTranslate(req, res) {
-  const requestStartedAt = Date.now();
-  const body = await readJsonBody(req);
+function handleJobGet(res, id) {
+  writeJson(res, 200, { ok: true, job: serializeJob(getJobOrThrow(id)) });
+}
 
-  const sourceLang = typeof body.sourceLang === "string" ? body.sourceLang : "auto";
-  const targetLang = typeof body.targetLang === "string" ? body.targetLang : "zh-CN";
-  const model = typeof body.model === "string" && body.model.trim() ? body.model.trim() : "";
+function handleJobCancel(res, id) {
+  const job = getJobOrThrow(id);
+  cancelJob(job);
+  writeJson(res, 200, { ok: true, job: serializeJob(job) });
+}
 
-  const mode = TRANSLATION_MODES.has(body.mode) ? body.mode : "bilingual";
-  const tone = TRANSLATION_TONES.has(body.tone) ? body.tone : "natural";
-  const batchSize = clampNumber(body.batchSize, 1, 20, DEFAULT_BATCH_SIZE);
-  const maxCharsPerItem = clampNumber(body.maxCharsPerItem, 100, 5000, DEFAULT_MAX_CHARS);
+async function handleCacheStats(res) {
+  const stats = await getCacheStats();
+  writeJson(res, 200, { ok: true, ...stats });
+}
 
-  const items = normalizeItems(body.items, maxCharsPerItem);
-  if (items.length === 0) {
-    throw createHttpError(400, "No translatable items were provided");
+async function handleCacheClear(res, searchParams) {
+  const filter = {};
+  const targetLang = searchParams.get("targetLang");
+  if (targetLang) {
+    filter.targetLang = targetLang;
+  }
+  if (searchParams.has("model")) {
+    filter.model = searchParams.get("model") || "";
   }
 
-  console.log(
-    `[translate] items=${items.length} source=${sourceLang} target=${targetLang} batchSize=${batchSize} model=${
-      model || "default"
-    }`
-  );
+  const removed = await clearCacheEntries(filter);
+  console.log(`[cache] cleared ${removed} entries filter=${JSON.stringify(filter)}`);
+  writeJson(res, 200, { ok: true, removed, entries: translationCache.size });
+}
 
-  const health = await getHealth();
-  if (!health.codexInstalled) {
-    throw createHttpError(503, "codex CLI is not available. Install Codex CLI first.");
-  }
-  if (!health.loggedIn) {
-    throw createHttpError(
-      503,
-      "OpenAI auth is not ready. Run `codex login` in terminal and complete ChatGPT sign-in."
-    );
+function handleCacheExport(res, searchParams) {
+  const filter = { targetLang: searchParams.get("targetLang") || "" };
+  if (searchParams.has("model")) {
+    filter.model = searchParams.get("model") || "";
   }
 
-  const translated = await translateBatch({
-    sourceLang,
-    targetLang,
-    model,
-    mode,
-    tone,
-    batchSize,
-    items,
-  });
+  const now = Date.now();
+  const entries = [];
+  for (const entry of translationCache.values()) {
+    if (!isCacheEntryExpired(entry, now) && matchesCacheFilter(entry, filter)) {
+      entries.push(entry);
+    }
+  }
 
+  res.setHeader("Content-Disposition", 'attachment; filename="translation-cache.json"');
   writeJson(res, 200, {
     ok: true,
-    ...translated,
+    version: CACHE_EXPORT_VERSION,
+    exportedAt: new Date(now).toISOString(),
+    count: entries.length,
+    entries,
   });
+}
 
-  console.log(
-    `[translate] done items=${items.length} generated=${translated.meta.generated} cacheHits=${translated.meta.cacheHits} durationMs=${
-      Date.now() - requestStartedAt
-    }`
-  );
+async function handleCacheImport(req, res) {
+  const body = await readJsonBody(req, IMPORT_BODY_LIMIT_BYTES);
+  if (!Array.isArray(body.entries)) {
+    throw createHttpError(400, "Expected an exported cache object with an `entries` array");
+  }
+  if (body.version !== undefined && body.version !== CACHE_EXPORT_VERSION) {
+    throw createHttpError(400, `Unsupported cache export version: ${body.version}`);
+  }
+
+  const summary = importCacheEntries(body.entries);
+  console.log(`[cache] imported=${summary.imported} skipped=${summary.skipped} evicted=${summary.evicted}`);
+  writeJson(res, 200, { ok: true, ...summary, entries: translationCache.size });
 }
 
 const server = createServer(async (req, res) => {
@@ -666,40 +952,287 @@ const server = createServer(async (req, res) => {
   }
 
   const baseUrl = `http://${req.headers.host || `${HOST}:${PORT}`}`;
-  const { pathname } = new URL(req.url || "/", baseUrl);
+  const { pathname, searchParams } = new URL(req.url || "/", baseUrl);
+  const requestStartedAt = Date.now();
+  const incomingId = req.headers[REQUEST_ID_HEADER];
+  req.requestId = REQUEST_ID_PATTERN.test(incomingId || "") ? incomingId : randomBytes(8).toString("hex");
+  // Handlers add what they learn (item counts, stream errors) to the request's log line.
+  req.logFields = {};
+  res.setHeader("X-Request-Id", req.requestId);
+  res.once("close", () => {
+    const route = routeLabel(pathname);
+    httpRequests.inc({ route, method: req.method, status: String(res.statusCode) });
+    logEvent("request", {
+      requestId: req.requestId,
+      method: req.method,
+      route,
+      status: res.statusCode,
+      durationMs: Date.now() - requestStartedAt,
+      ...(res.writableFinished ? {} : { aborted: true }),
+      ...req.logFields,
+    });
+  });
 
   try {
     if (req.method === "GET" && pathname === "/") {
       writeJson(res, 200, {
         ok: true,
         service: "openai-auth-translate-bridge",
-        endpoints: ["GET /health", "POST /translate-batch"],
+        authRequired: AUTH_ENABLED,
+        endpoints: ENDPOINTS,
       });
       return;
     }
 
+    if (req.method === "POST" && pathname === "/pair") {
+      await handlePair(req, res);
+      return;
+    }
+
+    assertAuthorized(req);
+
     if (req.method === "GET" && pathname === "/health") {
       await handleHealth(res);
       return;
     }
 
+    if (req.method === "GET" && pathname === "/metrics") {
+      handleMetrics(res);
+      return;
+    }
+
+    if (req.method === "GET" && pathname === "/metrics.json") {
+      handleMetricsJson(res);
+      return;
+    }
+
+    if (req.method === "GET" && pathname === "/config") {
+      handleConfig(res);
+      return;
+    }
+
     if (req.method === "POST" && pathname === "/translate-batch") {
       await handleTranslate(req, res);
       return;
     }
 
-    writeJson(res, 404, { ok: false, error: "Not Found" });
+    if (req.method === "POST" && pathname === "/translate-stream") {
+      await handleTranslateStream(req, res);
+      return;
+    }
+
+    if (req.method === "POST" && pathname === "/translate-document") {
+      await handleTranslateDocument(req, res, searchParams);
+      return;
+    }
+
+    if (req.method === "POST" && pathname === "/translate-subtitles") {
+      await handleTranslateSubtitles(req, res, searchParams);
+      return;
+    }
+
+    if (req.method === "POST" && pathname === "/detect") {
+      await handleDetect(req, res);
+      return;
+    }
+
+    if (pathname === "/jobs") {
+      if (req.method === "POST") {
+        await handleJobCreate(req, res);
+        return;
+      }
+      if (req.method === "GET") {
+        handleJobList(res);
+        return;
+      }
+    }
+
+    const jobMatch = pathname.match(/^\/jobs\/([^/]+)$/);
+    if (jobMatch) {
+      const jobId = decodeURIComponent(jobMatch[1]);
+      if (req.method === "GET") {
+        handleJobGet(res, jobId);
+        return;
+      }
+      if (req.method === "DELETE") {
+        handleJobCancel(res, jobId);
+        return;
+      }
+    }
+
+    if (req.method === "GET" && pathname === "/tm/search") {
+      handleMemorySearch(res, searchParams);
+      return;
+    }
+
+    if (req.method === "GET" && pathname === "/cache/stats") {
+      await handleCacheStats(res);
+      return;
+    }
+
+    if (req.method === "DELETE" && pathname === "/cache") {
+      await handleCacheClear(res, searchParams);
+      return;
+    }
+
+    if (req.method === "GET" && pathname === "/cache/export") {
+      handleCacheExport(res, searchParams);
+      return;
+    }
+
+    if (req.method === "POST" && pathname === "/cache/import") {
+      await handleCacheImport(req, res);
+      return;
+    }
+
+    if (pathname === "/glossaries") {
+      if (req.method === "GET") {
+        handleGlossaryList(res);
+        return;
+      }
+      if (req.method === "POST") {
+        await handleGlossaryCreate(req, res);
+        return;
+      }
+    }
+
+    const glossaryMatch = pathname.match(/^\/glossaries\/([^/]+)$/);
+    if (glossaryMatch) {
+      const glossaryId = decodeURIComponent(glossaryMatch[1]);
+      if (req.method === "GET") {
+        handleGlossaryGet(res, glossaryId);
+        return;
+      }
+      if (req.method === "PUT") {
+        await handleGlossaryUpdate(req, res, glossaryId);
+        return;
+      }
+      if (req.method === "DELETE") {
+        await handleGlossaryDelete(res, glossaryId);
+        return;
+      }
+    }
+
+    if (pathname === "/templates") {
+      if (req.method === "GET") {
+        handleTemplateList(res);
+        return;
+      }
+      if (req.method === "POST") {
+        await handleTemplateCreate(req, res);
+        return;
+      }
+    }
+
+    if (req.method === "POST" && pathname === "/templates/preview") {
+      await handleTemplatePreview(req, res);
+      return;
+    }
+
+    const templateMatch = pathname.match(/^\/templates\/([^/]+)$/);
+    if (templateMatch) {
+      const templateId = decodeURIComponent(templateMatch[1]);
+      if (req.method === "GET") {
+        handleTemplateGet(res, templateId);
+        return;
+      }
+      if (req.method === "PUT") {
+        await handleTemplateUpdate(req, res, templateId);
+        return;
+      }
+      if (req.method === "DELETE") {
+        await handleTemplateDelete(res, templateId);
+        return;
+      }
+    }
+
+    writeJson(res, 404, { ok: false, error: "Not Found", requestId: req.requestId });
   } catch (error) {
-    console.error(`[bridge-error] ${error.message || "Unknown error"}`);
+    console.error(`[bridge-error] request=${req.requestId} ${describeErrorForConsole(error)}`);
+    Object.assign(req.logFields, describeErrorForLog(error));
     const statusCode = error.statusCode || 500;
     writeJson(res, statusCode, {
       ok: false,
       error: error.message || "Internal server error",
+      code: error.statusCode ? error.code : undefined,
+      requestId: req.requestId,
     });
   }
 });
 
+async function shutdown(signal) {
+  console.log(`[bridge] received ${signal}, flushing cache`);
+  server.close();
+  for (const job of jobs.values()) {
+    cancelJob(job);
+  }
+  for (const child of activeChildren) {
+    child.kill("SIGTERM");
+  }
+  unwatchConfigFile();
+  try {
+    await compactCacheFile();
+    await flushLog();
+  } finally {
+    process.exit(0);
+  }
+}
+
+const configErrors = CONFIG_ERRORS.length > 0 ? CONFIG_ERRORS : validateConfigValues(describeConfig().values);
+if (configErrors.length > 0) {
+  console.error(`[config] Invalid bridge configuration (${CONFIG_PATH}):`);
+  for (const message of configErrors) {
+    console.error(`  - ${message}`);
+  }
+  process.exit(1);
+}
+
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+
+if (AUTH_ENABLED) {
+  await loadOrCreateToken();
+}
+
+try {
+  const logFilePath = await openLogFile();
+  if (logFilePath) {
+    console.log(`[log] writing request logs to ${logFilePath}${LOG_REDACT ? " (text redacted)" : ""}`);
+  }
+} catch (error) {
+  console.error(`[log] Cannot open the log file, logging to the console only: ${error.message}`);
+}
+
+try {
+  await loadCacheFromDisk();
+} catch (error) {
+  console.error(`[cache] Warm-load failed, starting with an empty cache: ${error.message}`);
+}
+
+try {
+  await loadGlossaries();
+} catch (error) {
+  console.error(`[glossary] Failed to load glossaries: ${error.message}`);
+}
+
+try {
+  await loadPromptTemplates();
+} catch (error) {
+  console.error(`[templates] Failed to load prompt templates: ${error.message}`);
+}
+
+setInterval(pruneJobs, 60_000).unref();
+watchConfigFile({ validate: validateConfigValues, onReload: handleConfigReload });
+
 server.listen(PORT, HOST, () => {
   console.log(`Bridge running at http://${HOST}:${PORT}`);
+  console.log(`Config file: ${CONFIG_PATH}${describeConfig().fileExists ? "" : " (not found, using defaults)"}`);
   console.log(`Using codex binary: ${CODEX_BIN}`);
+  console.log(`Default provider: ${DEFAULT_PROVIDER} (concurrency ${MAX_CONCURRENCY})`);
+  if (AUTH_ENABLED) {
+    issuePairingCode();
+    listenForPairingCommands();
+  } else {
+    console.log("[auth] WARNING: BRIDGE_AUTH=0, every local process can use this bridge");
+  }
 });
@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm, stat, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, beforeEach, test } from "node:test";
+
+// Config is read on import, so point the bridge at an empty data dir before loading the modules under test.
+const dataDir = await mkdtemp(join(tmpdir(), "bridge-test-"));
+const cacheDir = join(dataDir, "cache");
+process.env.BRIDGE_DATA_DIR = dataDir;
+process.env.CACHE_DIR = cacheDir;
+process.env.CACHE_PERSIST = "1";
+process.env.CACHE_MAX_ENTRIES = "3";
+process.env.CACHE_MAX_AGE_MS = "60000";
+delete process.env.BRIDGE_CONFIG;
+
+const {
+  clearCacheEntries,
+  getCacheStats,
+  getCacheValue,
+  importCacheEntries,
+  loadCacheFromDisk,
+  setCacheValue,
+  translationCache,
+} = await import("../core/cache.mjs");
+
+const cacheFile = join(cacheDir, "translation-cache.jsonl");
+
+beforeEach(async () => {
+  await loadCacheFromDisk();
+  await clearCacheEntries();
+});
+
+after(() => rm(dataDir, { recursive: true, force: true }));
+
+test("entries survive a reload from the cache file", async () => {
+  setCacheValue("greeting", "你好", { targetLang: "zh-CN", model: "" });
+  await getCacheStats();
+
+  translationCache.clear();
+  await loadCacheFromDisk();
+
+  assert.equal(getCacheValue("greeting"), "你好");
+});
+
+test("the cache file is readable by its owner only", async () => {
+  setCacheValue("greeting", "你好", { targetLang: "zh-CN", model: "" });
+  await getCacheStats();
+
+  assert.equal((await stat(cacheFile)).mode & 0o777, 0o600);
+});
+
+test("the least recently used entry is evicted first", async () => {
+  setCacheValue("a", "A", { targetLang: "de" });
+  setCacheValue("b", "B", { targetLang: "de" });
+  setCacheValue("c", "C", { targetLang: "de" });
+  getCacheValue("a");
+  setCacheValue("d", "D", { targetLang: "de" });
+
+  assert.deepEqual([...translationCache.keys()], ["c", "a", "d"]);
+  await getCacheStats();
+  translationCache.clear();
+  await loadCacheFromDisk();
+  assert.equal(getCacheValue("b"), undefined);
+});
+
+test("entries older than the age limit are not loaded or imported", async () => {
+  const old = Date.now() - 120000;
+  await writeFile(
+    cacheFile,
+    `${JSON.stringify({ op: "set", key: "stale", value: "Old", targetLang: "fr", createdAt: old, usedAt: old })}\n`,
+    "utf8"
+  );
+  translationCache.clear();
+  await loadCacheFromDisk();
+
+  assert.equal(translationCache.has("stale"), false);
+  assert.deepEqual(importCacheEntries([{ key: "stale", value: "Old", createdAt: old }]), {
+    imported: 0,
+    skipped: 1,
+    evicted: 0,
+  });
+});
+
+test("clearing by target language keeps the other languages", async () => {
+  setCacheValue("ja-1", "一", { targetLang: "ja" });
+  setCacheValue("fr-1", "un", { targetLang: "fr" });
+
+  assert.equal(await clearCacheEntries({ targetLang: "ja" }), 1);
+  assert.deepEqual([...translationCache.keys()], ["fr-1"]);
+  const lines = (await readFile(cacheFile, "utf8")).trim().split("\n");
+  assert.deepEqual(lines.map((line) => JSON.parse(line).key), ["fr-1"]);
+});
@@ -0,0 +1,128 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, beforeEach, test } from "node:test";
+import { setTimeout as sleep } from "node:timers/promises";
+import { startFakeProvider } from "./fake-provider.mjs";
+
+// Config is read on import, so point the bridge at an empty data dir and the fake provider first.
+const dataDir = await mkdtemp(join(tmpdir(), "bridge-test-"));
+process.env.BRIDGE_DATA_DIR = dataDir;
+process.env.CACHE_PERSIST = "0";
+process.env.BATCH_RETRIES = "0";
+delete process.env.BRIDGE_CONFIG;
+const provider = await startFakeProvider();
+
+const { clearCacheEntries } = await import("../core/cache.mjs");
+const { resolveTranslateOptions, translateBatch } = await import("../core/translate.mjs");
+
+beforeEach(async () => {
+  provider.calls.length = 0;
+  await clearCacheEntries();
+});
+
+after(async () => {
+  await provider.close();
+  await rm(dataDir, { recursive: true, force: true });
+});
+
+async function translate(items, extra = {}) {
+  const options = await resolveTranslateOptions({ provider: "openai-compatible", targetLang: "de" });
+  return translateBatch({ ...options, items, ...extra });
+}
+
+// Holds every provider call until `release()`, so a second request can start while the first is in flight.
+function holdProvider(answer = (item) => `DE ${item.text}`) {
+  let release;
+  const gate = new Promise((resolve) => (release = resolve));
+  provider.respond = async (items) => {
+    await gate;
+    return items.map(answer);
+  };
+  return release;
+}
+
+async function waitForCalls(count) {
+  while (provider.calls.length < count) {
+    await sleep(5);
+  }
+}
+
+test("a second request waits for an item another request is translating", async () => {
+  const release = holdProvider();
+  const events = [];
+
+  const first = translate([{ id: "a", text: "Shared paragraph" }]);
+  await waitForCalls(1);
+  const second = translate(
+    [
+      { id: "x", text: "Shared paragraph" },
+      { id: "y", text: "Only in the second tab" },
+    ],
+    { onEvent: (event) => events.push(event) }
+  );
+  await waitForCalls(2);
+  release();
+  const [firstResult, secondResult] = await Promise.all([first, second]);
+
+  assert.deepEqual(provider.calls.map((items) => items.map((item) => item.text)), [
+    ["Shared paragraph"],
+    ["Only in the second tab"],
+  ]);
+  assert.deepEqual(secondResult.results, [
+    { id: "x", translatedText: "DE Shared paragraph" },
+    { id: "y", translatedText: "DE Only in the second tab" },
+  ]);
+  assert.equal(firstResult.meta.coalesced, 0);
+  assert.equal(firstResult.meta.generated, 1);
+  assert.equal(secondResult.meta.coalesced, 1);
+  assert.equal(secondResult.meta.generated, 1);
+  assert.deepEqual(
+    events.filter((event) => event.type === "coalesced").map((event) => event.results),
+    [[{ id: "x", translatedText: "DE Shared paragraph" }]]
+  );
+});
+
+test("repeated items within one request are translated once and not counted as coalesced", async () => {
+  holdProvider()();
+
+  const translated = await translate([
+    { id: "a", text: "Read more" },
+    { id: "b", text: "Read more" },
+  ]);
+
+  assert.deepEqual(provider.calls.map((items) => items.map((item) => item.id)), [["a"]]);
+  assert.deepEqual(translated.results, [
+    { id: "a", translatedText: "DE Read more" },
+    { id: "b", translatedText: "DE Read more" },
+  ]);
+  assert.equal(translated.meta.coalesced, 0);
+  assert.equal(translated.meta.generated, 2);
+});
+
+test("a waiting request translates the item itself when the first request fails", async () => {
+  let failFirst = true;
+  let release;
+  const gate = new Promise((resolve) => (release = resolve));
+  provider.respond = async (items) => {
+    await gate;
+    if (failFirst) {
+      failFirst = false;
+      throw new Error("upstream unavailable");
+    }
+    return items.map((item) => `DE ${item.text}`);
+  };
+
+  const first = translate([{ id: "a", text: "Flaky paragraph" }]);
+  await waitForCalls(1);
+  const second = translate([{ id: "x", text: "Flaky paragraph" }]);
+  await sleep(20);
+  release();
+
+  await assert.rejects(first, { code: "provider_unavailable" });
+  const secondResult = await second;
+  assert.deepEqual(secondResult.results, [{ id: "x", translatedText: "DE Flaky paragraph" }]);
+  assert.equal(secondResult.meta.coalesced, 0);
+  assert.equal(provider.calls.length, 2);
+});
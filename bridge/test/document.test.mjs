@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, test } from "node:test";
+
+// Config is read on import, so point the bridge at an empty data dir before loading the modules under test.
+const dataDir = await mkdtemp(join(tmpdir(), "bridge-test-"));
+process.env.BRIDGE_DATA_DIR = dataDir;
+process.env.CACHE_PERSIST = "0";
+delete process.env.BRIDGE_CONFIG;
+
+const { translateDocument } = await import("../core/document.mjs");
+const { resolveTranslateOptions } = await import("../core/translate.mjs");
+
+let options;
+before(async () => {
+  options = await resolveTranslateOptions({ provider: "pseudo", targetLang: "ja" });
+});
+
+after(() => rm(dataDir, { recursive: true, force: true }));
+
+test("front matter keeps flow lists and other YAML syntax as written", async () => {
+  const content = [
+    "---",
+    "title: Hello world",
+    "tags: [alpha, beta]",
+    "meta: {kind: short note}",
+    "summary: >",
+    "  Folded text here",
+    "ref: *shared value",
+    "---",
+    "",
+  ].join("\n");
+
+  const translated = await translateDocument(content, { ...options, format: "markdown" });
+
+  assert.equal(
+    translated.content,
+    [
+      "---",
+      "title: \"[ja] Héllö wörld\"",
+      "tags: [alpha, beta]",
+      "meta: {kind: short note}",
+      "summary: >",
+      "  Folded text here",
+      "ref: *shared value",
+      "---",
+      "",
+    ].join("\n")
+  );
+  assert.equal(translated.meta.blocks, 1);
+});
+
+test("front matter translates quoted scalars that look like YAML syntax", async () => {
+  const content = '---\ntitle: "[Draft] Release notes"\n---\n';
+
+  const translated = await translateDocument(content, { ...options, format: "markdown" });
+
+  assert.equal(translated.content, '---\ntitle: "[ja] [Dráft] Réléásé ñötés"\n---\n');
+});
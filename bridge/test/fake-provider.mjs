@@ -0,0 +1,35 @@
+import { createServer } from "node:http";
+
+// A local OpenAI-compatible endpoint for the `openai-compatible` provider. `respond(items)` receives the items of
+// each prompt and returns their translated texts in the same order (or a promise of them); a throw answers HTTP 500.
+// It can be swapped per test. Start the endpoint before importing the bridge, which reads its URL on import.
+export async function startFakeProvider(respond = (items) => items.map((item) => `FAKE:${item.text}`)) {
+  const provider = { respond, calls: [] };
+
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", async () => {
+      const prompt = JSON.parse(body).messages[0].content;
+      const items = JSON.parse(prompt.slice(prompt.lastIndexOf("Input:\n") + "Input:\n".length));
+      provider.calls.push(items);
+      let texts;
+      try {
+        texts = await provider.respond(items);
+      } catch (error) {
+        res.writeHead(500, { "Content-Type": "text/plain" });
+        res.end(error.message);
+        return;
+      }
+      const results = items.map((item, index) => ({ id: item.id, translatedText: texts[index] }));
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ choices: [{ message: { content: JSON.stringify({ results }) } }] }));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  process.env.OPENAI_COMPAT_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+  process.env.OPENAI_COMPAT_MODEL = "fake";
+  provider.close = () => new Promise((resolve) => server.close(resolve));
+  return provider;
+}
@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, test } from "node:test";
+import { startFakeProvider } from "./fake-provider.mjs";
+
+// Config is read on import, so point the bridge at an empty data dir and the fake provider first.
+const dataDir = await mkdtemp(join(tmpdir(), "bridge-test-"));
+process.env.BRIDGE_DATA_DIR = dataDir;
+process.env.CACHE_PERSIST = "0";
+process.env.BATCH_RETRIES = "0";
+delete process.env.BRIDGE_CONFIG;
+const provider = await startFakeProvider();
+
+const { findOutputViolations } = await import("../core/guards.mjs");
+const { resolveTranslateOptions, translateBatch } = await import("../core/translate.mjs");
+
+after(async () => {
+  await provider.close();
+  await rm(dataDir, { recursive: true, force: true });
+});
+
+const codesOf = (source, translated, targetLang = "de") =>
+  findOutputViolations(source, translated, { targetLang }).map((violation) => violation.code);
+
+async function translate(items) {
+  const options = await resolveTranslateOptions({ provider: "openai-compatible", targetLang: "de" });
+  return translateBatch({ ...options, items });
+}
+
+test("a faithful translation passes every check", () => {
+  assert.deepEqual(
+    codesOf(
+      "Call `npm test` before 12:30 and mail dev@example.com or see https://example.com/docs.",
+      "Führe `npm test` vor 12:30 aus und schreibe an dev@example.com oder lies https://example.com/docs."
+    ),
+    []
+  );
+});
+
+test("URLs, emails, inline code and numbers must survive", () => {
+  assert.deepEqual(
+    codesOf(
+      "Call `npm test` before 12:30 and mail dev@example.com or see https://example.com/docs.",
+      "Führe die Tests vor halb eins aus und schreibe an das Team oder lies die Dokumentation."
+    ),
+    ["missing_url", "missing_email", "missing_code", "missing_number"]
+  );
+});
+
+test("numbers compare by digits and allow CJK units", () => {
+  assert.deepEqual(codesOf("It costs 1,200.50 dollars in total.", "Es kostet insgesamt 1.200,50 Dollar."), []);
+  assert.deepEqual(codesOf("About 1,000,000 people visited.", "大约有100万人参观了。", "zh-CN"), []);
+});
+
+test("echoes, commentary and odd lengths are flagged", () => {
+  const source = "The weather was lovely on our trip to the coast.";
+  assert.deepEqual(codesOf(source, source), ["untranslated"]);
+  assert.deepEqual(codesOf(source, "Here is the translation: Das Wetter war schön an der Küste."), [
+    "meta_commentary",
+  ]);
+  assert.deepEqual(codesOf(source, "Schön."), ["length_ratio"]);
+});
+
+test("a flagged item is re-asked once and the repaired text is used", async () => {
+  let calls = 0;
+  provider.respond = (items) => {
+    calls += 1;
+    const prefix = calls === 1 ? "Here is the translation: " : "";
+    return items.map(() => `${prefix}Der Bericht ist fertig.`);
+  };
+
+  const translated = await translate([{ id: "a", text: "The report is finished now." }]);
+
+  assert.equal(calls, 2);
+  assert.deepEqual(translated.results, [{ id: "a", translatedText: "Der Bericht ist fertig." }]);
+  assert.deepEqual(translated.checks, []);
+});
+
+test("a violation that survives the re-ask is reported and not cached", async () => {
+  const text = "Please send the signed form back to us by Friday.";
+  provider.respond = (items) => items.map((item) => item.text);
+
+  const first = await translate([{ id: "b", text }]);
+  const second = await translate([{ id: "b", text }]);
+
+  assert.deepEqual(first.checks.map(({ id, code }) => ({ id, code })), [{ id: "b", code: "untranslated" }]);
+  assert.match(first.warnings.join("\n"), /Output check failed for id=b \(untranslated\)/);
+  assert.equal(second.meta.cacheHits, 0);
+});
@@ -0,0 +1,103 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, test } from "node:test";
+import { startFakeProvider } from "./fake-provider.mjs";
+
+// Config is read on import, so point the bridge at an empty data dir and the fake provider first.
+const dataDir = await mkdtemp(join(tmpdir(), "bridge-test-"));
+process.env.BRIDGE_DATA_DIR = dataDir;
+process.env.CACHE_PERSIST = "0";
+process.env.BATCH_RETRIES = "0";
+delete process.env.BRIDGE_CONFIG;
+const provider = await startFakeProvider();
+
+const { createSegmentCollector, placeholdersMatch, segmentItems } = await import("../core/text.mjs");
+const { resolveTranslateOptions, translateBatch } = await import("../core/translate.mjs");
+
+after(async () => {
+  await provider.close();
+  await rm(dataDir, { recursive: true, force: true });
+});
+
+const SENTENCES = [
+  "The first sentence talks about the weather in the mountains.",
+  "The second one describes a long walk along the river bank.",
+  "A third sentence closes the paragraph with a short summary.",
+];
+
+async function translate(items, body = {}) {
+  const options = await resolveTranslateOptions({
+    provider: "openai-compatible",
+    targetLang: "de",
+    maxCharsPerItem: 100,
+    outputChecks: false,
+    ...body,
+  });
+  return translateBatch({ ...options, items });
+}
+
+test("long blocks are split at sentence boundaries within the limit", () => {
+  const text = SENTENCES.join(" ");
+  const { units, groups, parentOf } = segmentItems([{ id: "p", text }], 100, "en");
+
+  assert.deepEqual(units.map((unit) => unit.text), SENTENCES);
+  assert.deepEqual(groups.get("p").segmentIds, ["p#seg1", "p#seg2", "p#seg3"]);
+  assert.equal(parentOf.get("p#seg2"), "p");
+});
+
+test("CJK segments are stitched back without spaces", () => {
+  const text = "第一句话在这里。".repeat(8) + "第二段的句子也在这里。".repeat(8);
+  const segmentation = segmentItems([{ id: "zh", text }], 100, "zh");
+  const collect = createSegmentCollector(segmentation, "ja");
+
+  const rows = segmentation.units.map((unit) => ({ id: unit.id, translatedText: unit.text }));
+  assert.ok(rows.length > 1);
+  assert.deepEqual(collect(rows).results, [{ id: "zh", translatedText: text }]);
+});
+
+test("a placeholder pair is never split across segments", () => {
+  const text = `${SENTENCES[0]} ${SENTENCES[1]} <x1>${SENTENCES[2]} ${SENTENCES[0]}</x1> ${SENTENCES[1]}`;
+  const { units } = segmentItems([{ id: "p", text }], 100, "en");
+
+  assert.equal(units.length, 3);
+  for (const unit of units) {
+    assert.ok(placeholdersMatch(unit.text, unit.text), unit.text);
+  }
+  assert.match(units[1].text, /<x1>.*<\/x1>/);
+});
+
+test("placeholders may move but must stay complete and nested", () => {
+  const source = "Read <x1>the <x2>full</x2> guide</x1> at <x3/>";
+
+  assert.equal(placeholdersMatch(source, "Lies <x3/> die <x1><x2>ganze</x2> Anleitung</x1>"), true);
+  assert.equal(placeholdersMatch(source, "Lies die <x1><x2>ganze</x2> Anleitung</x1>"), false);
+  assert.equal(placeholdersMatch(source, "Lies <x3/> die <x1><x2>ganze</x1> Anleitung</x2>"), false);
+});
+
+test("segmented blocks round-trip their placeholders through a translation", async () => {
+  provider.respond = (items) => items.map((item) => `DE ${item.text}`);
+  const text = `${SENTENCES[0]} ${SENTENCES[1]} <x1>${SENTENCES[2]} ${SENTENCES[0]}</x1> <x2/>`;
+
+  const translated = await translate([{ id: "p", text }]);
+
+  assert.equal(translated.meta.segmented, 1);
+  assert.equal(translated.meta.segments, 2);
+  assert.deepEqual(translated.results, [
+    {
+      id: "p",
+      translatedText: `DE ${SENTENCES[0]} DE ${SENTENCES[1]} <x1>${SENTENCES[2]} ${SENTENCES[0]}</x1> <x2/>`,
+    },
+  ]);
+  assert.deepEqual(translated.warnings, []);
+});
+
+test("a translation that loses placeholders falls back to plain text", async () => {
+  provider.respond = (items) => items.map((item) => `DE ${item.text.replace(/<\/?x1>/g, "")}`);
+
+  const translated = await translate([{ id: "a", text: "Open <x1>the settings</x1> page" }]);
+
+  assert.deepEqual(translated.results, [{ id: "a", translatedText: "DE Open the settings page" }]);
+  assert.match(translated.warnings.join("\n"), /placeholders were mangled for id=a/);
+});
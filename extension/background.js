@@ -1,15 +1,38 @@
 const DEFAULT_SETTINGS = {
   bridgeUrl: "http://127.0.0.1:8787",
+  // "native" talks to the bridge through Chrome native messaging instead of HTTP (see install-native-host.mjs).
+  transport: "http",
   sourceLang: "auto",
   targetLang: "zh-CN",
+  // Empty means "just targetLang", so settings saved before multi-language support keep their language.
+  targetLangs: [],
   mode: "bilingual",
   tone: "natural",
+  provider: "",
   model: "",
   batchSize: 6,
+  concurrency: 3,
   maxCharsPerItem: 1200,
   maxPageItems: 220,
+  templateId: "",
+  qualityCheck: false,
+  qualityThreshold: 70,
 };
 
+const BRIDGE_PROVIDERS = ["", "codex", "openai-compatible", "pseudo"];
+const MAX_TARGET_LANGS = 4;
+const STREAM_PORT_NAME = "translate-stream";
+const STREAM_IDLE_TIMEOUT_MS = 180000;
+const BRIDGE_TOKEN_KEY = "bridgeToken";
+// Must match NATIVE_HOST_NAME in bridge/install-native-host.mjs.
+const NATIVE_HOST_NAME = "com.openai_auth_translate.bridge";
+const NATIVE_REQUEST_TIMEOUT_MS = 180000;
+
+// One host process serves every request; replies are matched to requests by `id`.
+let nativePort = null;
+let nextNativeRequestId = 1;
+const nativeHandlers = new Map();
+
 function storageGet(keys) {
   return new Promise((resolve, reject) => {
     chrome.storage.sync.get(keys, (result) => {
@@ -36,6 +59,42 @@ function storageSet(values) {
   });
 }
 
+function localStorageGet(keys) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.get(keys, (result) => {
+      const error = chrome.runtime.lastError;
+      if (error) {
+        reject(new Error(error.message));
+        return;
+      }
+      resolve(result);
+    });
+  });
+}
+
+function localStorageSet(values) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set(values, () => {
+      const error = chrome.runtime.lastError;
+      if (error) {
+        reject(new Error(error.message));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+async function getBridgeToken() {
+  const stored = await localStorageGet({ [BRIDGE_TOKEN_KEY]: "" });
+  return typeof stored[BRIDGE_TOKEN_KEY] === "string" ? stored[BRIDGE_TOKEN_KEY] : "";
+}
+
+async function getBridgeHeaders() {
+  const token = await getBridgeToken();
+  return token ? { "X-Bridge-Token": token } : {};
+}
+
 function normalizeInt(value, fallback, min, max) {
   const parsed = Number.parseInt(value, 10);
   if (!Number.isFinite(parsed)) {
@@ -44,28 +103,47 @@ function normalizeInt(value, fallback, min, max) {
   return Math.min(max, Math.max(min, parsed));
 }
 
+function normalizeTargetLangs(current) {
+  const listed = Array.isArray(current.targetLangs)
+    ? current.targetLangs.filter((lang) => typeof lang === "string" && lang.trim()).map((lang) => lang.trim())
+    : [];
+  if (listed.length > 0) {
+    return [...new Set(listed)].slice(0, MAX_TARGET_LANGS);
+  }
+  return [
+    typeof current.targetLang === "string" && current.targetLang.trim()
+      ? current.targetLang.trim()
+      : DEFAULT_SETTINGS.targetLang,
+  ];
+}
+
 function normalizeSettings(input) {
   const current = input || {};
+  const targetLangs = normalizeTargetLangs(current);
   return {
     bridgeUrl:
       typeof current.bridgeUrl === "string" && current.bridgeUrl.trim()
         ? current.bridgeUrl.trim().replace(/\/$/, "")
         : DEFAULT_SETTINGS.bridgeUrl,
+    transport: current.transport === "native" ? "native" : "http",
     sourceLang:
       typeof current.sourceLang === "string" && current.sourceLang.trim()
         ? current.sourceLang.trim()
         : DEFAULT_SETTINGS.sourceLang,
-    targetLang:
-      typeof current.targetLang === "string" && current.targetLang.trim()
-        ? current.targetLang.trim()
-        : DEFAULT_SETTINGS.targetLang,
+    targetLang: targetLangs[0],
+    targetLangs,
     mode: current.mode === "translation-only" ? "translation-only" : "bilingual",
-    tone:
-      current.tone === "faithful" || current.tone === "concise" ? current.tone : DEFAULT_SETTINGS.tone,
+    // Tones are defined in the bridge config, which also falls back to natural for names it does not know.
+    tone: typeof current.tone === "string" && current.tone.trim() ? current.tone.trim() : DEFAULT_SETTINGS.tone,
+    provider: BRIDGE_PROVIDERS.includes(current.provider) ? current.provider : DEFAULT_SETTINGS.provider,
     model: typeof current.model === "string" ? current.model.trim() : "",
     batchSize: normalizeInt(current.batchSize, DEFAULT_SETTINGS.batchSize, 1, 20),
+    concurrency: normalizeInt(current.concurrency, DEFAULT_SETTINGS.concurrency, 1, 8),
     maxCharsPerItem: normalizeInt(current.maxCharsPerItem, DEFAULT_SETTINGS.maxCharsPerItem, 100, 5000),
     maxPageItems: normalizeInt(current.maxPageItems, DEFAULT_SETTINGS.maxPageItems, 20, 500),
+    templateId: typeof current.templateId === "string" ? current.templateId.trim() : "",
+    qualityCheck: current.qualityCheck === true,
+    qualityThreshold: normalizeInt(current.qualityThreshold, DEFAULT_SETTINGS.qualityThreshold, 0, 100),
   };
 }
 
@@ -83,6 +161,7 @@ async function saveSettings(newSettings) {
 async function fetchJson(url, options = {}, timeoutMs = 90000, allowNonOk = false) {
   const controller = new AbortController();
   const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const authHeaders = await getBridgeHeaders();
 
   try {
     const response = await fetch(url, {
@@ -90,6 +169,7 @@ async function fetchJson(url, options = {}, timeoutMs = 90000, allowNonOk = fals
       signal: controller.signal,
       headers: {
         "Content-Type": "application/json",
+        ...authHeaders,
         ...(options.headers || {}),
       },
     });
@@ -104,7 +184,11 @@ async function fetchJson(url, options = {}, timeoutMs = 90000, allowNonOk = fals
 
     if (!response.ok && !allowNonOk) {
       const message = data && data.error ? data.error : `HTTP ${response.status}`;
-      throw new Error(message);
+      const error = new Error(message);
+      error.statusCode = response.status;
+      error.code = data?.code;
+      error.requestId = data?.requestId || response.headers.get("X-Request-Id") || undefined;
+      throw error;
     }
 
     return {
@@ -117,8 +201,105 @@ async function fetchJson(url, options = {}, timeoutMs = 90000, allowNonOk = fals
   }
 }
 
-async function getBridgeHealth(bridgeUrlOverride) {
+function getNativePort() {
+  if (nativePort) {
+    return nativePort;
+  }
+
+  const port = chrome.runtime.connectNative(NATIVE_HOST_NAME);
+  port.onMessage.addListener((message) => {
+    nativeHandlers.get(message?.id)?.onMessage(message);
+  });
+  port.onDisconnect.addListener(() => {
+    const reason = chrome.runtime.lastError?.message || "Native host disconnected";
+    nativePort = null;
+    const handlers = [...nativeHandlers.values()];
+    nativeHandlers.clear();
+    handlers.forEach((handler) => handler.onDisconnect(new Error(`Native bridge unavailable: ${reason}`)));
+  });
+  nativePort = port;
+  return port;
+}
+
+function createNativeError(message) {
+  const error = new Error(message.error || "Native bridge request failed");
+  error.statusCode = message.statusCode;
+  error.code = message.code;
+  error.requestId = message.requestId;
+  return error;
+}
+
+// Sends one message to the native host and calls `onMessage` for every reply until it returns true. The request is
+// cancelled on the host when `signal` aborts, and fails when the host sends nothing for `idleTimeoutMs`.
+function nativeExchange(type, body, onMessage, { signal, idleTimeoutMs = NATIVE_REQUEST_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const id = String(nextNativeRequestId++);
+    let idleTimer = null;
+    const finish = (callback, value) => {
+      clearTimeout(idleTimer);
+      nativeHandlers.delete(id);
+      signal?.removeEventListener("abort", onAbort);
+      callback(value);
+    };
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        nativePort?.postMessage({ type: "cancel", id });
+        finish(reject, new Error("Bridge stopped responding"));
+      }, idleTimeoutMs);
+    };
+    const onAbort = () => {
+      nativePort?.postMessage({ type: "cancel", id });
+      finish(reject, new Error("Translation cancelled"));
+    };
+
+    if (signal?.aborted) {
+      onAbort();
+      return;
+    }
+    signal?.addEventListener("abort", onAbort);
+
+    let port;
+    try {
+      port = getNativePort();
+    } catch (error) {
+      finish(reject, new Error(`Native bridge unavailable: ${error.message}`));
+      return;
+    }
+    nativeHandlers.set(id, {
+      onMessage(message) {
+        resetIdleTimer();
+        try {
+          if (onMessage(message)) {
+            finish(resolve, message);
+          }
+        } catch (error) {
+          finish(reject, error);
+        }
+      },
+      onDisconnect: (error) => finish(reject, error),
+    });
+    resetIdleTimer();
+    port.postMessage({ id, type, body });
+  });
+}
+
+// Same result as `fetchJson` for the matching HTTP endpoint.
+async function nativeRequest(type, body, allowNonOk = false) {
+  const result = await nativeExchange(type, body, () => true);
+  if (result.ok === false && !allowNonOk) {
+    throw createNativeError(result);
+  }
+  return result;
+}
+
+async function getBridgeHealth(bridgeUrlOverride, transportOverride) {
   const settings = await getSettings();
+  const transport = ["http", "native"].includes(transportOverride) ? transportOverride : settings.transport;
+  if (transport === "native") {
+    return { bridgeUrl: `native:${NATIVE_HOST_NAME}`, health: await nativeRequest("health", undefined, true) };
+  }
+
   const bridgeUrl =
     typeof bridgeUrlOverride === "string" && bridgeUrlOverride.trim()
       ? bridgeUrlOverride.trim().replace(/\/$/, "")
@@ -131,23 +312,59 @@ async function getBridgeHealth(bridgeUrlOverride) {
   };
 }
 
-async function requestTranslation(payload = {}) {
-  const settings = await getSettings();
-  const bridgeUrl = settings.bridgeUrl;
-
-  const requestBody = {
+function buildTranslationRequestBody(payload, settings) {
+  return {
     sourceLang: payload.sourceLang || settings.sourceLang,
     targetLang: payload.targetLang || settings.targetLang,
+    targetLangs: Array.isArray(payload.targetLangs) ? payload.targetLangs : settings.targetLangs,
     mode: payload.mode || settings.mode,
     tone: payload.tone || settings.tone,
+    provider: payload.provider || settings.provider,
     model: payload.model || settings.model,
     batchSize: payload.batchSize || settings.batchSize,
+    concurrency: payload.concurrency || settings.concurrency,
     maxCharsPerItem: payload.maxCharsPerItem || settings.maxCharsPerItem,
+    templateId: payload.templateId || settings.templateId,
+    qualityCheck: typeof payload.qualityCheck === "boolean" ? payload.qualityCheck : settings.qualityCheck,
+    qualityThreshold: payload.qualityThreshold ?? settings.qualityThreshold,
+    pageContext: payload.pageContext && typeof payload.pageContext === "object" ? payload.pageContext : undefined,
     items: Array.isArray(payload.items) ? payload.items : [],
   };
+}
+
+async function pairWithBridge(code, bridgeUrlOverride) {
+  const settings = await getSettings();
+  const bridgeUrl =
+    typeof bridgeUrlOverride === "string" && bridgeUrlOverride.trim()
+      ? bridgeUrlOverride.trim().replace(/\/$/, "")
+      : settings.bridgeUrl;
+
+  const result = await fetchJson(
+    `${bridgeUrl}/pair`,
+    { method: "POST", body: JSON.stringify({ code: String(code || "").trim() }) },
+    15000
+  );
+  await localStorageSet({ [BRIDGE_TOKEN_KEY]: result.token || "" });
+  return { bridgeUrl, authEnabled: result.authEnabled !== false };
+}
+
+async function bridgeRequest(path, options = {}) {
+  const settings = await getSettings();
+  if (settings.transport === "native") {
+    throw new Error("Glossaries, templates, tones, stats and job cancellation need the HTTP bridge (Transport: HTTP)");
+  }
+  return fetchJson(`${settings.bridgeUrl}${path}`, options, 30000);
+}
+
+async function requestTranslation(payload = {}) {
+  const settings = await getSettings();
+  const requestBody = buildTranslationRequestBody(payload, settings);
+  if (settings.transport === "native") {
+    return nativeRequest("translate-batch", requestBody);
+  }
 
   return fetchJson(
-    `${bridgeUrl}/translate-batch`,
+    `${settings.bridgeUrl}/translate-batch`,
     {
       method: "POST",
       body: JSON.stringify(requestBody),
@@ -156,6 +373,95 @@ async function requestTranslation(payload = {}) {
   );
 }
 
+async function streamTranslation(payload, onEvent, signal) {
+  const settings = await getSettings();
+  const requestBody = buildTranslationRequestBody(payload, settings);
+  if (settings.transport === "native") {
+    // The host sends the same events as `/translate-stream`, ending with `summary` or `error`.
+    await nativeExchange(
+      "translate-stream",
+      requestBody,
+      (event) => {
+        onEvent(event);
+        return event.type === "summary" || event.type === "error";
+      },
+      { signal, idleTimeoutMs: STREAM_IDLE_TIMEOUT_MS }
+    );
+    return;
+  }
+
+  // Abort only when the bridge goes quiet, so long pages are not cut off by a total timeout.
+  const controller = new AbortController();
+  let idleTimer = null;
+  let idleTimedOut = false;
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      idleTimedOut = true;
+      controller.abort();
+    }, STREAM_IDLE_TIMEOUT_MS);
+  };
+  signal.addEventListener("abort", () => controller.abort());
+
+  try {
+    resetIdleTimer();
+    const response = await fetch(`${settings.bridgeUrl}/translate-stream`, {
+      method: "POST",
+      signal: controller.signal,
+      headers: { "Content-Type": "application/json", ...(await getBridgeHeaders()) },
+      body: JSON.stringify(requestBody),
+    });
+
+    if (!response.ok) {
+      let message = `HTTP ${response.status}`;
+      let data = null;
+      try {
+        data = await response.json();
+        message = data?.error || message;
+      } catch {
+        // Keep the status-based message.
+      }
+      const error = new Error(message);
+      error.statusCode = response.status;
+      error.code = data?.code;
+      error.requestId = data?.requestId || response.headers.get("X-Request-Id") || undefined;
+      throw error;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      resetIdleTimer();
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (line.trim()) {
+          onEvent(JSON.parse(line));
+        }
+      }
+    }
+
+    if (buffer.trim()) {
+      onEvent(JSON.parse(buffer));
+    }
+  } catch (error) {
+    if (idleTimedOut) {
+      throw new Error("Bridge stopped responding while streaming translations");
+    }
+    throw error;
+  } finally {
+    clearTimeout(idleTimer);
+  }
+}
+
 chrome.runtime.onInstalled.addListener(async () => {
   try {
     const current = await storageGet(DEFAULT_SETTINGS);
@@ -166,6 +472,37 @@ chrome.runtime.onInstalled.addListener(async () => {
   }
 });
 
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== STREAM_PORT_NAME) {
+    return;
+  }
+
+  const controller = new AbortController();
+  port.onDisconnect.addListener(() => controller.abort());
+
+  port.onMessage.addListener((message) => {
+    if (message?.type !== "translate-stream") {
+      return;
+    }
+
+    streamTranslation(message.payload || {}, (event) => port.postMessage(event), controller.signal).catch(
+      (error) => {
+        if (controller.signal.aborted) {
+          return;
+        }
+        port.postMessage({
+          type: "error",
+          ok: false,
+          statusCode: error.statusCode,
+          code: error.code,
+          error: error.message || "Translation stream failed",
+          requestId: error.requestId,
+        });
+      }
+    );
+  });
+});
+
 chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
   (async () => {
     switch (message?.type) {
@@ -186,11 +523,117 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
       }
 
       case "bridge-health": {
-        const result = await getBridgeHealth(message.bridgeUrl);
+        const result = await getBridgeHealth(message.bridgeUrl, message.transport);
+        sendResponse({ ok: true, ...result });
+        return;
+      }
+
+      case "bridge-pair": {
+        const result = await pairWithBridge(message.code, message.bridgeUrl);
         sendResponse({ ok: true, ...result });
         return;
       }
 
+      case "bridge-unpair": {
+        await localStorageSet({ [BRIDGE_TOKEN_KEY]: "" });
+        sendResponse({ ok: true });
+        return;
+      }
+
+      case "bridge-pairing-status": {
+        const token = await getBridgeToken();
+        sendResponse({ ok: true, paired: Boolean(token) });
+        return;
+      }
+
+      case "glossary-list": {
+        const result = await bridgeRequest("/glossaries", { method: "GET" });
+        sendResponse(result);
+        return;
+      }
+
+      case "glossary-get": {
+        const result = await bridgeRequest(`/glossaries/${encodeURIComponent(message.id)}`, { method: "GET" });
+        sendResponse(result);
+        return;
+      }
+
+      case "glossary-save": {
+        const glossary = message.glossary || {};
+        const result = glossary.id
+          ? await bridgeRequest(`/glossaries/${encodeURIComponent(glossary.id)}`, {
+              method: "PUT",
+              body: JSON.stringify(glossary),
+            })
+          : await bridgeRequest("/glossaries", { method: "POST", body: JSON.stringify(glossary) });
+        sendResponse(result);
+        return;
+      }
+
+      case "glossary-delete": {
+        const result = await bridgeRequest(`/glossaries/${encodeURIComponent(message.id)}`, {
+          method: "DELETE",
+        });
+        sendResponse(result);
+        return;
+      }
+
+      case "template-list": {
+        const result = await bridgeRequest("/templates", { method: "GET" });
+        sendResponse(result);
+        return;
+      }
+
+      case "template-save": {
+        const template = message.template || {};
+        const result = template.id
+          ? await bridgeRequest(`/templates/${encodeURIComponent(template.id)}`, {
+              method: "PUT",
+              body: JSON.stringify(template),
+            })
+          : await bridgeRequest("/templates", { method: "POST", body: JSON.stringify(template) });
+        sendResponse(result);
+        return;
+      }
+
+      case "template-delete": {
+        const result = await bridgeRequest(`/templates/${encodeURIComponent(message.id)}`, {
+          method: "DELETE",
+        });
+        sendResponse(result);
+        return;
+      }
+
+      case "template-preview": {
+        const settings = await getSettings();
+        const result = await bridgeRequest("/templates/preview", {
+          method: "POST",
+          body: JSON.stringify({ ...buildTranslationRequestBody({}, settings), ...message.preview }),
+        });
+        sendResponse(result);
+        return;
+      }
+
+      case "bridge-config": {
+        const result = await bridgeRequest("/config", { method: "GET" });
+        sendResponse(result);
+        return;
+      }
+
+      case "bridge-metrics": {
+        const result = await bridgeRequest("/metrics.json", { method: "GET" });
+        sendResponse(result);
+        return;
+      }
+
+      case "cancel-job": {
+        const result = await bridgeRequest(`/jobs/${encodeURIComponent(message.jobId)}`, {
+          method: "DELETE",
+        });
+        sendResponse(result);
+        return;
+      }
+
       case "translate-batch": {
         const translated = await requestTranslation(message.payload || {});
         sendResponse(translated);
@@ -201,7 +644,12 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
         sendResponse({ ok: false, error: "Unsupported message type" });
     }
   })().catch((error) => {
-    sendResponse({ ok: false, error: error.message || "Unexpected error" });
+    sendResponse({
+      ok: false,
+      error: error.message || "Unexpected error",
+      code: error.code,
+      requestId: error.requestId,
+    });
   });
 
   return true;
@@ -4,15 +4,52 @@ const SELECTION_PANEL_ID = "openai-immersive-selection-panel";
 const SOURCE_TEXT_ATTR = "data-openai-source-text";
 const TRANSLATION_ID_ATTR = "data-openai-translation-id";
 const TRANSLATED_ATTR = "data-openai-translated";
+const FAILED_ATTR = "data-openai-translation-failed";
+const FAILED_NOTE_CLASS = "openai-immersive-translation-failed";
+const NOTE_LANG_ATTR = "data-openai-note-lang";
+const NOTE_LABEL_CLASS = "openai-immersive-translation-label";
+const NOTE_TEXT_CLASS = "openai-immersive-translation-text";
+const NOTE_HIDDEN_CLASS = "openai-immersive-translation-hidden";
+const LOW_QUALITY_NOTE_CLASS = "openai-immersive-translation-low-quality";
+const DEFAULT_QUALITY_THRESHOLD = 70;
+const STREAM_PORT_NAME = "translate-stream";
 
 const PRIMARY_BLOCK_SELECTOR = "p,li,h1,h2,h3,h4,h5,h6,blockquote,figcaption,td,th";
 const FALLBACK_LEAF_SELECTOR = "div";
 const DEFAULT_MAX_PAGE_ITEMS = 220;
 const MIN_TEXT_LENGTH = 3;
+// Inline elements kept as <xN>…</xN> placeholders; everything else is flattened to its text.
+const INLINE_MARKUP_TAGS = {
+  A: "a",
+  STRONG: "strong",
+  B: "strong",
+  EM: "em",
+  I: "em",
+  CODE: "code",
+  KBD: "kbd",
+  MARK: "mark",
+  SUB: "sub",
+  SUP: "sup",
+  U: "u",
+  S: "s",
+  DEL: "s",
+};
+const SKIPPED_INLINE_SELECTOR = "script,style,noscript,template,svg,math,button,select,textarea";
+const PLACEHOLDER_TOKEN_PATTERN = /<(\/?)x(\d+)(\/?)>/g;
+const MAX_INLINE_PLACEHOLDERS = 40;
+const HEADING_SELECTOR = "h1,h2,h3,h4,h5,h6";
+const MAX_CONTEXT_CHARS = 300;
 const BLOCK_LIKE_CHILD_SELECTOR =
   "p,li,h1,h2,h3,h4,h5,h6,blockquote,figcaption,td,th,div,section,article,main,aside,nav,header,footer,ul,ol,table,tr";
 
 let isTranslating = false;
+// The in-flight page translation: its bridge job id and a hook that aborts it locally.
+let activeTranslation = null;
+// With several target languages every block gets one labelled note per language, stacked in this order.
+let noteLanguages = [];
+const hiddenNoteLangs = new Set();
+// Quality scores below this are highlighted; set from the settings when a page translation starts.
+let qualityThreshold = DEFAULT_QUALITY_THRESHOLD;
 
 function runtimeSend(message) {
   return new Promise((resolve, reject) => {
@@ -53,6 +90,40 @@ function ensureStyle() {
       font-family: "Segoe UI", "SF Pro Text", "Hiragino Kaku Gothic ProN", Arial, sans-serif;
     }
 
+    .${NOTE_CLASS}.${FAILED_NOTE_CLASS} {
+      border-top-color: rgba(214, 95, 95, 0.5);
+      color: #D65F5F;
+      font-style: italic;
+    }
+
+    .${NOTE_CLASS}.${LOW_QUALITY_NOTE_CLASS} {
+      border-top: 2px solid rgba(224, 160, 48, 0.85);
+      background: rgba(224, 160, 48, 0.08);
+      cursor: help;
+    }
+
+    .${NOTE_CLASS} .${NOTE_LABEL_CLASS} {
+      margin-right: 0.5em;
+      padding: 0 0.4em;
+      border: 1px solid rgba(145, 168, 86, 0.6);
+      border-radius: 3px;
+      background: transparent;
+      color: #91A856;
+      font: 600 0.75em/1.5 "Segoe UI", "SF Pro Text", Arial, sans-serif;
+      font-style: normal;
+      cursor: pointer;
+      vertical-align: 0.1em;
+    }
+
+    .${NOTE_CLASS}.${NOTE_HIDDEN_CLASS} .${NOTE_TEXT_CLASS} {
+      display: none;
+    }
+
+    .${NOTE_CLASS}.${NOTE_HIDDEN_CLASS} .${NOTE_LABEL_CLASS} {
+      opacity: 0.6;
+      text-decoration: line-through;
+    }
+
     #${SELECTION_PANEL_ID} {
       position: fixed;
       right: 16px;
@@ -88,6 +159,29 @@ function ensureStyle() {
       word-break: break-word;
     }
 
+    #${SELECTION_PANEL_ID} .content + .content {
+      border-top: 1px solid #E5E0D8;
+    }
+
+    #${SELECTION_PANEL_ID} .quality {
+      display: block;
+      margin-top: 8px;
+      color: #6B6B6B;
+      font-size: 12px;
+    }
+
+    #${SELECTION_PANEL_ID} .quality.low {
+      color: #C07A10;
+    }
+
+    #${SELECTION_PANEL_ID} .lang {
+      display: block;
+      margin-bottom: 4px;
+      color: #91A856;
+      font-size: 12px;
+      font-weight: 600;
+    }
+
     #${SELECTION_PANEL_ID} button {
       border: none;
       background: #91A856;
@@ -216,12 +310,146 @@ function extractSourceText(element) {
   return text;
 }
 
-function collectTranslatableRows(maxCharsPerItem, maxItems) {
+function stripPlaceholderTokens(text) {
+  return normalizeText(text.replace(PLACEHOLDER_TOKEN_PATTERN, ""));
+}
+
+function describeInlineElement(element, tag) {
+  if (tag !== "a") {
+    return { tag };
+  }
+
+  // Only keep navigable links; javascript: and similar schemes become plain spans.
+  const href = element.href || "";
+  return /^(https?:|mailto:)/i.test(href) ? { tag, href } : { tag: "span" };
+}
+
+function serializeInlineMarkup(element) {
+  const markup = {};
+  let counter = 0;
+  let unsupported = false;
+
+  function walk(node) {
+    let output = "";
+    for (const child of node.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        const value = child.textContent || "";
+        if (/<\/?x\d+\/?>/.test(value)) {
+          unsupported = true;
+        }
+        output += value;
+        continue;
+      }
+
+      if (child.nodeType !== Node.ELEMENT_NODE || child.classList.contains(NOTE_CLASS)) {
+        continue;
+      }
+      if (child.matches(SKIPPED_INLINE_SELECTOR) || window.getComputedStyle(child).display === "none") {
+        continue;
+      }
+
+      if (child.tagName === "BR") {
+        counter += 1;
+        markup[counter] = { tag: "br" };
+        output += `<x${counter}/>`;
+        continue;
+      }
+
+      const tag = INLINE_MARKUP_TAGS[child.tagName];
+      if (!tag) {
+        output += walk(child);
+        continue;
+      }
+
+      counter += 1;
+      const id = counter;
+      const inner = walk(child);
+      if (!normalizeText(inner)) {
+        continue;
+      }
+      markup[id] = describeInlineElement(child, tag);
+      output += `<x${id}>${inner}</x${id}>`;
+    }
+    return output;
+  }
+
+  const text = normalizeText(walk(element));
+  const count = Object.keys(markup).length;
+  if (unsupported || count === 0 || count > MAX_INLINE_PLACEHOLDERS) {
+    return null;
+  }
+  return { text, markup };
+}
+
+function createInlineElement(spec) {
+  const element = document.createElement(spec.tag);
+  if (spec.tag === "a" && spec.href) {
+    element.href = spec.href;
+    element.target = "_blank";
+    element.rel = "noopener noreferrer";
+  }
+  return element;
+}
+
+function renderInlineMarkup(text, markup) {
+  const fragment = document.createDocumentFragment();
+  const stack = [{ node: fragment, id: null }];
+  const seen = new Set();
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(PLACEHOLDER_TOKEN_PATTERN)) {
+    const [token, closing, id, selfClosing] = match;
+    const top = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      top.node.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+    }
+    lastIndex = match.index + token.length;
+
+    const spec = markup[id];
+    if (!spec) {
+      return null;
+    }
+
+    if (selfClosing) {
+      if (spec.tag !== "br") {
+        return null;
+      }
+      top.node.appendChild(document.createElement("br"));
+      continue;
+    }
+
+    if (!closing) {
+      if (spec.tag === "br" || seen.has(id)) {
+        return null;
+      }
+      seen.add(id);
+      const element = createInlineElement(spec);
+      top.node.appendChild(element);
+      stack.push({ node: element, id });
+      continue;
+    }
+
+    if (top.id !== id) {
+      return null;
+    }
+    stack.pop();
+  }
+
+  if (stack.length !== 1) {
+    return null;
+  }
+  if (lastIndex < text.length) {
+    fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+  }
+  return fragment;
+}
+
+function collectTranslatableRows(maxItems) {
   const rows = [];
   let counter = 0;
   let hitLimit = false;
 
-  function pushRow(element, rawText) {
+  function pushRow(element, rawText, inline = null) {
     const text = normalizeText(rawText);
     if (!isMeaningfulText(text)) {
       return;
@@ -236,10 +464,12 @@ function collectTranslatableRows(maxCharsPerItem, maxItems) {
     element.setAttribute(TRANSLATION_ID_ATTR, id);
     element.setAttribute(SOURCE_TEXT_ATTR, text);
 
-    const clipped = text.length > maxCharsPerItem ? `${text.slice(0, maxCharsPerItem)}...` : text;
+    // Long blocks are sent whole; the bridge splits them at sentence boundaries and stitches them back.
     rows.push({
       id,
-      text: clipped,
+      text: inline ? inline.text : text,
+      markup: inline ? inline.markup : null,
+      context: null,
       element,
     });
   }
@@ -263,7 +493,7 @@ function collectTranslatableRows(maxCharsPerItem, maxItems) {
     }
 
     const sourceText = extractSourceText(element);
-    pushRow(element, sourceText);
+    pushRow(element, sourceText, serializeInlineMarkup(element));
     if (hitLimit) {
       break;
     }
@@ -310,9 +540,52 @@ function collectTranslatableRows(maxCharsPerItem, maxItems) {
     }
   }
 
+  attachRowContext(rows);
   return { rows, hitLimit };
 }
 
+function precedes(left, right) {
+  return Boolean(left.compareDocumentPosition(right) & Node.DOCUMENT_POSITION_FOLLOWING);
+}
+
+// Rows are collected primary blocks first, so walk them in document order to find the heading each one sits
+// under and the block just before it. The bridge sends both to the model as reference material.
+function attachRowContext(rows) {
+  const ordered = [...rows].sort((left, right) => (precedes(left.element, right.element) ? -1 : 1));
+  const headings = [...document.querySelectorAll(HEADING_SELECTOR)];
+  let headingIndex = 0;
+  let heading = "";
+
+  ordered.forEach((row, index) => {
+    while (
+      headingIndex < headings.length &&
+      precedes(headings[headingIndex], row.element) &&
+      !headings[headingIndex].contains(row.element)
+    ) {
+      const candidate = headings[headingIndex];
+      if (isVisible(candidate)) {
+        heading = normalizeText(candidate.textContent).slice(0, MAX_CONTEXT_CHARS);
+      }
+      headingIndex += 1;
+    }
+
+    const previous = ordered[index - 1]?.element.getAttribute(SOURCE_TEXT_ATTR) || "";
+    row.context = { heading, before: previous.slice(-MAX_CONTEXT_CHARS) };
+  });
+}
+
+function readMetaContent(selector) {
+  return normalizeText(document.querySelector(selector)?.getAttribute("content") || "");
+}
+
+function getPageContext() {
+  return {
+    title: normalizeText(document.title),
+    description: readMetaContent('meta[name="description"]') || readMetaContent('meta[property="og:description"]'),
+    siteName: readMetaContent('meta[property="og:site_name"]') || location.hostname,
+  };
+}
+
 function chunkRows(rows, chunkSize) {
   const chunks = [];
   for (let index = 0; index < rows.length; index += chunkSize) {
@@ -321,23 +594,127 @@ function chunkRows(rows, chunkSize) {
   return chunks;
 }
 
-function getOrCreateNote(element) {
+// `lang` is empty for single-language translation, whose notes carry no label.
+function findNote(element, lang) {
   for (const child of element.children) {
-    if (child.classList && child.classList.contains(NOTE_CLASS)) {
+    const isNote = child.classList && child.classList.contains(NOTE_CLASS);
+    if (isNote && (child.getAttribute(NOTE_LANG_ATTR) || "") === lang) {
       return child;
     }
   }
+  return null;
+}
+
+function toggleNoteLanguage(lang) {
+  const hidden = !hiddenNoteLangs.has(lang);
+  if (hidden) {
+    hiddenNoteLangs.add(lang);
+  } else {
+    hiddenNoteLangs.delete(lang);
+  }
+  document.querySelectorAll(`.${NOTE_CLASS}[${NOTE_LANG_ATTR}="${CSS.escape(lang)}"]`).forEach((note) => {
+    note.classList.toggle(NOTE_HIDDEN_CLASS, hidden);
+  });
+}
 
+function createLabelledNote(lang) {
   const note = document.createElement("div");
   note.className = NOTE_CLASS;
-  element.appendChild(note);
+  note.setAttribute(NOTE_LANG_ATTR, lang);
+  note.classList.toggle(NOTE_HIDDEN_CLASS, hiddenNoteLangs.has(lang));
+
+  const label = document.createElement("button");
+  label.type = "button";
+  label.className = NOTE_LABEL_CLASS;
+  label.textContent = lang;
+  label.title = `Show or hide all ${lang} translations`;
+  label.addEventListener("click", (event) => {
+    // Notes can sit inside links and buttons; the label must not trigger them.
+    event.preventDefault();
+    event.stopPropagation();
+    toggleNoteLanguage(lang);
+  });
+
+  const text = document.createElement("span");
+  text.className = NOTE_TEXT_CLASS;
+  note.append(label, text);
   return note;
 }
 
-function applyTranslation(element, translatedText) {
-  const note = getOrCreateNote(element);
-  note.textContent = translatedText;
+function getOrCreateNote(element, lang = "") {
+  const existing = findNote(element, lang);
+  if (existing) {
+    return existing;
+  }
+
+  if (!lang) {
+    const note = document.createElement("div");
+    note.className = NOTE_CLASS;
+    element.appendChild(note);
+    return note;
+  }
+
+  // Keep stacked notes in the configured language order whatever order the translations arrive in.
+  const note = createLabelledNote(lang);
+  const position = noteLanguages.indexOf(lang);
+  const next = [...element.children].find(
+    (child) =>
+      child.classList?.contains(NOTE_CLASS) && noteLanguages.indexOf(child.getAttribute(NOTE_LANG_ATTR)) > position
+  );
+  element.insertBefore(note, next || null);
+  return note;
+}
+
+function getNoteText(note) {
+  return note.querySelector(`.${NOTE_TEXT_CLASS}`) || note;
+}
+
+function applyTranslation(element, translatedText, markup = null, lang = "") {
+  const note = getOrCreateNote(element, lang);
+  note.classList.remove(FAILED_NOTE_CLASS, LOW_QUALITY_NOTE_CLASS);
+  note.removeAttribute("title");
+
+  const text = getNoteText(note);
+  const fragment = markup ? renderInlineMarkup(translatedText, markup) : null;
+  if (fragment) {
+    text.replaceChildren(fragment);
+  } else {
+    text.textContent = stripPlaceholderTokens(translatedText);
+  }
   element.setAttribute(TRANSLATED_ATTR, "true");
+  element.removeAttribute(FAILED_ATTR);
+}
+
+function describeQuality(quality) {
+  return [
+    `Quality score: ${quality.score}/100`,
+    ...(quality.issues || []).map((issue) => `• ${issue}`),
+    ...(quality.backTranslation ? [`Back-translation: ${quality.backTranslation}`] : []),
+  ].join("\n");
+}
+
+// Low-scoring notes are highlighted; every scored note shows its score and issues on hover.
+function applyQuality(element, quality, lang = "") {
+  const note = findNote(element, lang);
+  if (!note || note.classList.contains(FAILED_NOTE_CLASS) || typeof quality?.score !== "number") {
+    return;
+  }
+  note.classList.toggle(LOW_QUALITY_NOTE_CLASS, quality.score < qualityThreshold);
+  note.title = describeQuality(quality);
+}
+
+function markTranslationFailed(element, reason, lang = "") {
+  // Never overwrite a translation that already succeeded on an earlier run.
+  const existing = findNote(element, lang);
+  if (existing && !existing.classList.contains(FAILED_NOTE_CLASS)) {
+    return;
+  }
+
+  const note = getOrCreateNote(element, lang);
+  note.classList.add(FAILED_NOTE_CLASS);
+  note.title = reason || "Translation failed";
+  getNoteText(note).textContent = "Translation failed for this block.";
+  element.setAttribute(FAILED_ATTR, "true");
 }
 
 function removeSelectionPanel() {
@@ -347,7 +724,8 @@ function removeSelectionPanel() {
   }
 }
 
-function showSelectionPanel(original, translated) {
+// `translations` holds one {targetLang, translatedText} entry per configured language.
+function showSelectionPanel(original, translations) {
   removeSelectionPanel();
 
   const panel = document.createElement("section");
@@ -363,10 +741,28 @@ function showSelectionPanel(original, translated) {
 
   const content = document.createElement("div");
   content.className = "content";
-  content.textContent = `${original}\n\n${translated}`;
+  content.textContent = original;
 
   panel.appendChild(header);
   panel.appendChild(content);
+  for (const translation of translations) {
+    const section = document.createElement("div");
+    section.className = "content";
+    if (translations.length > 1) {
+      const label = document.createElement("span");
+      label.className = "lang";
+      label.textContent = translation.targetLang;
+      section.appendChild(label);
+    }
+    section.appendChild(document.createTextNode(translation.translatedText));
+    if (translation.quality) {
+      const quality = document.createElement("span");
+      quality.className = translation.quality.score < qualityThreshold ? "quality low" : "quality";
+      quality.textContent = describeQuality(translation.quality);
+      section.appendChild(quality);
+    }
+    panel.appendChild(section);
+  }
   document.documentElement.appendChild(panel);
 }
 
@@ -375,6 +771,9 @@ function restorePage() {
   document.querySelectorAll(`[${TRANSLATED_ATTR}]`).forEach((node) => {
     node.removeAttribute(TRANSLATED_ATTR);
   });
+  document.querySelectorAll(`[${FAILED_ATTR}]`).forEach((node) => {
+    node.removeAttribute(FAILED_ATTR);
+  });
   document.querySelectorAll(`[${SOURCE_TEXT_ATTR}]`).forEach((node) => {
     node.removeAttribute(SOURCE_TEXT_ATTR);
   });
@@ -382,6 +781,7 @@ function restorePage() {
     node.removeAttribute(TRANSLATION_ID_ATTR);
   });
   removeSelectionPanel();
+  hiddenNoteLangs.clear();
 }
 
 async function getSettings() {
@@ -392,34 +792,231 @@ async function getSettings() {
   return response.settings;
 }
 
+function buildTranslationPayload(settings, items) {
+  return {
+    sourceLang: settings.sourceLang,
+    targetLang: settings.targetLang,
+    targetLangs: settings.targetLangs,
+    mode: settings.mode,
+    tone: settings.tone,
+    provider: settings.provider,
+    model: settings.model,
+    batchSize: settings.batchSize,
+    concurrency: settings.concurrency,
+    maxCharsPerItem: settings.maxCharsPerItem,
+    templateId: settings.templateId,
+    qualityCheck: settings.qualityCheck,
+    qualityThreshold: settings.qualityThreshold,
+    pageContext: getPageContext(),
+    items,
+  };
+}
+
 async function requestTranslation(settings, items) {
   const response = await runtimeSend({
     type: "translate-batch",
-    payload: {
-      sourceLang: settings.sourceLang,
-      targetLang: settings.targetLang,
-      mode: settings.mode,
-      tone: settings.tone,
-      model: settings.model,
-      batchSize: settings.batchSize,
-      maxCharsPerItem: settings.maxCharsPerItem,
-      items,
-    },
+    payload: buildTranslationPayload(settings, items),
   });
 
   if (!response?.ok) {
-    throw new Error(response?.error || "Translation request failed");
+    const error = new Error(response?.error || "Translation request failed");
+    error.code = response?.code;
+    error.requestId = response?.requestId;
+    throw error;
   }
 
   return response;
 }
 
-async function translatePage() {
+function streamTranslation(settings, items, onEvent) {
+  return new Promise((resolve, reject) => {
+    const port = chrome.runtime.connect({ name: STREAM_PORT_NAME });
+    let settled = false;
+
+    function settle(callback, value) {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      port.disconnect();
+      callback(value);
+    }
+
+    if (activeTranslation) {
+      activeTranslation.abort = () => {
+        const error = new Error("Translation cancelled");
+        error.cancelled = true;
+        settle(reject, error);
+      };
+    }
+
+    port.onMessage.addListener((event) => {
+      if (event?.type === "job") {
+        if (activeTranslation) {
+          activeTranslation.jobId = event.jobId;
+        }
+        return;
+      }
+
+      if (event?.type === "summary") {
+        settle(resolve, event);
+        return;
+      }
+
+      if (event?.type === "error") {
+        const error = new Error(event.error || "Translation stream failed");
+        error.statusCode = event.statusCode;
+        error.code = event.code;
+        error.requestId = event.requestId;
+        settle(reject, error);
+        return;
+      }
+
+      if (event) {
+        onEvent(event);
+      }
+    });
+
+    port.onDisconnect.addListener(() => {
+      const error = chrome.runtime.lastError;
+      settle(reject, new Error(error?.message || "Translation stream disconnected"));
+    });
+
+    port.postMessage({ type: "translate-stream", payload: buildTranslationPayload(settings, items) });
+  });
+}
+
+function applyResultRows(results, rowById) {
+  let applied = 0;
+  for (const result of results || []) {
+    const row = result && typeof result.id === "string" ? rowById.get(result.id) : null;
+    if (!row) {
+      continue;
+    }
+
+    // Blocks the bridge found already in the target language stay untouched. Quality events carry no text.
+    if (typeof result.translatedText === "string" && result.translatedText && !result.skipped) {
+      applyTranslation(row.element, result.translatedText, row.markup, result.targetLang || "");
+      applied += 1;
+    }
+    if (result.quality) {
+      applyQuality(row.element, result.quality, result.targetLang || "");
+    }
+  }
+  return applied;
+}
+
+function markFailedRows(failed, rowById) {
+  let count = 0;
+  for (const entry of failed || []) {
+    const row = entry && rowById.get(entry.id);
+    if (!row) {
+      continue;
+    }
+    markTranslationFailed(row.element, entry.reason, entry.targetLang || "");
+    count += 1;
+  }
+  return count;
+}
+
+async function translateRowsInChunks(settings, rows, rowById) {
+  // Used against bridges that predate /translate-stream.
+  const batchSize = Math.min(Math.max(settings.batchSize || 6, 1), 20);
+  const concurrency = Math.min(Math.max(settings.concurrency || 1, 1), 8);
+  const chunks = chunkRows(rows, batchSize * concurrency);
+  const warnings = [];
+  let applied = 0;
+  let failed = 0;
+  let generated = 0;
+  let segmented = 0;
+  let skipped = 0;
+  let flagged = 0;
+
+  for (const chunk of chunks) {
+    if (activeTranslation?.cancelled) {
+      const error = new Error("Translation cancelled");
+      error.cancelled = true;
+      throw error;
+    }
+
+    const payloadItems = chunk.map((row) => ({ id: row.id, text: row.text, context: row.context }));
+    let translated;
+    try {
+      translated = await requestTranslation(settings, payloadItems);
+    } catch (error) {
+      // Keep going so one bad round trip does not discard the rest of the page.
+      failed += markFailedRows(
+        payloadItems.map((item) => ({ id: item.id, reason: error.message })),
+        rowById
+      );
+      warnings.push(error.message);
+      continue;
+    }
+    warnings.push(...(translated.warnings || []));
+    applied += applyResultRows(translated.results, rowById);
+    failed += markFailedRows(translated.failed, rowById);
+
+    if (translated.meta && typeof translated.meta.generated === "number") {
+      generated += translated.meta.generated;
+    }
+    segmented += translated.meta?.segmented || 0;
+    skipped += translated.meta?.skippedSameLanguage || 0;
+    flagged += translated.meta?.quality?.flagged || 0;
+  }
+
+  return { applied, failed, warnings, chunks: chunks.length, generated, segmented, skipped, flagged };
+}
+
+async function translateRowsStreaming(settings, rows, rowById) {
+  let applied = 0;
+  let failed = 0;
+  const payloadItems = rows.map((row) => ({ id: row.id, text: row.text, context: row.context }));
+  const summary = await streamTranslation(settings, payloadItems, (event) => {
+    applied += applyResultRows(event.results, rowById);
+    failed += markFailedRows(event.failed, rowById);
+  });
+
+  return {
+    applied,
+    failed,
+    warnings: summary.warnings || [],
+    chunks: summary.meta?.batches || 0,
+    generated: summary.meta?.generated || 0,
+    segmented: summary.meta?.segmented || 0,
+    skipped: summary.meta?.skippedSameLanguage || 0,
+    flagged: summary.meta?.quality?.flagged || 0,
+  };
+}
+
+function normalizeLangTag(lang) {
+  const [base, ...rest] = String(lang || "")
+    .trim()
+    .toLowerCase()
+    .split(/[-_]/);
+  if (base !== "zh") {
+    return base;
+  }
+  return rest.some((part) => ["hant", "tw", "hk", "mo"].includes(part)) ? "zh-hant" : "zh-hans";
+}
+
+// With several target languages the page only counts as done when it is in every one of them.
+function getPageLanguageMatch(targetLangs) {
+  const pageLang = document.documentElement.lang;
+  if (!pageLang || targetLangs.length === 0) {
+    return null;
+  }
+  return targetLangs.every((lang) => normalizeLangTag(pageLang) === normalizeLangTag(lang))
+    ? { pageLang, targetLang: targetLangs.join(", ") }
+    : null;
+}
+
+async function translatePage({ force = false } = {}) {
   if (isTranslating) {
     return { ok: false, error: "Translation already in progress" };
   }
 
   isTranslating = true;
+  activeTranslation = { jobId: null, cancelled: false, abort: null };
 
   try {
     ensureStyle();
@@ -430,59 +1027,71 @@ async function translatePage() {
         ? Math.min(Math.max(Math.floor(settings.maxPageItems), 20), 500)
         : DEFAULT_MAX_PAGE_ITEMS;
 
-    const { rows, hitLimit } = collectTranslatableRows(settings.maxCharsPerItem || 1200, maxPageItems);
+    // The page declares itself in the target language: let the user confirm before spending anything.
+    const targetLangs = settings.targetLangs?.length ? settings.targetLangs : [settings.targetLang];
+    const sameLanguage = force ? null : getPageLanguageMatch(targetLangs);
+    if (sameLanguage) {
+      return { ok: true, count: 0, total: 0, sameLanguage };
+    }
+
+    const { rows, hitLimit } = collectTranslatableRows(maxPageItems);
 
     if (rows.length === 0) {
       return { ok: true, count: 0, total: 0, message: "No translatable content found" };
     }
 
-    const requestChunkSize = Math.min(Math.max(settings.batchSize || 6, 1), 20);
-    const chunks = chunkRows(rows, requestChunkSize);
-    const warnings = [];
-    let applied = 0;
-    let generated = 0;
-
-    for (const chunk of chunks) {
-      const payloadItems = chunk.map((row) => ({ id: row.id, text: row.text }));
-      const translated = await requestTranslation(settings, payloadItems);
-      warnings.push(...(translated.warnings || []));
-
-      const map = new Map();
-      for (const result of translated.results || []) {
-        if (result && typeof result.id === "string" && typeof result.translatedText === "string") {
-          map.set(result.id, result.translatedText);
-        }
-      }
-
-      for (const row of chunk) {
-        const translatedText = map.get(row.id);
-        if (!translatedText) {
-          continue;
-        }
-        applyTranslation(row.element, translatedText);
-        applied += 1;
-      }
-
-      if (translated.meta && typeof translated.meta.generated === "number") {
-        generated += translated.meta.generated;
+    noteLanguages = targetLangs.length > 1 ? targetLangs : [];
+    qualityThreshold = settings.qualityThreshold ?? DEFAULT_QUALITY_THRESHOLD;
+    const rowById = new Map(rows.map((row) => [row.id, row]));
+    let outcome;
+    try {
+      outcome = await translateRowsStreaming(settings, rows, rowById);
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw error;
       }
+      outcome = await translateRowsInChunks(settings, rows, rowById);
     }
 
     return {
       ok: true,
-      count: applied,
-      total: rows.length,
-      warnings,
+      count: outcome.applied,
+      failed: outcome.failed,
+      // Counts are per translation, so a block translated into two languages counts twice.
+      total: rows.length * targetLangs.length,
+      targetLangs,
+      warnings: outcome.warnings,
       meta: {
-        chunks: chunks.length,
-        generated,
+        chunks: outcome.chunks,
+        generated: outcome.generated,
+        segmented: outcome.segmented,
+        skippedSameLanguage: outcome.skipped,
+        lowQuality: outcome.flagged,
         hitLimit,
         maxPageItems,
       },
     };
   } finally {
     isTranslating = false;
+    activeTranslation = null;
+  }
+}
+
+function cancelActiveTranslation() {
+  if (!activeTranslation || activeTranslation.cancelled) {
+    return false;
+  }
+
+  const { jobId, abort } = activeTranslation;
+  activeTranslation.cancelled = true;
+  if (jobId) {
+    // Best effort: disconnecting the stream also aborts the job on the bridge.
+    runtimeSend({ type: "cancel-job", jobId }).catch(() => {});
+  }
+  if (abort) {
+    abort();
   }
+  return true;
 }
 
 async function translateSelection() {
@@ -495,22 +1104,24 @@ async function translateSelection() {
   }
 
   const settings = await getSettings();
-  const clipped =
-    sourceText.length > settings.maxCharsPerItem
-      ? `${sourceText.slice(0, settings.maxCharsPerItem)}...`
-      : sourceText;
-
-  const translated = await requestTranslation(settings, [{ id: "selection-1", text: clipped }]);
-  const result = (translated.results || [])[0];
-  if (!result || typeof result.translatedText !== "string") {
+  const translated = await requestTranslation(settings, [{ id: "selection-1", text: sourceText }]);
+  const results = (translated.results || []).filter((result) => typeof result?.translatedText === "string");
+  if (results.length === 0) {
     throw new Error("Bridge returned empty selection translation");
   }
 
-  showSelectionPanel(sourceText, result.translatedText);
+  qualityThreshold = settings.qualityThreshold ?? DEFAULT_QUALITY_THRESHOLD;
+  const translations = results.map((result) => ({
+    targetLang: result.targetLang || settings.targetLang,
+    translatedText: result.translatedText,
+    quality: result.quality || null,
+  }));
+  showSelectionPanel(sourceText, translations);
 
   return {
     ok: true,
-    translatedText: result.translatedText,
+    translatedText: translations[0].translatedText,
+    translations,
   };
 }
 
@@ -518,7 +1129,7 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
   (async () => {
     switch (message?.type) {
       case "translate-page": {
-        const result = await translatePage();
+        const result = await translatePage({ force: message.force === true });
         sendResponse(result);
         return;
       }
@@ -529,7 +1140,14 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
         return;
       }
 
+      case "cancel-translation": {
+        const cancelled = cancelActiveTranslation();
+        sendResponse({ ok: true, cancelled });
+        return;
+      }
+
       case "restore-page": {
+        cancelActiveTranslation();
         restorePage();
         sendResponse({ ok: true });
         return;
@@ -539,8 +1157,17 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
         sendResponse({ ok: false, error: "Unsupported content action" });
     }
   })().catch((error) => {
-    sendResponse({ ok: false, error: error.message || "Content script error" });
+    sendResponse({
+      ok: false,
+      error: error.message || "Content script error",
+      code: error.code,
+      requestId: error.requestId,
+    });
   });
 
   return true;
 });
+
+window.addEventListener("pagehide", () => {
+  cancelActiveTranslation();
+});
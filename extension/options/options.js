@@ -1,17 +1,66 @@
 const bridgeUrlInput = document.getElementById("bridgeUrl");
+const transportInput = document.getElementById("transport");
 const sourceLangInput = document.getElementById("sourceLang");
 const targetLangInput = document.getElementById("targetLang");
+const providerInput = document.getElementById("provider");
 const modelInput = document.getElementById("model");
 const modeInput = document.getElementById("mode");
 const toneInput = document.getElementById("tone");
 const batchSizeInput = document.getElementById("batchSize");
 const maxCharsPerItemInput = document.getElementById("maxCharsPerItem");
+const concurrencyInput = document.getElementById("concurrency");
 const maxPageItemsInput = document.getElementById("maxPageItems");
+const templateIdInput = document.getElementById("templateId");
+const qualityCheckInput = document.getElementById("qualityCheck");
+const qualityThresholdInput = document.getElementById("qualityThreshold");
 
 const settingsForm = document.getElementById("settingsForm");
 const testBtn = document.getElementById("testBtn");
 const statusText = document.getElementById("statusText");
 
+const pairingCodeInput = document.getElementById("pairingCode");
+const pairBtn = document.getElementById("pairBtn");
+const unpairBtn = document.getElementById("unpairBtn");
+const pairingStatus = document.getElementById("pairingStatus");
+
+const glossarySelect = document.getElementById("glossarySelect");
+const glossaryForm = document.getElementById("glossaryForm");
+const glossaryNameInput = document.getElementById("glossaryName");
+const glossaryEnabledInput = document.getElementById("glossaryEnabled");
+const glossarySourceLangInput = document.getElementById("glossarySourceLang");
+const glossaryTargetLangInput = document.getElementById("glossaryTargetLang");
+const glossaryTermsBody = document.getElementById("glossaryTerms");
+const newGlossaryBtn = document.getElementById("newGlossaryBtn");
+const addTermBtn = document.getElementById("addTermBtn");
+const deleteGlossaryBtn = document.getElementById("deleteGlossaryBtn");
+const glossaryStatus = document.getElementById("glossaryStatus");
+
+const templateSelect = document.getElementById("templateSelect");
+const templateForm = document.getElementById("templateForm");
+const templateNameInput = document.getElementById("templateName");
+const templateDescriptionInput = document.getElementById("templateDescription");
+const templateBodyInput = document.getElementById("templateBody");
+const templateVariablesText = document.getElementById("templateVariables");
+const templateSampleInput = document.getElementById("templateSample");
+const templatePreview = document.getElementById("templatePreview");
+const newTemplateBtn = document.getElementById("newTemplateBtn");
+const deleteTemplateBtn = document.getElementById("deleteTemplateBtn");
+const templateStatus = document.getElementById("templateStatus");
+
+const statsBody = document.getElementById("statsBody");
+const refreshStatsBtn = document.getElementById("refreshStatsBtn");
+const statsStatus = document.getElementById("statsStatus");
+
+const TEMPLATE_PREVIEW_DELAY_MS = 300;
+
+let currentGlossaryId = "";
+let currentTemplateId = "";
+// The bridge's built-in prompt, offered as the starting point for new templates.
+let defaultTemplateBody = "";
+let savedTemplateId = "";
+let savedTone = "natural";
+let previewTimer = null;
+
 function runtimeSend(message) {
   return new Promise((resolve, reject) => {
     chrome.runtime.sendMessage(message, (response) => {
@@ -39,30 +88,82 @@ function toInt(value, fallback, min, max) {
   return Math.min(max, Math.max(min, parsed));
 }
 
+function readTargetLangs() {
+  const langs = targetLangInput.value
+    .split(",")
+    .map((lang) => lang.trim())
+    .filter(Boolean);
+  return langs.length > 0 ? langs : ["zh-CN"];
+}
+
 function readFormSettings() {
+  const targetLangs = readTargetLangs();
   return {
     bridgeUrl: bridgeUrlInput.value.trim() || "http://127.0.0.1:8787",
+    transport: transportInput.value === "native" ? "native" : "http",
     sourceLang: sourceLangInput.value.trim() || "auto",
-    targetLang: targetLangInput.value.trim() || "zh-CN",
+    targetLang: targetLangs[0],
+    targetLangs,
+    provider: ["codex", "openai-compatible", "pseudo"].includes(providerInput.value) ? providerInput.value : "",
     model: modelInput.value.trim(),
     mode: modeInput.value === "translation-only" ? "translation-only" : "bilingual",
-    tone: ["natural", "faithful", "concise"].includes(toneInput.value) ? toneInput.value : "natural",
+    tone: toneInput.value || "natural",
     batchSize: toInt(batchSizeInput.value, 6, 1, 20),
     maxCharsPerItem: toInt(maxCharsPerItemInput.value, 1200, 100, 5000),
+    concurrency: toInt(concurrencyInput.value, 3, 1, 8),
     maxPageItems: toInt(maxPageItemsInput.value, 220, 20, 500),
+    templateId: templateIdInput.value,
+    qualityCheck: qualityCheckInput.checked,
+    qualityThreshold: toInt(qualityThresholdInput.value, 70, 0, 100),
   };
 }
 
 function fillForm(settings) {
   bridgeUrlInput.value = settings.bridgeUrl || "http://127.0.0.1:8787";
+  transportInput.value = settings.transport || "http";
   sourceLangInput.value = settings.sourceLang || "auto";
-  targetLangInput.value = settings.targetLang || "zh-CN";
+  targetLangInput.value = (settings.targetLangs || [settings.targetLang || "zh-CN"]).join(", ");
+  providerInput.value = settings.provider || "";
   modelInput.value = settings.model || "";
   modeInput.value = settings.mode || "bilingual";
-  toneInput.value = settings.tone || "natural";
+  savedTone = settings.tone || "natural";
+  selectSettingsTone();
   batchSizeInput.value = String(settings.batchSize || 6);
   maxCharsPerItemInput.value = String(settings.maxCharsPerItem || 1200);
+  concurrencyInput.value = String(settings.concurrency || 3);
   maxPageItemsInput.value = String(settings.maxPageItems || 220);
+  qualityCheckInput.checked = settings.qualityCheck === true;
+  qualityThresholdInput.value = String(settings.qualityThreshold ?? 70);
+  savedTemplateId = settings.templateId || "";
+  selectSettingsTemplate();
+}
+
+function selectSettingsTone() {
+  // Like templates: a tone missing from the bridge config stays selectable instead of being reset on save.
+  if (![...toneInput.options].some((option) => option.value === savedTone)) {
+    const option = document.createElement("option");
+    option.value = savedTone;
+    option.textContent = `${savedTone} (not found on bridge)`;
+    toneInput.appendChild(option);
+  }
+  toneInput.value = savedTone;
+}
+
+// The three built-in tones in options.html are used until the bridge reports the tones from its config file.
+async function loadToneList() {
+  const response = await runtimeSend({ type: "bridge-config" });
+  if (!response?.ok) {
+    throw new Error(response?.error || "Failed to load the bridge config");
+  }
+
+  toneInput.textContent = "";
+  for (const tone of Object.keys(response.values?.tones || {})) {
+    const option = document.createElement("option");
+    option.value = tone;
+    option.textContent = tone;
+    toneInput.appendChild(option);
+  }
+  selectSettingsTone();
 }
 
 async function loadSettings() {
@@ -97,13 +198,23 @@ settingsForm.addEventListener("submit", async (event) => {
 testBtn.addEventListener("click", async () => {
   try {
     const bridgeUrl = bridgeUrlInput.value.trim() || "http://127.0.0.1:8787";
-    const response = await runtimeSend({ type: "bridge-health", bridgeUrl });
+    const response = await runtimeSend({ type: "bridge-health", bridgeUrl, transport: transportInput.value });
 
     if (!response?.ok) {
       throw new Error(response?.error || "Bridge health check failed");
     }
 
-    if (response.health?.ok) {
+    const providers = response.health?.providers || {};
+    const selected = providerInput.value || response.health?.defaultProvider;
+    const providerHealth = providers[selected];
+
+    if (response.health?.code === "unauthorized") {
+      setStatus("Bridge is running but this extension is not paired. Use “Pair with bridge” below.", true);
+    } else if (providerHealth) {
+      const summary = `${selected}: ${providerHealth.message || (providerHealth.ready ? "ready" : "not ready")}`;
+      const label = providerHealth.ready ? "Bridge OK" : "Bridge not ready";
+      setStatus(`${label} (${summary})`, !providerHealth.ready);
+    } else if (response.health?.ok) {
       setStatus(`Bridge OK: ${response.health.loginMessage || "OpenAI auth ready"}`);
     } else {
       setStatus(`Bridge not ready: ${response.health?.loginMessage || "Unknown error"}`, true);
@@ -113,6 +224,496 @@ testBtn.addEventListener("click", async () => {
   }
 });
 
-loadSettings().catch((error) => {
-  setStatus(error.message, true);
+function setPairingStatus(message, isError = false) {
+  pairingStatus.textContent = message;
+  pairingStatus.style.color = isError ? "#D65F5F" : "#2B2B2B";
+  pairingStatus.style.display = message ? "block" : "none";
+}
+
+async function refreshPairingStatus() {
+  const response = await runtimeSend({ type: "bridge-pairing-status" });
+  if (!response?.ok) {
+    throw new Error(response?.error || "Failed to read pairing status");
+  }
+  setPairingStatus(response.paired ? "Paired with bridge" : "Not paired yet", !response.paired);
+  unpairBtn.disabled = !response.paired;
+}
+
+pairBtn.addEventListener("click", async () => {
+  try {
+    const code = pairingCodeInput.value.replace(/\s+/g, "");
+    if (!/^\d{6}$/.test(code)) {
+      throw new Error("Enter the 6-digit code shown on the bridge console");
+    }
+
+    const bridgeUrl = bridgeUrlInput.value.trim() || "http://127.0.0.1:8787";
+    const response = await runtimeSend({ type: "bridge-pair", code, bridgeUrl });
+    if (!response?.ok) {
+      throw new Error(response?.error || "Pairing failed");
+    }
+
+    pairingCodeInput.value = "";
+    await refreshPairingStatus();
+    if (!response.authEnabled) {
+      setPairingStatus("Bridge has authentication disabled; no pairing needed");
+    }
+    await loadGlossaryList();
+    await loadTemplateList();
+  } catch (error) {
+    setPairingStatus(error.message, true);
+  }
+});
+
+unpairBtn.addEventListener("click", async () => {
+  try {
+    await runtimeSend({ type: "bridge-unpair" });
+    await refreshPairingStatus();
+  } catch (error) {
+    setPairingStatus(error.message, true);
+  }
+});
+
+function setGlossaryStatus(message, isError = false) {
+  glossaryStatus.textContent = message;
+  glossaryStatus.style.color = isError ? "#D65F5F" : "#2B2B2B";
+  glossaryStatus.style.display = message ? "block" : "none";
+}
+
+function addTermRow(term = {}) {
+  const row = document.createElement("tr");
+
+  const sourceCell = document.createElement("td");
+  const sourceInput = document.createElement("input");
+  sourceInput.type = "text";
+  sourceInput.className = "term-source";
+  sourceInput.value = term.source || "";
+  sourceCell.appendChild(sourceInput);
+
+  const targetCell = document.createElement("td");
+  const targetInput = document.createElement("input");
+  targetInput.type = "text";
+  targetInput.className = "term-target";
+  targetInput.value = term.doNotTranslate ? "" : term.target || "";
+  targetCell.appendChild(targetInput);
+
+  const keepCell = document.createElement("td");
+  const keepInput = document.createElement("input");
+  keepInput.type = "checkbox";
+  keepInput.className = "term-keep";
+  keepInput.checked = Boolean(term.doNotTranslate);
+  keepCell.appendChild(keepInput);
+
+  const caseCell = document.createElement("td");
+  const caseInput = document.createElement("input");
+  caseInput.type = "checkbox";
+  caseInput.className = "term-case";
+  caseInput.checked = Boolean(term.caseSensitive);
+  caseCell.appendChild(caseInput);
+
+  const removeCell = document.createElement("td");
+  const removeButton = document.createElement("button");
+  removeButton.type = "button";
+  removeButton.className = "secondary";
+  removeButton.textContent = "×";
+  removeButton.addEventListener("click", () => row.remove());
+  removeCell.appendChild(removeButton);
+
+  const syncKeep = () => {
+    targetInput.disabled = keepInput.checked;
+    targetInput.placeholder = keepInput.checked ? "(kept as source)" : "";
+  };
+  keepInput.addEventListener("change", syncKeep);
+  syncKeep();
+
+  row.append(sourceCell, targetCell, keepCell, caseCell, removeCell);
+  glossaryTermsBody.appendChild(row);
+}
+
+function fillGlossaryForm(glossary) {
+  currentGlossaryId = glossary?.id || "";
+  glossaryNameInput.value = glossary?.name || "";
+  glossaryEnabledInput.checked = glossary ? glossary.enabled !== false : true;
+  glossarySourceLangInput.value = glossary?.sourceLang && glossary.sourceLang !== "*" ? glossary.sourceLang : "";
+  glossaryTargetLangInput.value = glossary?.targetLang && glossary.targetLang !== "*" ? glossary.targetLang : "";
+  glossaryTermsBody.textContent = "";
+
+  const entries = glossary?.entries || [];
+  entries.forEach((entry) => addTermRow(entry));
+  if (entries.length === 0) {
+    addTermRow();
+  }
+  deleteGlossaryBtn.disabled = !currentGlossaryId;
+}
+
+function readGlossaryForm() {
+  const entries = [];
+  for (const row of glossaryTermsBody.querySelectorAll("tr")) {
+    const source = row.querySelector(".term-source").value.trim();
+    if (!source) {
+      continue;
+    }
+    const doNotTranslate = row.querySelector(".term-keep").checked;
+    entries.push({
+      source,
+      target: doNotTranslate ? source : row.querySelector(".term-target").value.trim(),
+      doNotTranslate,
+      caseSensitive: row.querySelector(".term-case").checked,
+    });
+  }
+
+  return {
+    ...(currentGlossaryId ? { id: currentGlossaryId } : {}),
+    name: glossaryNameInput.value.trim(),
+    enabled: glossaryEnabledInput.checked,
+    sourceLang: glossarySourceLangInput.value.trim() || "*",
+    targetLang: glossaryTargetLangInput.value.trim() || "*",
+    entries,
+  };
+}
+
+async function loadGlossaryList(selectedId = currentGlossaryId) {
+  const response = await runtimeSend({ type: "glossary-list" });
+  if (!response?.ok) {
+    throw new Error(response?.error || "Failed to load glossaries");
+  }
+
+  glossarySelect.textContent = "";
+  const placeholder = document.createElement("option");
+  placeholder.value = "";
+  placeholder.textContent = response.glossaries.length ? "Select a glossary…" : "No glossaries yet";
+  glossarySelect.appendChild(placeholder);
+
+  for (const glossary of response.glossaries) {
+    const option = document.createElement("option");
+    option.value = glossary.id;
+    const pair = `${glossary.sourceLang} → ${glossary.targetLang}`;
+    const suffix = glossary.enabled ? "" : " [disabled]";
+    option.textContent = `${glossary.name} (${pair}, ${glossary.termCount} terms)${suffix}`;
+    glossarySelect.appendChild(option);
+  }
+  glossarySelect.value = selectedId || "";
+}
+
+async function selectGlossary(id) {
+  if (!id) {
+    fillGlossaryForm(null);
+    return;
+  }
+
+  const response = await runtimeSend({ type: "glossary-get", id });
+  if (!response?.ok) {
+    throw new Error(response?.error || "Failed to load glossary");
+  }
+  fillGlossaryForm(response.glossary);
+}
+
+glossarySelect.addEventListener("change", () => {
+  selectGlossary(glossarySelect.value).catch((error) => setGlossaryStatus(error.message, true));
+});
+
+newGlossaryBtn.addEventListener("click", () => {
+  glossarySelect.value = "";
+  fillGlossaryForm(null);
+  setGlossaryStatus("");
+  glossaryNameInput.focus();
+});
+
+addTermBtn.addEventListener("click", () => addTermRow());
+
+glossaryForm.addEventListener("submit", async (event) => {
+  event.preventDefault();
+
+  try {
+    const response = await runtimeSend({ type: "glossary-save", glossary: readGlossaryForm() });
+    if (!response?.ok) {
+      throw new Error(response?.error || "Failed to save glossary");
+    }
+
+    fillGlossaryForm(response.glossary);
+    await loadGlossaryList(response.glossary.id);
+    setGlossaryStatus(`Glossary saved (${response.glossary.entries.length} terms)`);
+  } catch (error) {
+    setGlossaryStatus(error.message, true);
+  }
+});
+
+deleteGlossaryBtn.addEventListener("click", async () => {
+  if (!currentGlossaryId || !window.confirm(`Delete glossary "${glossaryNameInput.value}"?`)) {
+    return;
+  }
+
+  try {
+    const response = await runtimeSend({ type: "glossary-delete", id: currentGlossaryId });
+    if (!response?.ok) {
+      throw new Error(response?.error || "Failed to delete glossary");
+    }
+
+    fillGlossaryForm(null);
+    await loadGlossaryList("");
+    setGlossaryStatus("Glossary deleted");
+  } catch (error) {
+    setGlossaryStatus(error.message, true);
+  }
+});
+
+function setTemplateStatus(message, isError = false) {
+  templateStatus.textContent = message;
+  templateStatus.style.color = isError ? "#D65F5F" : "#2B2B2B";
+  templateStatus.style.display = message ? "block" : "none";
+}
+
+function selectSettingsTemplate() {
+  // Keep a template that the bridge no longer knows visible, so saving settings does not silently drop it.
+  if (savedTemplateId && ![...templateIdInput.options].some((option) => option.value === savedTemplateId)) {
+    const option = document.createElement("option");
+    option.value = savedTemplateId;
+    option.textContent = `${savedTemplateId} (not found on bridge)`;
+    templateIdInput.appendChild(option);
+  }
+  templateIdInput.value = savedTemplateId;
+}
+
+function fillTemplateForm(template) {
+  currentTemplateId = template?.id || "";
+  templateNameInput.value = template?.name || "";
+  templateDescriptionInput.value = template?.description || "";
+  templateBodyInput.value = template?.body || defaultTemplateBody;
+  deleteTemplateBtn.disabled = !currentTemplateId;
+  schedulePreview();
+}
+
+function readTemplateForm() {
+  return {
+    ...(currentTemplateId ? { id: currentTemplateId } : {}),
+    name: templateNameInput.value.trim(),
+    description: templateDescriptionInput.value.trim(),
+    body: templateBodyInput.value,
+  };
+}
+
+async function loadTemplateList(selectedId = currentTemplateId) {
+  const response = await runtimeSend({ type: "template-list" });
+  if (!response?.ok) {
+    throw new Error(response?.error || "Failed to load templates");
+  }
+
+  defaultTemplateBody = response.defaultBody || "";
+  templateVariablesText.textContent = `Variables: ${response.variables.map((name) => `{{${name}}}`).join(" ")}`;
+
+  templateSelect.textContent = "";
+  const placeholder = document.createElement("option");
+  placeholder.value = "";
+  placeholder.textContent = response.templates.length ? "Select a template…" : "No templates yet";
+  templateSelect.appendChild(placeholder);
+
+  templateIdInput.textContent = "";
+  const builtIn = document.createElement("option");
+  builtIn.value = "";
+  builtIn.textContent = "built-in prompt";
+  templateIdInput.appendChild(builtIn);
+
+  for (const template of response.templates) {
+    const option = document.createElement("option");
+    option.value = template.id;
+    option.textContent = template.description ? `${template.name} (${template.description})` : template.name;
+    templateSelect.appendChild(option);
+    templateIdInput.appendChild(option.cloneNode(true));
+  }
+  templateSelect.value = selectedId || "";
+  selectSettingsTemplate();
+}
+
+async function selectTemplate(id) {
+  if (!id) {
+    fillTemplateForm(null);
+    return;
+  }
+
+  const response = await runtimeSend({ type: "template-list" });
+  if (!response?.ok) {
+    throw new Error(response?.error || "Failed to load template");
+  }
+  fillTemplateForm(response.templates.find((template) => template.id === id) || null);
+}
+
+async function renderPreview() {
+  const response = await runtimeSend({
+    type: "template-preview",
+    preview: {
+      name: templateNameInput.value.trim() || "preview",
+      body: templateBodyInput.value,
+      items: [{ id: "1", text: templateSampleInput.value.trim() || "Example paragraph that will be translated." }],
+      pageContext: { title: "Example page title" },
+    },
+  });
+  if (!response?.ok) {
+    throw new Error(response?.error || "Failed to render preview");
+  }
+  templatePreview.textContent = response.prompt;
+}
+
+function schedulePreview() {
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(() => {
+    renderPreview()
+      .then(() => setTemplateStatus(""))
+      .catch((error) => {
+        templatePreview.textContent = "";
+        setTemplateStatus(error.message, true);
+      });
+  }, TEMPLATE_PREVIEW_DELAY_MS);
+}
+
+templateBodyInput.addEventListener("input", schedulePreview);
+templateSampleInput.addEventListener("input", schedulePreview);
+
+templateSelect.addEventListener("change", () => {
+  selectTemplate(templateSelect.value).catch((error) => setTemplateStatus(error.message, true));
+});
+
+newTemplateBtn.addEventListener("click", () => {
+  templateSelect.value = "";
+  fillTemplateForm(null);
+  setTemplateStatus("");
+  templateNameInput.focus();
+});
+
+templateForm.addEventListener("submit", async (event) => {
+  event.preventDefault();
+
+  try {
+    const response = await runtimeSend({ type: "template-save", template: readTemplateForm() });
+    if (!response?.ok) {
+      throw new Error(response?.error || "Failed to save template");
+    }
+
+    await loadTemplateList(response.template.id);
+    fillTemplateForm(response.template);
+    setTemplateStatus("Template saved");
+  } catch (error) {
+    setTemplateStatus(error.message, true);
+  }
+});
+
+deleteTemplateBtn.addEventListener("click", async () => {
+  if (!currentTemplateId || !window.confirm(`Delete template "${templateNameInput.value}"?`)) {
+    return;
+  }
+
+  try {
+    const response = await runtimeSend({ type: "template-delete", id: currentTemplateId });
+    if (!response?.ok) {
+      throw new Error(response?.error || "Failed to delete template");
+    }
+
+    await loadTemplateList("");
+    fillTemplateForm(null);
+    setTemplateStatus("Template deleted");
+  } catch (error) {
+    setTemplateStatus(error.message, true);
+  }
+});
+
+function setStatsStatus(message, isError = false) {
+  statsStatus.textContent = message;
+  statsStatus.style.color = isError ? "#D65F5F" : "#2B2B2B";
+  statsStatus.style.display = message ? "block" : "none";
+}
+
+// Adds up a metric's series, optionally only those whose labels pass `filter`.
+function sumMetric(metrics, name, filter = () => true, field = "value") {
+  return (metrics[name]?.series || [])
+    .filter((entry) => filter(entry.labels))
+    .reduce((total, entry) => total + entry[field], 0);
+}
+
+function formatDuration(seconds) {
+  if (seconds < 90) {
+    return `${Math.round(seconds)}s`;
+  }
+  if (seconds < 90 * 60) {
+    return `${Math.round(seconds / 60)}m`;
+  }
+  return `${(seconds / 3600).toFixed(1)}h`;
+}
+
+function renderStats(metrics) {
+  const generated = sumMetric(metrics, "bridge_items_total", (labels) => labels.outcome === "generated");
+  const cacheHits = sumMetric(metrics, "bridge_items_total", (labels) => labels.outcome === "cache_hit");
+  const coalesced = sumMetric(metrics, "bridge_items_total", (labels) => labels.outcome === "coalesced");
+  const requests = sumMetric(metrics, "bridge_http_requests_total");
+  const requestErrors = sumMetric(metrics, "bridge_http_requests_total", (labels) => Number(labels.status) >= 400);
+  const batches = sumMetric(metrics, "bridge_batch_items", undefined, "count");
+  const batchItems = sumMetric(metrics, "bridge_batch_items", undefined, "sum");
+  const batchSeconds = sumMetric(metrics, "bridge_batch_duration_seconds", undefined, "sum");
+  const served = generated + cacheHits + coalesced;
+
+  const rows = [
+    ["Uptime", formatDuration(sumMetric(metrics, "bridge_uptime_seconds"))],
+    ["Requests (errors)", `${requests} (${requestErrors})`],
+    ["Blocks translated", String(generated)],
+    ["Cache hits", served > 0 ? `${cacheHits} (${Math.round((cacheHits / served) * 100)}%)` : "0"],
+    ["Shared with a running request", String(coalesced)],
+    ["Batches", String(batches)],
+    ["Average blocks per batch", batches > 0 ? (batchItems / batches).toFixed(1) : "–"],
+    ["Average batch time", batches > 0 ? `${(batchSeconds / batches).toFixed(1)}s` : "–"],
+    ["Time per block", batchItems > 0 ? `${(batchSeconds / batchItems).toFixed(2)}s` : "–"],
+    ["Provider calls", String(sumMetric(metrics, "bridge_provider_calls_total"))],
+    ["Codex processes started", String(sumMetric(metrics, "bridge_codex_spawns_total"))],
+    ["Retries", String(sumMetric(metrics, "bridge_batch_retries_total"))],
+    ["Timeouts", String(sumMetric(metrics, "bridge_provider_timeouts_total"))],
+    ["Parse failures", String(sumMetric(metrics, "bridge_parse_failures_total"))],
+    ["Queued batches", String(sumMetric(metrics, "bridge_queue_depth"))],
+    ["Cache entries", String(sumMetric(metrics, "bridge_cache_entries"))],
+  ];
+
+  statsBody.replaceChildren(
+    ...rows.map(([label, value]) => {
+      const row = document.createElement("tr");
+      const header = document.createElement("th");
+      header.textContent = label;
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.append(header, cell);
+      return row;
+    })
+  );
+}
+
+async function loadStats() {
+  const response = await runtimeSend({ type: "bridge-metrics" });
+  if (!response?.ok) {
+    throw new Error(response?.error || "Failed to load bridge stats");
+  }
+  renderStats(response.metrics || {});
+  setStatsStatus(`Updated ${new Date(response.collectedAt).toLocaleTimeString()}`);
+}
+
+refreshStatsBtn.addEventListener("click", () => {
+  loadStats().catch((error) => setStatsStatus(error.message, true));
+});
+
+loadSettings()
+  .then(() => loadToneList().catch(() => {}))
+  .catch((error) => {
+    setStatus(error.message, true);
+  });
+
+refreshPairingStatus().catch((error) => {
+  setPairingStatus(error.message, true);
+});
+
+fillGlossaryForm(null);
+loadGlossaryList().catch((error) => {
+  setGlossaryStatus(`Bridge glossaries unavailable: ${error.message}`, true);
+});
+
+loadTemplateList()
+  .then(() => fillTemplateForm(null))
+  .catch((error) => {
+    setTemplateStatus(`Bridge templates unavailable: ${error.message}`, true);
+  });
+
+loadStats().catch((error) => {
+  setStatsStatus(`Bridge stats unavailable: ${error.message}`, true);
 });
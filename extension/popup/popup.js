@@ -4,6 +4,8 @@ const resultText = document.getElementById("resultText");
 
 const translatePageBtn = document.getElementById("translatePageBtn");
 const translateSelectionBtn = document.getElementById("translateSelectionBtn");
+const translateAnywayBtn = document.getElementById("translateAnywayBtn");
+const cancelBtn = document.getElementById("cancelBtn");
 const restoreBtn = document.getElementById("restoreBtn");
 const refreshStatusBtn = document.getElementById("refreshStatusBtn");
 const openOptionsBtn = document.getElementById("openOptionsBtn");
@@ -66,10 +68,13 @@ function executeScript(tabId, files) {
   });
 }
 
-function setBusy(isBusy) {
+function setBusy(isBusy, cancellable = false) {
   translatePageBtn.disabled = isBusy;
   translateSelectionBtn.disabled = isBusy;
   restoreBtn.disabled = isBusy;
+  translateAnywayBtn.hidden = true;
+  cancelBtn.hidden = !(isBusy && cancellable);
+  cancelBtn.disabled = false;
 }
 
 function setResult(text, isError = false) {
@@ -111,7 +116,10 @@ async function callActiveTab(message) {
   }
 
   if (!response?.ok) {
-    throw new Error(response?.error || "Tab action failed");
+    const error = new Error(response?.error || "Tab action failed");
+    error.code = response?.code;
+    error.requestId = response?.requestId;
+    throw error;
   }
   return response;
 }
@@ -126,7 +134,9 @@ async function refreshStatus() {
     }
 
     const health = response.health;
-    if (health.ok) {
+    if (health.code === "unauthorized") {
+      setStatus("error", "Not paired: open Settings and use “Pair with bridge”.");
+    } else if (health.ok) {
       setStatus("ok", `Connected (${health.loginMessage || "OpenAI auth ready"})`);
     } else {
       const message = health.loginMessage || "Bridge unavailable";
@@ -137,26 +147,64 @@ async function refreshStatus() {
   }
 }
 
-async function handleTranslatePage() {
-  setBusy(true);
+// The request id matches the `requestId` of the bridge's log lines for the failed request.
+function describeError(error) {
+  const reference = error.requestId ? ` [request ${error.requestId}]` : "";
+  if (error.code === "unauthorized") {
+    return `${error.message} (the bridge answered 401: this extension is not paired with it)${reference}`;
+  }
+  return `${error.message}${reference}`;
+}
+
+async function handleTranslatePage(force = false) {
+  setBusy(true, true);
   setResult("Translating page...");
+  let stillRunning = false;
+  let sameLanguage = null;
 
   try {
-    const response = await callActiveTab({ type: "translate-page" });
+    const response = await callActiveTab({ type: "translate-page", force });
+    if (response.sameLanguage) {
+      sameLanguage = response.sameLanguage;
+      setResult(
+        `This page is declared as ${sameLanguage.pageLang}, the same as your target language ` +
+          `${sameLanguage.targetLang}. Nothing was translated.`
+      );
+      return;
+    }
+
     const suffix = response.meta?.chunks ? ` in ${response.meta.chunks} chunks` : "";
     const capped =
       response.meta?.hitLimit && response.meta?.maxPageItems
         ? ` (hit page limit ${response.meta.maxPageItems})`
         : "";
-    setResult(`Translated ${response.count}/${response.total} blocks${suffix}${capped}`);
+    const segmented = response.meta?.segmented
+      ? `, ${response.meta.segmented} long blocks split by sentence`
+      : "";
+    const skipped = response.meta?.skippedSameLanguage
+      ? `, ${response.meta.skippedSameLanguage} already in target language`
+      : "";
+    const failed = response.failed ? `, ${response.failed} failed (marked in red on the page)` : "";
+    const lowQuality = response.meta?.lowQuality
+      ? `, ${response.meta.lowQuality} flagged by the quality check (highlighted, hover for details)`
+      : "";
+    const units =
+      response.targetLangs?.length > 1 ? `block translations (${response.targetLangs.join(", ")})` : "blocks";
+    const details = `${suffix}${capped}${segmented}${skipped}${failed}${lowQuality}`;
+    setResult(`Translated ${response.count}/${response.total} ${units}${details}`, Boolean(response.failed));
   } catch (error) {
-    if (error.message.includes("Translation already in progress")) {
-      setResult("Previous translation is still running. Please wait for it to finish.", true);
+    if (error.message.includes("Translation cancelled")) {
+      setResult("Translation cancelled. Blocks translated so far were kept.");
+    } else if (error.message.includes("Translation already in progress")) {
+      stillRunning = true;
+      setResult("Previous translation is still running. Wait for it to finish or cancel it.", true);
     } else {
-      setResult(error.message, true);
+      setResult(describeError(error), true);
     }
   } finally {
     setBusy(false);
+    cancelBtn.hidden = !stillRunning;
+    translateAnywayBtn.hidden = !sameLanguage;
   }
 }
 
@@ -168,12 +216,25 @@ async function handleTranslateSelection() {
     await callActiveTab({ type: "translate-selection" });
     setResult("Selection translated. See floating panel on page.");
   } catch (error) {
-    setResult(error.message, true);
+    setResult(describeError(error), true);
   } finally {
     setBusy(false);
   }
 }
 
+async function handleCancel() {
+  cancelBtn.disabled = true;
+
+  try {
+    const response = await callActiveTab({ type: "cancel-translation" });
+    if (!response.cancelled) {
+      setResult("Nothing to cancel");
+    }
+  } catch (error) {
+    setResult(error.message, true);
+  }
+}
+
 async function handleRestore() {
   setBusy(true);
 
@@ -187,8 +248,10 @@ async function handleRestore() {
   }
 }
 
-translatePageBtn.addEventListener("click", handleTranslatePage);
+translatePageBtn.addEventListener("click", () => handleTranslatePage());
+translateAnywayBtn.addEventListener("click", () => handleTranslatePage(true));
 translateSelectionBtn.addEventListener("click", handleTranslateSelection);
+cancelBtn.addEventListener("click", handleCancel);
 restoreBtn.addEventListener("click", handleRestore);
 refreshStatusBtn.addEventListener("click", refreshStatus);
 openOptionsBtn.addEventListener("click", () => chrome.runtime.openOptionsPage());